@@ -0,0 +1,4 @@
+import { app } from "./server.js";
+
+const PORT = process.env.PORT || 5000;
+app.listen(PORT, () => console.log(`🚀 QA Server running on port ${PORT}`));
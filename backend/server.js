@@ -3,10 +3,16 @@ import multer from "multer";
 import mammoth from "mammoth";
 import cors from "cors";
 import fs from "fs";
+import crypto from "crypto";
+import zlib from "zlib";
 import path from "path";
 import { fileURLToPath } from "url";
 import axios from "axios";
 import * as cheerio from "cheerio";
+import { simpleParser } from "mailparser";
+import JSZip from "jszip";
+import { PDFParse } from "pdf-parse";
+import { francAll } from "franc-min";
 
 // ES module dirname workaround
 const __filename = fileURLToPath(import.meta.url);
@@ -30,48 +36,183 @@ app.use(express.static(path.join(__dirname, '../frontend')));
 
 const upload = multer({ dest: "uploads/" });
 
+// Bad or unreadable input (not a server failure) — reported to the client as a 400
+class InputError extends Error {}
+
 // ---------------------------------------------------------
 // CLEAN NORMALIZE
+// Unicode-aware: letters, marks and digits of every script survive.
+// Scripts written without spaces (CJK, Thai ...) are split into words
+// so the word-level comparisons work the same for every language
 // ---------------------------------------------------------
+const SPACELESS_SCRIPT_REGEX = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+const wordSegmenter = new Intl.Segmenter(undefined, { granularity: "word" });
+
+const segmentSpaceless = (text) =>
+  SPACELESS_SCRIPT_REGEX.test(text)
+    ? [...wordSegmenter.segment(text)].map((s) => s.segment).join(" ")
+    : text;
+
 const normalize = (text = "") =>
-  text
-    .replace(/<[^>]+>/g, " ")
-    .replace(/[\u2018\u2019]/g, "'")
-    .replace(/[\u201C\u201D]/g, '"')
-    .replace(/[\r\n]+/g, " ")
+  segmentSpaceless(
+    text
+      .normalize("NFKC")
+      .replace(/<[^>]+>/g, " ")
+      .replace(/[\u2018\u2019]/g, "'")
+      .replace(/[\u201C\u201D]/g, '"')
+      .replace(/[\r\n]+/g, " ")
+      .replace(/[^\p{L}\p{M}\p{N}\s]/gu, "")
+  )
     .replace(/\s+/g, " ")
-    .replace(/[^\w\s]/g, "")
-    .replace(/[\(\[].*?[\)\]]/g, "")
     .toLowerCase()
     .trim();
 
+// Short lines still carry a full sentence in CJK / Thai
+const isMeaningfulText = (text = "") =>
+  text.length > 10 || (SPACELESS_SCRIPT_REGEX.test(text) && text.length > 3);
+
 // ---------------------------------------------------------
-// SIMILARITY SCORE (word-based, bidirectional F1)
+// SEQUENCE DIFF (LCS-based, word + character level)
+// Order-aware: reordered, dropped or repeated words all show up as changes
 // ---------------------------------------------------------
-const getSimilarityScore = (textA, textB) => {
-  const wordsA = normalize(textA).split(" ").filter(Boolean);
-  const wordsB = normalize(textB).split(" ").filter(Boolean);
-  if (!wordsA.length) return { score: 0, matchedWords: [], unmatchedWords: wordsA, extraWords: [], totalWords: 0 };
+// A whitespace run of a spaceless script becomes one token per word;
+// punctuation rides on the word before it so the redline still shows it
+const splitSpacelessToken = (raw) => {
+  const parts = [];
+  for (const { segment, isWordLike } of wordSegmenter.segment(raw)) {
+    if (isWordLike || parts.length === 0) parts.push(segment);
+    else parts[parts.length - 1] += segment;
+  }
+  return parts;
+};
+
+const tokenizeWords = (text = "") =>
+  text
+    .replace(/<[^>]+>/g, " ")
+    .split(/\s+/)
+    .flatMap(raw => SPACELESS_SCRIPT_REGEX.test(raw) ? splitSpacelessToken(raw) : [raw])
+    .map(raw => ({ raw, key: normalize(raw) }))
+    .filter(t => t.key);
+
+// Longest-common-subsequence edit script between two arrays.
+// Returns ops in order: { type: 'equal' | 'delete' | 'insert', a?, b? }
+function diffSequences(a, b, eq = (x, y) => x === y) {
+  const n = a.length;
+  const m = b.length;
+
+  // Trim common prefix / suffix — most blocks are near-identical
+  let start = 0;
+  while (start < n && start < m && eq(a[start], b[start])) start++;
+  let endA = n;
+  let endB = m;
+  while (endA > start && endB > start && eq(a[endA - 1], b[endB - 1])) { endA--; endB--; }
+
+  const rows = endA - start;
+  const cols = endB - start;
+  const width = cols + 1;
+  const table = new Uint32Array((rows + 1) * width);
+
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      table[i * width + j] = eq(a[start + i], b[start + j])
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  for (let k = 0; k < start; k++) ops.push({ type: 'equal', a: a[k], b: b[k] });
+
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (eq(a[start + i], b[start + j])) {
+      ops.push({ type: 'equal', a: a[start + i], b: b[start + j] });
+      i++; j++;
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      ops.push({ type: 'delete', a: a[start + i] });
+      i++;
+    } else {
+      ops.push({ type: 'insert', b: b[start + j] });
+      j++;
+    }
+  }
+  while (i < rows) ops.push({ type: 'delete', a: a[start + i++] });
+  while (j < cols) ops.push({ type: 'insert', b: b[start + j++] });
+
+  for (let k = endA; k < n; k++) ops.push({ type: 'equal', a: a[k], b: b[endB + k - endA] });
+  return ops;
+}
+
+// Character-level diff for a substituted phrase (capped so huge runs stay cheap)
+const MAX_CHAR_DIFF_LENGTH = 300;
+function diffChars(textA, textB) {
+  if (textA.length > MAX_CHAR_DIFF_LENGTH || textB.length > MAX_CHAR_DIFF_LENGTH) {
+    return [{ type: 'delete', text: textA }, { type: 'insert', text: textB }];
+  }
+  const runs = [];
+  diffSequences([...textA], [...textB]).forEach(op => {
+    const text = op.type === 'insert' ? op.b : op.a;
+    const last = runs[runs.length - 1];
+    if (last && last.type === op.type) last.text += text;
+    else runs.push({ type: op.type, text });
+  });
+  return runs;
+}
 
-  const matchedWords = [];
-  const unmatchedWords = [];
+// Word-level diff of doc text (A) vs email text (B), grouped into runs.
+// Adjacent delete + insert runs become one 'replace' with a char-level diff.
+function diffWords(textA, textB) {
+  const tokensA = tokenizeWords(textA);
+  const tokensB = tokenizeWords(textB);
+  const ops = diffSequences(tokensA, tokensB, (x, y) => x.key === y.key);
 
-  wordsA.forEach(word => {
-    if (wordsB.includes(word)) {
-      matchedWords.push(word);
+  const runs = [];
+  ops.forEach(op => {
+    const last = runs[runs.length - 1];
+    if (op.type === 'equal') {
+      if (last && last.type === 'equal') {
+        last.doc.push(op.a.raw);
+        last.email.push(op.b.raw);
+      } else {
+        runs.push({ type: 'equal', doc: [op.a.raw], email: [op.b.raw] });
+      }
+    } else if (last && last.type !== 'equal') {
+      // Merge delete/insert into the current change run
+      if (op.type === 'delete') last.doc.push(op.a.raw);
+      else last.email.push(op.b.raw);
+      last.type = last.doc.length && last.email.length ? 'replace' : last.type;
     } else {
-      unmatchedWords.push(word);
+      runs.push(op.type === 'delete'
+        ? { type: 'delete', doc: [op.a.raw], email: [] }
+        : { type: 'insert', doc: [], email: [op.b.raw] });
     }
   });
 
-  // Words in B that are NOT in A (extra content)
-  const wordsASet = new Set(wordsA.map(w => w.toLowerCase()));
-  const extraWords = wordsB.filter(w => !wordsASet.has(w.toLowerCase()));
+  const diff = runs.map(run => {
+    const entry = { type: run.type, doc: run.doc.join(' '), email: run.email.join(' ') };
+    if (run.type === 'replace') entry.chars = diffChars(entry.doc, entry.email);
+    return entry;
+  });
+
+  return { ops, diff, tokensA, tokensB };
+}
+
+// ---------------------------------------------------------
+// SIMILARITY SCORE (LCS-based, bidirectional F1)
+// ---------------------------------------------------------
+const getSimilarityScore = (textA, textB) => {
+  const { ops, diff, tokensA, tokensB } = diffWords(textA, textB);
+  if (!tokensA.length) return { score: 0, matchedWords: [], unmatchedWords: [], extraWords: [], diff: [], changeCount: 0, totalWords: 0 };
+
+  const matchedWords = ops.filter(op => op.type === 'equal').map(op => op.a.key);
+  const unmatchedWords = ops.filter(op => op.type === 'delete').map(op => op.a.key);
+  const extraWords = ops.filter(op => op.type === 'insert').map(op => op.b.key);
 
-  // Precision: of doc words, how many found in email?
-  const precision = wordsA.length > 0 ? matchedWords.length / wordsA.length : 0;
+  // Precision: of doc words, how many found in email (in order)?
+  const precision = matchedWords.length / tokensA.length;
   // Recall: of email words, how many came from doc? (penalizes extra content)
-  const recall = wordsB.length > 0 ? matchedWords.length / wordsB.length : 0;
+  const recall = tokensB.length > 0 ? matchedWords.length / tokensB.length : 0;
   // F1 score: harmonic mean — balances both directions
   const f1 = (precision + recall) > 0 ? (2 * precision * recall) / (precision + recall) : 0;
 
@@ -80,10 +221,12 @@ const getSimilarityScore = (textA, textB) => {
     precision,
     recall,
     matchedWords,
-    unmatchedWords,    // doc words NOT in email
-    extraWords,        // email words NOT in doc
-    totalWords: wordsA.length,
-    totalEmailWords: wordsB.length
+    unmatchedWords,    // doc words NOT in email (in sequence)
+    extraWords,        // email words NOT in doc (in sequence)
+    diff,              // ordered equal / insert / delete / replace runs
+    changeCount: diff.filter(d => d.type !== 'equal').length,
+    totalWords: tokensA.length,
+    totalEmailWords: tokensB.length
   };
 };
 
@@ -136,822 +279,7094 @@ async function withRetry(fn, { retries = 3, baseDelay = 2000, label = 'request'
 }
 
 // ---------------------------------------------------------
-// SCRAPE EMAIL (using axios + cheerio - NO BROWSER NEEDED!)
-// Handles 302 redirect chains with cookie forwarding
-// Now with retry logic for intermittent failures
+// SUBJECT + PREHEADER EXTRACTION
+// Subject comes from Marketo preview headers, meta tags or <title>;
+// preheader comes from the hidden preview-text div at the top of the body
 // ---------------------------------------------------------
-async function getEmailContent(url) {
-  return withRetry(async () => {
-    return await _fetchEmailContent(url);
-  }, { retries: 3, baseDelay: 2000, label: 'Email fetch' });
-}
+const PREHEADER_MAX_LENGTH = 100;     // most inboxes truncate the preview around here
+const PREHEADER_MIN_LENGTH = 30;      // shorter than this and body copy bleeds into the preview
 
-async function _fetchEmailContent(url) {
-  try {
-    let currentUrl = url;
-    let cookies = [];
-    let response;
-    const MAX_REDIRECTS = 10;
-
-    // Manually follow redirects to preserve cookies across hops
-    for (let i = 0; i < MAX_REDIRECTS; i++) {
-      console.log(`Fetching (redirect hop ${i + 1}): ${currentUrl}`);
-      response = await axios.get(currentUrl, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.5',
-          'Accept-Encoding': 'gzip, deflate, br',
-          'Connection': 'keep-alive',
-          ...(cookies.length > 0 ? { 'Cookie': cookies.join('; ') } : {}),
-        },
-        timeout: 45000,               // increased timeout for slow servers
-        maxRedirects: 0,              // disable auto-redirects
-        validateStatus: (s) => s < 400, // accept 2xx and 3xx
-      });
+// Zero-width / invisible characters commonly used to pad the preheader
+const PREHEADER_FILLER_REGEX = /[\u200B-\u200D\u034F\u00AD\u2007\uFEFF]|\u00A0{2,}/g;
 
-      // Collect any Set-Cookie headers
-      const setCookies = response.headers['set-cookie'];
-      if (setCookies) {
-        setCookies.forEach(c => {
-          const cookiePair = c.split(';')[0]; // take "name=value" part
-          cookies.push(cookiePair);
-        });
-      }
+// Doc labels: "Subject:", "Subject line (A):", "Preheader:", "Preview text -" ...
+const DOC_META_LABEL_REGEX = /^\s*(subject(?:\s*line)?|sl|pre-?header(?:\s*text)?|preview\s*text)(?:\s*\(([^)]*)\)|\s+([a-z0-9]{1,2}))?(?:\s*:|\s+[-–—])\s*(.*)$/i;
 
-      // If it's a redirect, follow the Location header
-      if ([301, 302, 303, 307, 308].includes(response.status)) {
-        let nextUrl = response.headers['location'];
-
-        // If no Location header, check for JS-based redirect in body
-        if (!nextUrl && typeof response.data === 'string') {
-          console.log('No Location header — checking response body for JS redirect...');
-          const body = response.data;
-
-          // Pattern 1: var redirecturl = '...';
-          const jsRedirectMatch = body.match(/var\s+redirecturl\s*=\s*['"]([^'"]+)['"]/i);
-          // Pattern 2: window.location = '...' or window.location.href = '...'
-          const winLocMatch = body.match(/window\.(?:self\.)?location(?:\.href)?\s*=\s*['"]([^'"]+)['"]/i);
-          // Pattern 3: window.location.replace('...')
-          const winReplaceMatch = body.match(/window\.location\.replace\s*\(\s*['"]([^'"]+)['"]\s*\)/i);
-          // Pattern 4: <meta http-equiv="refresh" content="0;url=...">
-          const metaRefreshMatch = body.match(/<meta[^>]*http-equiv\s*=\s*['"]refresh['"][^>]*content\s*=\s*['"][^'"]*url\s*=\s*([^'">\s]+)/i);
-
-          nextUrl = (jsRedirectMatch && jsRedirectMatch[1]) ||
-            (winLocMatch && winLocMatch[1]) ||
-            (winReplaceMatch && winReplaceMatch[1]) ||
-            (metaRefreshMatch && metaRefreshMatch[1]) ||
-            null;
-
-          if (nextUrl) {
-            console.log(`Found JS/meta redirect URL in response body`);
-          }
-        }
+const cleanMetaText = (text = "") =>
+  text
+    .replace(PREHEADER_FILLER_REGEX, " ")
+    .replace(/\s+/g, " ")
+    .trim();
 
-        if (!nextUrl) {
-          console.warn('Redirect with no Location header and no JS redirect found, stopping.');
-          break;
-        }
-        // Resolve relative URLs  
-        try {
-          currentUrl = new URL(nextUrl, currentUrl).href;
-        } catch {
-          currentUrl = nextUrl;
-        }
-        console.log(`Redirected (${response.status}) → ${currentUrl}`);
-        continue;
-      }
+function parseDocMetaBlock(block) {
+  const match = block.match(DOC_META_LABEL_REGEX);
+  if (!match) return null;
+  const label = match[1].toLowerCase();
+  const field = label.startsWith("s") ? "subject" : "preheader";
+  return {
+    field,
+    variant: (match[2] || match[3] || '').trim() || null,
+    value: cleanMetaText(match[4]),
+  };
+}
 
-      // Got a 2xx — we have the final page
-      break;
+function extractEmailMeta($) {
+  // ---- Subject ----
+  let subject = '';
+  let subjectSource = null;
+
+  // Marketo preview pages render a "Subject: ..." header above the email
+  $('td, th, div, span, p, li').each((_, el) => {
+    if (subject) return;
+    const txt = $(el).text().replace(/\s+/g, ' ').trim();
+    if (txt.length > 200) return;
+    const m = txt.match(/^subject\s*:\s*(.+)$/i);
+    if (m && $(el).children().length <= 2) {
+      subject = m[1].trim();
+      subjectSource = 'preview-header';
     }
+  });
 
-    const html = response.data;
-    const $ = cheerio.load(html);
+  if (!subject) {
+    const metaSubject = $('meta[name="subject"]').attr('content') ||
+      $('meta[property="og:title"]').attr('content') || '';
+    if (metaSubject.trim()) {
+      subject = metaSubject.trim();
+      subjectSource = 'meta';
+    }
+  }
 
-    // Remove script and style elements
-    $('script, style, noscript').remove();
+  if (!subject) {
+    const title = $('title').first().text().replace(/\s+/g, ' ').trim();
+    if (title) {
+      subject = title;
+      subjectSource = 'title';
+    }
+  }
 
-    // Extract text content (flat, for backward compat)
-    const text = $('body').text()
-      .replace(/\s+/g, ' ')
-      .trim();
+  // ---- Preheader ----
+  let preheaderRaw = '';
+  let preheaderSource = null;
 
-    // Extract paragraph-level text blocks from the email HTML
-    // This preserves paragraph boundaries for accurate comparison
-    const paragraphs = [];
-    const blockSelectors = 'p, h1, h2, h3, h4, h5, h6, li, td, th, blockquote, caption';
-    $(blockSelectors).each((_, el) => {
-      // Skip if this element contains other block elements (avoid double-counting)
-      if ($(el).find(blockSelectors).length > 0 && el.tagName.toLowerCase() === 'td') {
-        return; // skip table cells that contain paragraphs
-      }
-      const txt = $(el).text().replace(/\s+/g, ' ').trim();
-      if (txt.length > 10) {
-        paragraphs.push(txt);
+  const namedPreheader = $('[class*="preheader" i], [id*="preheader" i], [class*="preview-text" i], [class*="previewtext" i]').first();
+  if (namedPreheader.length) {
+    preheaderRaw = namedPreheader.text();
+    preheaderSource = 'preheader-element';
+  } else {
+    // Fall back to the first hidden element with text near the top of the body
+    $('body div, body span, body td, body p').each((_, el) => {
+      if (preheaderRaw) return;
+      const style = ($(el).attr('style') || '').replace(/\s+/g, '').toLowerCase();
+      const isHidden = style.includes('display:none') ||
+        style.includes('mso-hide:all') ||
+        (style.includes('max-height:0') && style.includes('overflow:hidden'));
+      const txt = $(el).text();
+      if (isHidden && cleanMetaText(txt)) {
+        preheaderRaw = txt;
+        preheaderSource = 'hidden-element';
       }
     });
+  }
 
-    // Deduplicate paragraphs (some content may appear in nested elements)
-    const emailParagraphs = [];
-    paragraphs.forEach(p => {
-      // Only add if not a substring of an already-added paragraph
-      const isDuplicate = emailParagraphs.some(existing =>
-        existing.includes(p) || p.includes(existing)
-      );
-      if (!isDuplicate) {
-        emailParagraphs.push(p);
-      } else {
-        // If this is longer than an existing one it contains, replace it
-        const shorterIdx = emailParagraphs.findIndex(existing => p.includes(existing) && p.length > existing.length);
-        if (shorterIdx !== -1) {
-          emailParagraphs[shorterIdx] = p;
-        }
-      }
-    });
+  const fillerMatches = preheaderRaw.match(PREHEADER_FILLER_REGEX) || [];
 
-    console.log(`Extracted ${emailParagraphs.length} paragraphs from email`);
+  return {
+    subject,
+    subjectSource,
+    preheader: cleanMetaText(preheaderRaw),
+    preheaderSource,
+    preheaderFillerCount: fillerMatches.length,
+  };
+}
 
-    // Extract links
-    const links = [];
-    $('a').each((_, element) => {
-      const href = $(element).attr('href') || '';
-      const linkText = $(element).text().trim();
-      if (href) {
-        links.push({ text: linkText, href: href });
-      }
+// ---------------------------------------------------------
+// REDIRECT FOLLOWER — follows 3xx, JS and meta-refresh redirects by hand
+// so cookies set on one hop are sent on the next
+// ---------------------------------------------------------
+async function followRedirects(url, {
+  timeout = 45000,
+  maxRedirects = 10,
+  verbose = true,
+  method = 'get',
+  acceptErrorStatus = false,   // resolve with 4xx/5xx responses instead of throwing
+  maxContentLength,
+  responseType,
+} = {}) {
+  const log = verbose ? console.log : () => {};
+  const warn = verbose ? console.warn : () => {};
+  let currentUrl = url;
+  let cookies = [];
+  let response;
+  const hops = [];
+
+  // Manually follow redirects to preserve cookies across hops
+  for (let i = 0; i < maxRedirects; i++) {
+    log(`Fetching (redirect hop ${i + 1}): ${currentUrl}`);
+    response = await axios.request({
+      method,
+      url: currentUrl,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.5',
+        'Accept-Encoding': 'gzip, deflate, br',
+        'Connection': 'keep-alive',
+        ...(cookies.length > 0 ? { 'Cookie': cookies.join('; ') } : {}),
+      },
+      timeout,                      // 45s default for slow servers
+      maxRedirects: 0,              // disable auto-redirects
+      validateStatus: acceptErrorStatus ? () => true : (s) => s < 400, // accept 2xx and 3xx
+      ...(maxContentLength ? { maxContentLength } : {}),
+      ...(responseType ? { responseType } : {}),
     });
 
-    // Extract images (distinguish missing alt vs empty alt)
-    const images = [];
-    $('img').each((_, element) => {
-      const src = $(element).attr('src') || '';
-      const hasAltAttr = element.attribs && 'alt' in element.attribs;
-      const alt = hasAltAttr ? $(element).attr('alt') : undefined;
-      if (src) {
-        images.push({ src, alt });
+    // Collect any Set-Cookie headers
+    const setCookies = response.headers['set-cookie'];
+    if (setCookies) {
+      setCookies.forEach(c => {
+        const cookiePair = c.split(';')[0]; // take "name=value" part
+        cookies.push(cookiePair);
+      });
+    }
+
+    hops.push({ url: currentUrl, status: response.status });
+
+    // If it's a redirect, follow the Location header
+    if ([301, 302, 303, 307, 308].includes(response.status)) {
+      let nextUrl = response.headers['location'];
+
+      // If no Location header, check for JS-based redirect in body
+      if (!nextUrl && typeof response.data === 'string') {
+        log('No Location header — checking response body for JS redirect...');
+        const body = response.data;
+
+        // Pattern 1: var redirecturl = '...';
+        const jsRedirectMatch = body.match(/var\s+redirecturl\s*=\s*['"]([^'"]+)['"]/i);
+        // Pattern 2: window.location = '...' or window.location.href = '...'
+        const winLocMatch = body.match(/window\.(?:self\.)?location(?:\.href)?\s*=\s*['"]([^'"]+)['"]/i);
+        // Pattern 3: window.location.replace('...')
+        const winReplaceMatch = body.match(/window\.location\.replace\s*\(\s*['"]([^'"]+)['"]\s*\)/i);
+        // Pattern 4: <meta http-equiv="refresh" content="0;url=...">
+        const metaRefreshMatch = body.match(/<meta[^>]*http-equiv\s*=\s*['"]refresh['"][^>]*content\s*=\s*['"][^'"]*url\s*=\s*([^'">\s]+)/i);
+
+        nextUrl = (jsRedirectMatch && jsRedirectMatch[1]) ||
+          (winLocMatch && winLocMatch[1]) ||
+          (winReplaceMatch && winReplaceMatch[1]) ||
+          (metaRefreshMatch && metaRefreshMatch[1]) ||
+          null;
+
+        if (nextUrl) {
+          log(`Found JS/meta redirect URL in response body`);
+        }
       }
-    });
 
-    console.log(`Successfully extracted: ${text.length} chars, ${links.length} links, ${images.length} images`);
-    return { text, html, links, images, emailParagraphs, resolvedUrl: currentUrl };
-  } catch (error) {
-    console.error("Error fetching email content:", error.message);
-    if (error.response) {
-      console.error(`Response status: ${error.response.status}`);
-      console.error(`Response headers:`, JSON.stringify(error.response.headers, null, 2));
+      if (!nextUrl) {
+        warn('Redirect with no Location header and no JS redirect found, stopping.');
+        break;
+      }
+      // Resolve relative URLs  
+      try {
+        currentUrl = new URL(nextUrl, currentUrl).href;
+      } catch {
+        currentUrl = nextUrl;
+      }
+      log(`Redirected (${response.status}) → ${currentUrl}`);
+      continue;
     }
-    throw new Error(`Failed to fetch email content: ${error.message}`);
+
+    // Got a 2xx (or an accepted error status) — we have the final page
+    break;
   }
+
+  return { response, finalUrl: currentUrl, hops };
 }
 
+// ---------------------------------------------------------
+// CONCURRENCY HELPER — runs fn over items, at most `limit` at a time
+// ---------------------------------------------------------
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
 
 // ---------------------------------------------------------
-// DOCX TEXT + LINKS
+// TRACKED LINK RESOLUTION
+// Marketo (and other ESPs) wrap links in click-tracking redirects once
+// tracking is on. Known wrappers are unwrapped from their query string or
+// followed to the final destination; wrapper patterns and the tracking
+// params to strip live in config/link-tracking.json
 // ---------------------------------------------------------
-async function extractDoc(filePath) {
-  const rawText = (await mammoth.extractRawText({ path: filePath })).value || "";
-  const html = (await mammoth.convertToHtml({ path: filePath })).value || "";
+const LINK_TRACKING_CONFIG_PATH = process.env.LINK_TRACKING_CONFIG ||
+  path.join(__dirname, 'config', 'link-tracking.json');
 
-  const links = [];
-  const anchorRegex = /<a[^>]*href="([^"]+)"[^>]*>([^<]*)<\/a>/gi;
-  let match;
-  while ((match = anchorRegex.exec(html)) !== null) {
-    links.push({ text: match[2].trim(), href: match[1].trim() });
+function loadLinkTrackingConfig() {
+  const defaults = { stripParams: ['mkt_tok'], wrappers: [], maxHops: 10, timeoutMs: 10000, concurrency: 4 };
+  try {
+    const raw = JSON.parse(fs.readFileSync(LINK_TRACKING_CONFIG_PATH, 'utf8'));
+    const config = { ...defaults, ...raw };
+    config.stripParams = (config.stripParams || []).map(p => p.toLowerCase());
+    config.wrappers = (config.wrappers || []).map(w => ({
+      ...w,
+      hostRegex: w.hostPattern ? new RegExp(w.hostPattern, 'i') : null,
+      pathRegex: w.pathPattern ? new RegExp(w.pathPattern) : null,
+    }));
+    console.log(`Loaded ${config.wrappers.length} link-tracking wrapper patterns`);
+    return config;
+  } catch (error) {
+    console.warn(`Link tracking config not loaded (${error.message}) — using defaults`);
+    return defaults;
   }
+}
 
-  // RAW URLs
-  new Set(rawText.match(/https?:\/\/[^\s"')]+/gi) || []).forEach((u) =>
-    links.push({ text: u, href: u })
-  );
+const linkTrackingConfig = loadLinkTrackingConfig();
 
-  return { docText: rawText, docLinks: links };
+function matchTrackingWrapper(href) {
+  let url;
+  try {
+    url = new URL(href);
+  } catch {
+    return null;
+  }
+  return linkTrackingConfig.wrappers.find(w =>
+    (!w.hostRegex || w.hostRegex.test(url.hostname)) &&
+    (!w.pathRegex || w.pathRegex.test(url.pathname)) &&
+    (w.hostRegex || w.pathRegex)
+  ) || null;
 }
 
-// ---------------------------------------------------------
-// FIND BEST EMAIL SEGMENT for a doc block
-// Matches against actual email paragraphs for clean segments
-// ---------------------------------------------------------
-function findBestEmailSegment(docBlock, emailParagraphs, emailTextFlat) {
-  if (!docBlock) return { segment: '', score: 0, precision: 0, recall: 0 };
+// Remove ESP tracking params (mkt_tok etc.) but keep utm_* for UTM checks
+function stripTrackingParams(href = "") {
+  try {
+    const url = new URL(href);
+    [...url.searchParams.keys()].forEach(key => {
+      if (linkTrackingConfig.stripParams.includes(key.toLowerCase())) url.searchParams.delete(key);
+    });
+    return url.href;
+  } catch {
+    return href;
+  }
+}
 
-  let bestSegment = '';
-  let bestScore = 0;
-  let bestPrecision = 0;
-  let bestRecall = 0;
+// Unwrap redirectors that carry the destination in a query param
+function unwrapTrackedUrl(href = "") {
+  let current = href;
+  for (let i = 0; i < 5; i++) {
+    const wrapper = matchTrackingWrapper(current);
+    if (!wrapper || wrapper.action !== 'unwrap' || !wrapper.param) break;
+    const target = new URL(current).searchParams.get(wrapper.param);
+    if (!target) break;
+    current = target;
+  }
+  return current;
+}
 
-  // Strategy 1: Match against individual email paragraphs
-  if (emailParagraphs && emailParagraphs.length > 0) {
-    emailParagraphs.forEach(para => {
-      const result = getSimilarityScore(docBlock, para);
-      if (result.score > bestScore) {
-        bestScore = result.score;
-        bestSegment = para;
-        bestPrecision = result.precision;
-        bestRecall = result.recall;
-      }
-    });
+async function resolveTrackedUrl(href) {
+  const unwrapped = unwrapTrackedUrl(href);
+  const wrapper = matchTrackingWrapper(href);
+  const result = {
+    rawHref: href,
+    resolvedHref: stripTrackingParams(unwrapped),
+    resolution: unwrapped !== href ? 'unwrapped' : 'none',
+    wrapper: wrapper ? wrapper.name : null,
+    hops: 0,
+  };
 
-    // Also try combining consecutive paragraphs (2-3) for multi-paragraph doc blocks
-    for (let i = 0; i < emailParagraphs.length - 1; i++) {
-      const combined2 = emailParagraphs[i] + ' ' + emailParagraphs[i + 1];
-      const result2 = getSimilarityScore(docBlock, combined2);
-      if (result2.score > bestScore) {
-        bestScore = result2.score;
-        bestSegment = combined2;
-        bestPrecision = result2.precision;
-        bestRecall = result2.recall;
-      }
+  const followWrapper = matchTrackingWrapper(unwrapped);
+  if (!followWrapper || followWrapper.action !== 'follow') return result;
 
-      if (i < emailParagraphs.length - 2) {
-        const combined3 = combined2 + ' ' + emailParagraphs[i + 2];
-        const result3 = getSimilarityScore(docBlock, combined3);
-        if (result3.score > bestScore) {
-          bestScore = result3.score;
-          bestSegment = combined3;
-          bestPrecision = result3.precision;
-          bestRecall = result3.recall;
-        }
-      }
-    }
+  try {
+    const { finalUrl, hops } = await followRedirects(unwrapped, {
+      timeout: linkTrackingConfig.timeoutMs,
+      maxRedirects: linkTrackingConfig.maxHops,
+      verbose: false,
+    });
+    result.resolvedHref = stripTrackingParams(unwrapTrackedUrl(finalUrl));
+    result.resolution = 'followed';
+    result.wrapper = followWrapper.name;
+    result.hops = Math.max(0, hops.length - 1);
+  } catch (error) {
+    result.resolution = 'failed';
+    result.wrapper = followWrapper.name;
+    result.error = error.message;
   }
+  return result;
+}
 
-  // Strategy 2: If no good paragraph match and we have flat text, use it as fallback
-  if (bestScore < 0.4 && emailTextFlat) {
-    const flatResult = getSimilarityScore(docBlock, emailTextFlat);
-    if (flatResult.precision > 0.5) {
-      // Content exists somewhere in email but wasn't in a clean paragraph
-      // Extract a rough context
-      const docWords = normalize(docBlock).split(' ').filter(Boolean);
-      const emailLower = emailTextFlat.toLowerCase();
-      // Find a distinctive word from the doc
-      const longWords = docWords.filter(w => w.length > 5).slice(0, 3);
-      for (const word of longWords) {
-        const idx = emailLower.indexOf(word);
-        if (idx !== -1) {
-          const start = Math.max(0, emailTextFlat.lastIndexOf(' ', Math.max(0, idx - 20)));
-          const end = Math.min(emailTextFlat.length, emailTextFlat.indexOf(' ', idx + docBlock.length + 20) || emailTextFlat.length);
-          const context = emailTextFlat.substring(start, end).trim();
-          const ctxResult = getSimilarityScore(docBlock, context);
-          if (ctxResult.score > bestScore) {
-            bestScore = ctxResult.score;
-            bestSegment = (start > 0 ? '...' : '') + context + (end < emailTextFlat.length ? '...' : '');
-            bestPrecision = ctxResult.precision;
-            bestRecall = ctxResult.recall;
-          }
-          break;
-        }
-      }
-    }
+async function resolveEmailLinks(emailLinks) {
+  const uniqueHrefs = [...new Set(emailLinks.map(l => l.href).filter(h => /^https?:/i.test(h)))];
+  const resolved = await mapWithConcurrency(uniqueHrefs, linkTrackingConfig.concurrency, resolveTrackedUrl);
+  const byHref = new Map(resolved.map(r => [r.rawHref, r]));
+
+  const followed = resolved.filter(r => r.resolution === 'followed').length;
+  const unwrapped = resolved.filter(r => r.resolution === 'unwrapped').length;
+  if (followed || unwrapped) {
+    console.log(`Resolved tracked links: ${followed} followed, ${unwrapped} unwrapped`);
   }
 
-  return {
-    segment: bestSegment,
-    score: bestScore,
-    precision: bestPrecision,
-    recall: bestRecall
-  };
+  return emailLinks.map(link => {
+    const r = byHref.get(link.href);
+    if (!r) return { ...link, resolvedHref: link.href, resolution: 'none' };
+    return {
+      ...link,
+      resolvedHref: r.resolvedHref,
+      resolution: r.resolution,
+      trackingWrapper: r.wrapper,
+      ...(r.error ? { resolutionError: r.error } : {}),
+    };
+  });
 }
 
 // ---------------------------------------------------------
-// DETAILED TEXT COMPARISON (side-by-side: doc vs email)
+// SCRAPE EMAIL (using axios + cheerio - NO BROWSER NEEDED!)
+// Handles 302 redirect chains with cookie forwarding
+// Now with retry logic for intermittent failures
 // ---------------------------------------------------------
-const compareTextDetailed = (docText, emailText, emailParagraphs, threshold = 0.7) => {
-  // Split document into meaningful blocks (paragraphs/sentences)
-  const docBlocks = docText
-    .split(/\n{1,2}/)
-    .map((t) => t.trim())
-    .filter((t) => t.length > 10);
+async function getEmailContent(url) {
+  return withRetry(async () => {
+    return await _fetchEmailContent(url);
+  }, { retries: 3, baseDelay: 2000, label: 'Email fetch' });
+}
 
-  const results = {
-    matched: [],
-    partialMatch: [],
-    notFound: [],
-    metadata: []
-  };
+async function _fetchEmailContent(url) {
+  try {
+    const { response, finalUrl: currentUrl } = await followRedirects(url);
+    return parseEmailHtml(response.data, { resolvedUrl: currentUrl });
+  } catch (error) {
+    console.error("Error fetching email content:", error.message);
+    if (error.response) {
+      console.error(`Response status: ${error.response.status}`);
+      console.error(`Response headers:`, JSON.stringify(error.response.headers, null, 2));
+    }
+    throw new Error(`Failed to fetch email content: ${error.message}`);
+  }
+}
 
-  docBlocks.forEach((block) => {
-    const lower = block.toLowerCase();
+// Pulls text, paragraphs, links, images and subject/preheader out of email
+// HTML — shared by fetched previews, uploaded files, pasted HTML and .eml
+function parseEmailHtml(html, { resolvedUrl = null, meta = {} } = {}) {
+  const $ = cheerio.load(html);
 
-    // Check if it's metadata (subject, preheader)
-    if (lower.includes("subject:") || lower.includes("preheader:") ||
-      lower.startsWith("subject") || lower.startsWith("preheader")) {
-      results.metadata.push({
-        type: lower.includes("subject") ? "Subject Line" : "Preheader",
-        content: block,
-        note: "Not expected in email body (metadata only)"
-      });
-      return;
-    }
+  // Subject + preheader (read before any elements are stripped);
+  // headers from an .eml win over what the HTML suggests
+  const emailMeta = { ...extractEmailMeta($), ...meta };
 
-    // Find the best matching email segment using paragraph matching
-    const { segment: emailSegment, score: segmentScore, precision, recall } = findBestEmailSegment(block, emailParagraphs, emailText);
-    const percentage = Math.round(segmentScore * 100);
+  // Remove script and style elements
+  $('script, style, noscript').remove();
 
-    // Get word-level details
-    const { matchedWords, unmatchedWords, extraWords, totalWords, totalEmailWords } = getSimilarityScore(block, emailSegment);
+  // Extract text content (flat, for backward compat)
+  const text = $('body').text()
+    .replace(/\s+/g, ' ')
+    .trim();
 
-    const blockResult = {
-      originalText: block,              // Expected (from doc)
-      emailText: emailSegment,          // Actual (from email)
-      matchPercentage: percentage,       // F1 score against the segment
-      precision: Math.round((precision || 0) * 100),  // % of doc words found
-      recall: Math.round((recall || 0) * 100),        // % of email segment from doc
-      matchedWords: matchedWords.slice(0, 15),
-      unmatchedWords: unmatchedWords.slice(0, 15),
-      extraWords: (extraWords || []).slice(0, 10),
-      totalWords: totalWords,
-      totalEmailWords: totalEmailWords || 0
-    };
+  // Leaf blocks with heading / list hints for the structure check
+  const emailBlocks = extractEmailBlocks($);
 
-    if (segmentScore >= 0.9) {
-      blockResult.status = "FULL MATCH";
-      results.matched.push(blockResult);
-    } else if (segmentScore >= threshold) {
-      blockResult.status = "PARTIAL MATCH";
-      results.partialMatch.push(blockResult);
+  // Extract paragraph-level text blocks from the email HTML
+  // This preserves paragraph boundaries for accurate comparison
+  const paragraphs = [];
+  const blockSelectors = 'p, h1, h2, h3, h4, h5, h6, li, td, th, blockquote, caption';
+  $(blockSelectors).each((_, el) => {
+    // Skip if this element contains other block elements (avoid double-counting)
+    if ($(el).find(blockSelectors).length > 0 && el.tagName.toLowerCase() === 'td') {
+      return; // skip table cells that contain paragraphs
+    }
+    const txt = $(el).text().replace(/\s+/g, ' ').trim();
+    if (isMeaningfulText(txt)) {
+      paragraphs.push(txt);
+    }
+  });
+
+  // Deduplicate paragraphs (some content may appear in nested elements)
+  const emailParagraphs = [];
+  paragraphs.forEach(p => {
+    // Only add if not a substring of an already-added paragraph
+    const isDuplicate = emailParagraphs.some(existing =>
+      existing.includes(p) || p.includes(existing)
+    );
+    if (!isDuplicate) {
+      emailParagraphs.push(p);
     } else {
-      blockResult.status = "NOT FOUND";
-      results.notFound.push(blockResult);
+      // If this is longer than an existing one it contains, replace it
+      const shorterIdx = emailParagraphs.findIndex(existing => p.includes(existing) && p.length > existing.length);
+      if (shorterIdx !== -1) {
+        emailParagraphs[shorterIdx] = p;
+      }
     }
   });
 
-  // Calculate overall statistics
-  const totalBlocks = results.matched.length + results.partialMatch.length + results.notFound.length;
-  const overallScore = totalBlocks > 0
-    ? Math.round(((results.matched.length + results.partialMatch.length * 0.5) / totalBlocks) * 100)
-    : 100;
+  console.log(`Extracted ${emailParagraphs.length} paragraphs from email`);
 
-  return {
-    ...results,
-    summary: {
-      totalBlocks,
-      fullMatches: results.matched.length,
-      partialMatches: results.partialMatch.length,
-      notFound: results.notFound.length,
-      metadataItems: results.metadata.length,
-      overallScore
+  // Extract links
+  const links = [];
+  $('a').each((_, element) => {
+    const href = $(element).attr('href') || '';
+    // Image buttons have no text — fall back to the image's alt text
+    const linkText = $(element).text().replace(/\s+/g, ' ').trim() ||
+      ($(element).find('img[alt]').first().attr('alt') || '').trim();
+    if (href) {
+      links.push({ text: linkText, href: href });
+    }
+  });
+
+  // Extract images (distinguish missing alt vs empty alt)
+  const images = [];
+  $('img').each((_, element) => {
+    const src = $(element).attr('src') || '';
+    const hasAltAttr = element.attribs && 'alt' in element.attribs;
+    const alt = hasAltAttr ? $(element).attr('alt') : undefined;
+    if (src) {
+      images.push({
+        src,
+        alt,
+        width: $(element).attr('width'),
+        height: $(element).attr('height'),
+        style: $(element).attr('style') || '',
+      });
     }
+  });
+
+  console.log(`Successfully extracted: ${text.length} chars, ${links.length} links, ${images.length} images`);
+  return { text, html, links, images, emailParagraphs, emailBlocks, emailMeta, resolvedUrl };
+}
+
+// ---------------------------------------------------------
+// EMAIL SOURCES — preview URL, uploaded .html/.eml, or pasted HTML
+// Drafts behind a login, test-inbox sends and Marketo "Download HTML"
+// exports can't be fetched, so the same parse runs on uploaded content
+// ---------------------------------------------------------
+const EML_EXTENSIONS = ['.eml', '.mime'];
+
+// RFC 822 messages open with header lines; HTML files open with markup
+function looksLikeMimeMessage(content) {
+  const head = content.substring(0, 4000).replace(/^\uFEFF/, '');
+  if (/^\s*</.test(head)) return false;
+  const headerBlock = head.split(/\r?\n\r?\n/)[0];
+  return /^[\w-]+:[^\n]*$/m.test(headerBlock) &&
+    /^(mime-version|content-type|from|subject|received|return-path):/im.test(headerBlock);
+}
+
+// Honour a <meta charset> in uploaded HTML instead of assuming UTF-8
+function decodeHtmlBuffer(buffer) {
+  const sniff = buffer.subarray(0, 2048).toString('latin1');
+  const charset = (sniff.match(/<meta[^>]+charset=["']?([\w-]+)/i) || [])[1];
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(buffer);
+  } catch {
+    return buffer.toString('utf8');
+  }
+}
+
+async function parseEmlMessage(raw) {
+  const parsed = await simpleParser(raw);
+  const html = parsed.html || parsed.textAsHtml;
+  if (!html) {
+    throw new InputError('The .eml message has no HTML or text part');
+  }
+
+  const headers = {};
+  parsed.headerLines.forEach(({ key, line }) => {
+    const value = line.substring(line.indexOf(':') + 1).trim();
+    headers[key] = headers[key] ? [].concat(headers[key], value) : value;
+  });
+
+  const meta = {};
+  if (parsed.subject) {
+    meta.subject = parsed.subject;
+    meta.subjectSource = 'eml-header';
+  }
+
+  return {
+    ...parseEmailHtml(html, { meta }),
+    // mailparser generates text from the HTML when there's no text/plain part
+    plainText: /^content-type:\s*text\/plain/im.test(raw.toString()) ? parsed.text || null : null,
+    headers,
+    from: parsed.from ? parsed.from.text : null,
+    to: parsed.to ? [].concat(parsed.to).map(a => a.text).join(', ') : null,
+    date: parsed.date ? parsed.date.toISOString() : null,
+    hasHtmlPart: Boolean(parsed.html),
   };
-};
+}
+
+// Resolves whichever email source the request carried into the same shape
+// getEmailContent returns, plus a `source` description for the report
+async function loadEmailSource({ emailUrl, emailHtml, emailFile }) {
+  if (emailFile) {
+    const buffer = fs.readFileSync(emailFile.path);
+    const ext = path.extname(emailFile.originalname || '').toLowerCase();
+    const asText = buffer.toString('utf8');
+
+    if (EML_EXTENSIONS.includes(ext) || looksLikeMimeMessage(asText)) {
+      console.log(`Parsing uploaded message: ${emailFile.originalname}`);
+      const content = await parseEmlMessage(buffer);
+      return { ...content, source: { type: 'eml', name: emailFile.originalname } };
+    }
+
+    const html = decodeHtmlBuffer(buffer);
+    if (!/<\s*(html|body|table|div|p)\b/i.test(html)) {
+      throw new InputError(`"${emailFile.originalname}" is not an HTML file or .eml message`);
+    }
+    console.log(`Parsing uploaded HTML: ${emailFile.originalname}`);
+    return { ...parseEmailHtml(html), source: { type: 'html-file', name: emailFile.originalname } };
+  }
+
+  if (emailHtml && emailHtml.trim()) {
+    // Pasted source can be a whole .eml too (e.g. "Show original" in Gmail)
+    if (looksLikeMimeMessage(emailHtml)) {
+      const content = await parseEmlMessage(emailHtml);
+      return { ...content, source: { type: 'eml', name: 'Pasted message' } };
+    }
+    return { ...parseEmailHtml(emailHtml), source: { type: 'pasted-html', name: 'Pasted HTML' } };
+  }
+
+  const content = await getEmailContent(emailUrl);
+  return { ...content, source: { type: 'url', name: emailUrl } };
+}
+
 
 // ---------------------------------------------------------
-// LINK CHECK
+// COPY-DOC CONVENTIONS
+// Copy docs carry instructions ("[Insert hero image]"), designer notes,
+// tracked changes, strikethrough and "DO NOT INCLUDE" sections that are
+// not email copy. Format-specific markup (strikethrough, comments,
+// deletions) is dropped while extracting; the text-level conventions below
+// come from config/doc-conventions.json so teams can add their own markers
 // ---------------------------------------------------------
-const compareLinks = (docLinks, emailLinks) => {
-  const emailMap = emailLinks.map((l) => stripUtm(l.href));
-  const missing = [];
-  const report = [];
+const DOC_CONVENTIONS_CONFIG_PATH = process.env.DOC_CONVENTIONS_CONFIG ||
+  path.join(__dirname, 'config', 'doc-conventions.json');
 
-  docLinks.forEach((dl) => {
-    const docStripped = stripUtm(dl.href);
-    const found = emailMap.includes(docStripped);
+function loadDocConventions() {
+  const compile = (entries = []) => entries.map(e => ({
+    ...e,
+    regex: new RegExp(e.pattern, e.flags || ''),
+  }));
+  try {
+    const raw = JSON.parse(fs.readFileSync(DOC_CONVENTIONS_CONFIG_PATH, 'utf8'));
+    const conventions = {
+      instructionPatterns: compile(raw.instructionPatterns).map(p => ({ ...p, regex: new RegExp(p.pattern, `${(p.flags || '').replace('g', '')}g`) })),
+      noteLinePatterns: compile(raw.noteLinePatterns),
+      excludeSections: (raw.excludeSections || []).map(s => ({
+        ...s,
+        startRegex: new RegExp(s.start, s.flags || ''),
+        endRegex: s.end ? new RegExp(s.end, s.flags || '') : null,
+      })),
+    };
+    console.log(`Loaded doc conventions: ${conventions.instructionPatterns.length} instruction, ${conventions.noteLinePatterns.length} note, ${conventions.excludeSections.length} section patterns`);
+    return conventions;
+  } catch (error) {
+    console.warn(`Doc conventions config not loaded (${error.message}) — only [bracketed] instructions are skipped`);
+    return {
+      instructionPatterns: [{ name: 'Bracketed instruction', regex: /\[(?!\d+\])[^[\]\n]{1,300}\]/g }],
+      noteLinePatterns: [],
+      excludeSections: [],
+    };
+  }
+}
 
-    report.push({
-      text: dl.text,
-      docHref: dl.href,
-      foundInEmail: found ? "YES" : "NO",
-      utmInDoc: hasUtm(dl.href) ? "YES" : "NO",
+const docConventions = loadDocConventions();
+
+// Word XML: strikethrough and hidden runs are notes, moved-from text is a
+// tracked move's old location. mammoth already keeps <w:ins> and drops <w:del>
+const WORD_RUN_REGEX = /<w:r(?=[\s>])(?:(?!<\/w:r>)[\s\S])*?<\/w:r>/g;
+const WORD_STRIKE_REGEX = /<w:(?:d)?strike(?:\s+w:val="(?!false|0|off)[^"]*")?\s*\/>/;
+const WORD_HIDDEN_REGEX = /<w:vanish(?:\s+w:val="(?!false|0|off)[^"]*")?\s*\/>/;
+const wordRunText = (xml) => (xml.match(/<w:(?:t|delText)(?:\s[^>]*)?>([^<]*)<\/w:(?:t|delText)>/g) || [])
+  .map(t => t.replace(/<[^>]+>/g, '')).join('');
+
+async function stripWordMarkup(zip) {
+  const entry = zip.file('word/document.xml');
+  let xml = await entry.async('string');
+  const removed = [];
+  const note = (reason, text) => {
+    const clean = text.replace(/\s+/g, ' ').trim();
+    if (clean) removed.push({ reason, text: clean });
+  };
+
+  (xml.match(/<w:del\s[^>]*[^/]>[\s\S]*?<\/w:del>/g) || []).forEach(del => note('Tracked deletion', wordRunText(del)));
+
+  xml = xml.replace(/<w:moveFrom(?:\s[^>]*)?(?<!\/)>[\s\S]*?<\/w:moveFrom>/g, (match) => {
+    note('Tracked move (old position)', wordRunText(match));
+    return '';
+  });
+  xml = xml.replace(/<\/?w:moveTo(?=[\s>/])[^>]*>/g, '');
+
+  xml = xml.replace(WORD_RUN_REGEX, (run) => {
+    const props = (run.match(/<w:rPr>[\s\S]*?<\/w:rPr>/) || [''])[0];
+    if (WORD_STRIKE_REGEX.test(props)) {
+      note('Strikethrough', wordRunText(run));
+      return '';
+    }
+    if (WORD_HIDDEN_REGEX.test(props)) {
+      note('Hidden text', wordRunText(run));
+      return '';
+    }
+    return run;
+  });
+
+  zip.file('word/document.xml', xml);
+  return { buffer: await zip.generateAsync({ type: 'nodebuffer' }), removed };
+}
+
+// HTML (incl. Google Docs exports): <s>/<del>, line-through styles, hidden
+// elements and Google Docs comment threads
+function stripHtmlMarkup($) {
+  const removed = [];
+  const note = (reason, el) => {
+    const text = $(el).text().replace(/\s+/g, ' ').trim();
+    if (text) removed.push({ reason, text });
+    $(el).remove();
+  };
+
+  // Google Docs styles text through generated classes: .c7{text-decoration:line-through}
+  const strikeClasses = [];
+  $('style').each((_, el) => {
+    const css = $(el).html() || '';
+    for (const m of css.matchAll(/\.([\w-]+)\s*\{[^}]*line-through[^}]*\}/g)) strikeClasses.push(m[1]);
+  });
+
+  $('a[href^="#cmnt"]:not([href^="#cmnt_ref"])').each((_, el) => {
+    const ref = $(el).attr('href').substring(1);
+    const thread = $(`[id="${ref}"]`).closest('div');
+    // Only the comment's own <div>, never a wrapper that also holds the copy
+    if (thread.length && !thread.find(`[id="${$(el).attr('id')}"]`).length) {
+      thread.find('a[href^="#cmnt"]').remove();
+      note('Comment', thread);
+    }
+    $(el).closest('sup').length ? $(el).closest('sup').remove() : $(el).remove();
+  });
+  $('s, strike, del, [style*="line-through" i]').each((_, el) => note('Strikethrough', el));
+  strikeClasses.forEach(cls => $(`.${cls}`).each((_, el) => note('Strikethrough', el)));
+  $('body [style*="display:none" i], body [style*="display: none" i], [hidden]').each((_, el) => note('Hidden text', el));
+
+  return removed;
+}
+
+// Only the configured instruction markers are removed — a "(Tuesday)" in the
+// copy is still compared against the email
+function stripInstructions(line, onMatch = () => {}) {
+  let text = line;
+  docConventions.instructionPatterns.forEach(p => {
+    text = text.replace(p.regex, (match) => {
+      onMatch(p, match);
+      return ' ';
     });
+  });
+  return text.replace(/[ \t]{2,}/g, ' ').replace(/\s+([,.;:!?])/g, '$1').trim();
+}
 
-    if (!found) missing.push(dl);
+// Instructions, designer-note lines and marker sections, applied to every format
+function applyDocConventions(parts) {
+  const headingTexts = new Set((parts.headings || []).map(h => h.text));
+  const excluded = [...(parts.removed || [])];
+  const kept = [];
+  let openSection = null;
+
+  parts.docText.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) {
+      kept.push(rawLine);
+      return;
+    }
+
+    if (openSection) {
+      const ends = openSection.endRegex ? openSection.endRegex.test(line) : false;
+      // Sections without an end marker (or a missing one) close at the next heading
+      if (!ends && headingTexts.has(line)) {
+        openSection = null;
+      } else {
+        excluded.push({ reason: openSection.name, text: line });
+        if (ends) openSection = null;
+        return;
+      }
+    }
+
+    const section = docConventions.excludeSections.find(s => s.startRegex.test(line));
+    if (section) {
+      excluded.push({ reason: section.name, text: line });
+      openSection = section;
+      return;
+    }
+
+    const noteLine = docConventions.noteLinePatterns.find(p => p.regex.test(line));
+    if (noteLine) {
+      excluded.push({ reason: noteLine.name, text: line });
+      return;
+    }
+
+    const text = stripInstructions(rawLine, (p, match) => excluded.push({ reason: p.name, text: match }));
+    if (text && /[\p{L}\p{N}]/u.test(text)) kept.push(text);
   });
 
-  return { report, missing };
-};
+  const docText = kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  const keptNormalized = normalize(docText);
+
+  // Structure blocks follow the same skips, minus the instructions inside them
+  const structure = (parts.structure || [])
+    .map(b => ({ ...b, text: stripInstructions(b.text) }))
+    .filter(b => {
+      const text = normalize(b.text);
+      return text && keptNormalized.includes(text);
+    });
+
+  // Links whose text only lives in skipped content aren't expected in the email
+  const docLinks = parts.docLinks.filter(link => {
+    const text = normalize(link.text || '');
+    return !text || keptNormalized.includes(text) ||
+      !excluded.some(e => normalize(e.text).includes(text));
+  });
+
+  return {
+    ...parts,
+    docText,
+    docLinks,
+    structure,
+    headings: structure.filter(b => b.type === 'heading').map(({ level, text }) => ({ level, text })),
+    excluded,
+  };
+}
 
 // ---------------------------------------------------------
-// IMAGE ALT TAG CHECK
+// DOCUMENT INGEST — .docx, .odt, PDF, HTML / Google Docs exports,
+// Markdown and plain text. The format is sniffed from the file's bytes
+// (extensions lie: Google Docs zips, .txt that are really HTML ...).
+// Every format yields { docText, docLinks, structure } with one
+// paragraph per line, the shape splitDocBlocks expects; structure keeps
+// each line's role (heading / list item / paragraph) for checkStructure
 // ---------------------------------------------------------
-function checkImageAltTags(images) {
-  const results = [];
-  let missingCount = 0;
-  let emptyCount = 0;
-  let genericCount = 0;
-  let validCount = 0;
+const DOC_FORMAT_LABELS = {
+  docx: 'Word document (.docx)',
+  odt: 'OpenDocument text (.odt)',
+  pdf: 'PDF',
+  html: 'HTML / Google Docs export',
+  'html-zip': 'Google Docs zipped HTML export',
+  markdown: 'Markdown',
+  text: 'Plain text',
+};
 
-  // Common generic/placeholder alt text patterns
-  const genericPatterns = [
-    /^image$/i,
-    /^img$/i,
-    /^photo$/i,
-    /^picture$/i,
-    /^banner$/i,
-    /^logo$/i,
-    /^icon$/i,
-    /^spacer$/i,
-    /^pixel$/i,
-    /^untitled$/i,
-    /^\d+$/,
-    /^image\s*\d+$/i,
-    /^img\s*\d+$/i,
-    /^dsc\d+$/i,
-    /^screenshot/i,
-    /^\.\w+$/,           // just a file extension like ".jpg"
-    /^https?:\/\//i,     // URL used as alt text
-  ];
+const BLOCK_TAGS = 'p, h1, h2, h3, h4, h5, h6, li, blockquote, td, th';
+const HEADING_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+const DOC_ZIP_MAX_ENTRIES = 500;
+const DOC_ZIP_MAX_ENTRY_BYTES = 50 * 1024 * 1024;
+const DOC_ZIP_MAX_TOTAL_BYTES = 100 * 1024 * 1024;
 
-  // Image src patterns that are decorative/tracking pixels
-  const decorativePatterns = [
-    /spacer/i,
-    /pixel/i,
-    /tracking/i,
-    /blank\.gif/i,
-    /1x1/i,
-    /transparent/i,
-    /shim/i,
-  ];
+const ZIP_END_SIGNATURE = 0x06054b50;
+const ZIP_CENTRAL_SIGNATURE = 0x02014b50;
+const ZIP_END_RECORD_BYTES = 22;
+const ZIP_CENTRAL_HEADER_BYTES = 46;
 
-  images.forEach((img, index) => {
-    const src = img.src || '';
-    const alt = (img.alt || '').trim();
+// Name and declared uncompressed size of every entry, read from the central
+// directory. A Zip64 size (0xFFFFFFFF) reads as 4 GB, over any limit here
+function readZipDirectory(buffer, label) {
+  const unreadable = () => new InputError(`${label} has an unreadable zip directory`);
+  // The end record sits last, followed only by a comment of up to 64 KB
+  const lowest = Math.max(0, buffer.length - ZIP_END_RECORD_BYTES - 0xFFFF);
+  let end = -1;
+  for (let i = buffer.length - ZIP_END_RECORD_BYTES; i >= lowest; i--) {
+    if (buffer.readUInt32LE(i) === ZIP_END_SIGNATURE) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw unreadable();
 
-    // Check if it's likely a decorative/tracking pixel
-    const isDecorative = decorativePatterns.some(p => p.test(src)) ||
-      (src.includes('width=1') && src.includes('height=1'));
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (offset + ZIP_CENTRAL_HEADER_BYTES > buffer.length || buffer.readUInt32LE(offset) !== ZIP_CENTRAL_SIGNATURE) throw unreadable();
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const start = offset + ZIP_CENTRAL_HEADER_BYTES;
+    entries.push({ name: buffer.toString('utf8', start, start + nameLength), size: buffer.readUInt32LE(offset + 24) });
+    offset = start + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+  return entries;
+}
 
-    let status, severity, message;
+// Zip bombs: a few KB can declare gigabytes, so the declared sizes are
+// checked before anything is inflated (readZipEntry catches sizes that lie)
+function checkZipSizes(buffer, { maxEntryBytes, maxTotalBytes, label }) {
+  let total = 0;
+  for (const { name, size } of readZipDirectory(buffer, label)) {
+    if (size > maxEntryBytes) {
+      throw new InputError(`"${name}" in ${label} unpacks to ${formatBytes(size)} — the limit per file is ${formatBytes(maxEntryBytes)}`);
+    }
+    total += size;
+    if (total > maxTotalBytes) {
+      throw new InputError(`${label} unpacks to more than ${formatBytes(maxTotalBytes)}`);
+    }
+  }
+}
 
-    if (!img.alt && img.alt !== '') {
-      // alt attribute is completely missing from the <img> tag
-      status = 'MISSING';
-      severity = isDecorative ? 'low' : 'high';
-      message = isDecorative
-        ? 'Alt attribute missing (likely decorative/tracking pixel)'
-        : 'Alt attribute is completely missing — accessibility issue';
-      missingCount++;
-    } else if (alt === '') {
-      // alt="" (empty) — acceptable for decorative images
-      if (isDecorative) {
-        status = 'OK';
-        severity = 'none';
-        message = 'Empty alt text (decorative image — acceptable)';
-        validCount++;
-      } else {
-        status = 'EMPTY';
-        severity = 'medium';
-        message = 'Alt text is empty — should have descriptive text unless purely decorative';
-        emptyCount++;
+// Inflates one entry but stops at maxBytes, in case the declared size lied
+function readZipEntry(entry, maxBytes, label) {
+  return new Promise((resolve, reject) => {
+    let chunks = [];
+    let total = 0;
+    const stream = entry.nodeStream('nodebuffer');
+    const onData = (chunk) => {
+      total += chunk.length;
+      if (total <= maxBytes) {
+        chunks.push(chunk);
+        return;
       }
-    } else if (genericPatterns.some(p => p.test(alt))) {
-      // Generic/placeholder alt text
-      status = 'GENERIC';
-      severity = 'medium';
-      message = `Alt text "${alt}" appears generic or auto-generated`;
-      genericCount++;
-    } else {
-      // Has meaningful alt text
-      status = 'OK';
-      severity = 'none';
-      message = 'Has descriptive alt text';
-      validCount++;
+      // Stopped for good: nothing reads from or resumes the inflater again
+      stream.removeAllListeners();
+      stream.on('error', () => {});
+      stream.destroy();
+      chunks = null;
+      reject(new InputError(`"${entry.name}" in ${label} unpacks to more than ${formatBytes(maxBytes)}`));
+    };
+    stream
+      .on('data', onData)
+      .on('error', reject)
+      .on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+function decodeTextBuffer(buffer) {
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) return new TextDecoder('utf-16le').decode(buffer);
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) return new TextDecoder('utf-16be').decode(buffer);
+  return buffer.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+async function detectDocFormat(buffer, originalName = '') {
+  const ext = path.extname(originalName).toLowerCase();
+  const magic = buffer.subarray(0, 8);
+
+  if (buffer.length === 0) {
+    throw new InputError(`"${originalName}" is empty`);
+  }
+  if (magic.toString('latin1', 0, 5) === '%PDF-') {
+    return { format: 'pdf' };
+  }
+  if (magic[0] === 0x50 && magic[1] === 0x4B && magic[2] === 0x03 && magic[3] === 0x04) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+      throw new InputError(`"${originalName}" looks like a zip-based document but couldn't be opened — the file may be corrupt (${error.message})`);
+    }
+    const entries = Object.keys(zip.files);
+    if (entries.length > DOC_ZIP_MAX_ENTRIES) {
+      throw new InputError(`"${originalName}" contains ${entries.length} files — too many for a copy document export`);
     }
+    checkZipSizes(buffer, {
+      maxEntryBytes: DOC_ZIP_MAX_ENTRY_BYTES,
+      maxTotalBytes: DOC_ZIP_MAX_TOTAL_BYTES,
+      label: `"${originalName}"`,
+    });
+    if (zip.file('word/document.xml')) return { format: 'docx', zip };
+    const mimetype = zip.file('mimetype') ? (await zip.file('mimetype').async('string')).trim() : '';
+    if (mimetype === 'application/vnd.oasis.opendocument.text') return { format: 'odt', zip };
+    if (entries.some(name => /\.html?$/i.test(name) && !name.startsWith('__MACOSX'))) return { format: 'html-zip', zip };
+    throw new InputError(`"${originalName}" is a zip archive but not a .docx, .odt or Google Docs HTML export`);
+  }
+  if (magic[0] === 0xD0 && magic[1] === 0xCF && magic[2] === 0x11 && magic[3] === 0xE0) {
+    throw new InputError(`"${originalName}" is a legacy Word (.doc) file — save it as .docx and upload again`);
+  }
+  if (magic.toString('latin1', 0, 5) === '{\\rtf') {
+    throw new InputError(`"${originalName}" is an RTF file — save it as .docx and upload again`);
+  }
+
+  // Anything left must be text; NUL bytes mean some other binary format
+  const sample = buffer.subarray(0, 8192);
+  const isUtf16 = (sample[0] === 0xFF && sample[1] === 0xFE) || (sample[0] === 0xFE && sample[1] === 0xFF);
+  if (!isUtf16 && sample.includes(0)) {
+    throw new InputError(`"${originalName}" is not a supported document (${Object.values(DOC_FORMAT_LABELS).join(', ')})`);
+  }
+
+  const text = decodeTextBuffer(buffer);
+  if (/^\s*(<!doctype html|<html|<head|<meta|<body)/i.test(text) || ((ext === '.html' || ext === '.htm') && /<\w+[^>]*>/.test(text))) {
+    return { format: 'html', text };
+  }
+  const markdownSignals = /^#{1,6}\s+\S|\[[^\]]+\]\([^)\s]+\)|^\s*[-*+]\s+\S|\*\*[^*]+\*\*/m;
+  if (ext === '.md' || ext === '.markdown' || markdownSignals.test(text)) {
+    return { format: 'markdown', text };
+  }
+  return { format: 'text', text };
+}
+
+// One paragraph per line from HTML (Google Docs exports, mammoth output)
+function htmlToDocParts(html) {
+  const $ = cheerio.load(html);
+  const removed = stripHtmlMarkup($);
+  $('script, style, noscript, title').remove();
+
+  const lines = [];
+  const structure = [];
+  const lists = $('ul, ol').toArray();
+  $(BLOCK_TAGS).each((_, el) => {
+    const tag = el.tagName.toLowerCase();
+    let node = $(el);
+    // Containers of other blocks (e.g. a <td> holding <p>s) are read via their
+    // children; a list item holding a nested list keeps its own line
+    if (node.find(BLOCK_TAGS).length > 0) {
+      if (tag !== 'li') return;
+      node = node.clone();
+      node.find('ul, ol').remove();
+      if (node.find(BLOCK_TAGS).length > 0) return;
+    }
+    const txt = node.text().replace(/\s+/g, ' ').trim();
+    if (!txt) return;
+    lines.push(txt);
+
+    const listItem = tag === 'li' ? el : $(el).closest('li')[0];
+    if (HEADING_TAGS.includes(tag)) {
+      structure.push({ type: 'heading', level: Number(tag[1]), text: txt });
+    } else if (listItem) {
+      const listEl = $(listItem).parent()[0];
+      // Google Docs opens a new <ul class="lst-kix_…"> per item; the class ties them together
+      const kixList = ((listEl.attribs && listEl.attribs.class) || '').match(/lst-kix_\w+-\d+/);
+      structure.push({
+        type: 'list-item',
+        listType: listEl.tagName.toLowerCase() === 'ol' ? 'ol' : 'ul',
+        listId: kixList ? kixList[0] : `list-${lists.indexOf(listEl)}`,
+        text: txt,
+      });
+    } else {
+      structure.push({ type: 'paragraph', text: txt });
+    }
+  });
+
+  const links = [];
+  $('a[href]').each((_, el) => {
+    const href = ($(el).attr('href') || '').trim();
+    if (!href || href.startsWith('#')) return;
+    // Google Docs routes every link through google.com/url?q=
+    links.push({ text: $(el).text().replace(/\s+/g, ' ').trim(), href: unwrapTrackedUrl(href) });
+  });
+
+  return { docText: lines.join('\n\n'), docLinks: links, structure, removed };
+}
+
+async function extractDocx(zip) {
+  let rawText;
+  let html;
+  let removed;
+  try {
+    let buffer;
+    ({ buffer, removed } = await stripWordMarkup(zip));
+    rawText = (await mammoth.extractRawText({ buffer })).value || "";
+    html = (await mammoth.convertToHtml({ buffer })).value || "";
+  } catch (error) {
+    throw new InputError(`The .docx file couldn't be read — it may be corrupt or password-protected (${error.message})`);
+  }
+
+  const links = [];
+  const anchorRegex = /<a[^>]*href="([^"]+)"[^>]*>([^<]*)<\/a>/gi;
+  let match;
+  while ((match = anchorRegex.exec(html)) !== null) {
+    // mammoth HTML-escapes query strings (&amp;) — decode so UTM params parse
+    links.push({ text: match[2].trim(), href: match[1].trim().replace(/&amp;/g, '&') });
+  }
+
+  return { docText: rawText, docLinks: links, structure: htmlToDocParts(html).structure, removed };
+}
+
+async function extractOdt(zip) {
+  const content = zip.file('content.xml');
+  if (!content) {
+    throw new InputError('The .odt file has no content.xml — it may be corrupt');
+  }
+  const $ = cheerio.load(await content.async('string'), { xmlMode: true });
+
+  const removed = [];
+  const note = (reason, el) => {
+    const text = $(el).text().replace(/\s+/g, ' ').trim();
+    if (text) removed.push({ reason, text });
+    $(el).remove();
+  };
+
+  // Spacing elements carry no text of their own
+  $('text\\:s').each((_, el) => { $(el).replaceWith(' '.repeat(Number($(el).attr('text:c')) || 1)); });
+  $('text\\:tab, text\\:line-break').replaceWith(' ');
+  $('text\\:note').remove();
+
+  // Comments, tracked deletions (kept in <text:tracked-changes>) and struck-through spans
+  $('office\\:annotation dc\\:creator, office\\:annotation dc\\:date').remove();
+  $('office\\:annotation').each((_, el) => note('Comment', el));
+  $('text\\:tracked-changes text\\:deletion').each((_, el) => note('Tracked deletion', el));
+  $('text\\:tracked-changes').remove();
+  $('style\\:style').each((_, el) => {
+    const through = $(el).find('style\\:text-properties').attr('style:text-line-through-style');
+    if (through && through !== 'none') {
+      const name = $(el).attr('style:name');
+      $(`text\\:span[text\\:style-name="${name}"]`).each((_, span) => note('Strikethrough', span));
+    }
+  });
+
+  const lines = [];
+  const structure = [];
+  const lists = $('text\\:list').toArray();
+  $('text\\:h, text\\:p').each((_, el) => {
+    const txt = $(el).text().replace(/\s+/g, ' ').trim();
+    if (!txt) return;
+    lines.push(txt);
+    const listEl = $(el).closest('text\\:list-item').parent()[0];
+    if (el.tagName === 'text:h') {
+      structure.push({ type: 'heading', level: Number($(el).attr('text:outline-level')) || 1, text: txt });
+    } else if (listEl) {
+      structure.push({ type: 'list-item', listType: null, listId: `list-${lists.indexOf(listEl)}`, text: txt });
+    } else {
+      structure.push({ type: 'paragraph', text: txt });
+    }
+  });
+
+  const links = [];
+  $('text\\:a').each((_, el) => {
+    const href = ($(el).attr('xlink:href') || '').trim();
+    if (href && !href.startsWith('#')) {
+      links.push({ text: $(el).text().replace(/\s+/g, ' ').trim(), href });
+    }
+  });
+
+  return { docText: lines.join('\n\n'), docLinks: links, structure, removed };
+}
+
+// PDF has no paragraph structure: text comes back one visual line at a time, so
+// a wrapped paragraph would be several blocks. A blank line always ends a
+// paragraph; otherwise a line carries on the previous one when that stopped
+// mid-sentence and this one starts lower-case (or with a digit / punctuation)
+const PDF_LIST_ITEM_REGEX = /^([•●▪◦*\-–]|\d+[.)])\s/;
+const PDF_SENTENCE_END_REGEX = /[.!?:;]["'”’)]*$/;
+
+function reflowPdfLines(lines) {
+  const paragraphs = [];
+  let open = false;
+  lines.forEach(line => {
+    if (!line) {
+      open = false;
+      return;
+    }
+    const last = paragraphs[paragraphs.length - 1];
+    const continues = open && !PDF_LIST_ITEM_REGEX.test(line) &&
+      !PDF_SENTENCE_END_REGEX.test(last) && /^[\p{Ll}\p{N}(,;–—]/u.test(line);
+    if (continues) {
+      // "well-" + "known" stays hyphenated; every other wrap was a space
+      paragraphs[paragraphs.length - 1] = last.endsWith('-') ? `${last}${line}` : `${last} ${line}`;
+    } else {
+      paragraphs.push(line);
+    }
+    open = true;
+  });
+  return paragraphs;
+}
+
+async function extractPdf(buffer) {
+  const parser = new PDFParse({ data: new Uint8Array(buffer) });
+  try {
+    const { pages } = await parser.getText();
+    const info = await parser.getInfo({ parsePageInfo: true });
+    const links = (info.pages || []).flatMap(page => (page.links || [])
+      .filter(link => link.url)
+      .map(link => ({ text: (link.text || '').replace(/\s+/g, ' ').trim(), href: link.url })));
+
+    // Pages are joined without a break — a paragraph can run onto the next page
+    const lines = (pages || []).flatMap(page => page.text.trim().split(/\r?\n/)).map(line => line.trim());
+    return { docText: reflowPdfLines(lines).join('\n'), docLinks: links };
+  } catch (error) {
+    if (error.name === 'PasswordException') {
+      throw new InputError('The PDF is password-protected — remove the password and upload again');
+    }
+    throw new InputError(`The PDF couldn't be read — it may be corrupt (${error.message})`);
+  } finally {
+    await parser.destroy();
+  }
+}
+
+function extractMarkdown(source) {
+  const lines = [];
+  const structure = [];
+  let listCount = 0;
+  let inList = false;
+  const links = [];
+  const removed = [];
+
+  // HTML comments and ~~strikethrough~~ are reviewer notes, not copy
+  const markdown = source
+    .replace(/<!--([\s\S]*?)-->/g, (match, text) => {
+      if (text.trim()) removed.push({ reason: 'Comment', text: text.replace(/\s+/g, ' ').trim() });
+      return '';
+    })
+    .replace(/~~([^~\n]+)~~/g, (match, text) => {
+      removed.push({ reason: 'Strikethrough', text: text.trim() });
+      return '';
+    });
+  const linkRegex = /!?\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+
+  markdown.split(/\r?\n/).forEach(rawLine => {
+    let line = rawLine.trim();
+    if (!line || /^(```|~~~|---+|\*\*\*+|___+)$/.test(line)) return;
+
+    const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+    if (heading) line = heading[2];
+    line = line.replace(/^>\s*/, '');
+    const listMarker = line.match(/^([-*+]|\d+[.)])\s+/);
+    if (listMarker) line = line.substring(listMarker[0].length);
+
+    line = line.replace(linkRegex, (match, text, href) => {
+      if (!match.startsWith('!')) links.push({ text: text.trim(), href });
+      return text;
+    });
+    line = line
+      .replace(/(\*\*|__)(.+?)\1/g, '$2')
+      .replace(/(^|\W)[*_](\S.*?\S|\S)[*_](?=\W|$)/g, '$1$2')
+      .replace(/`([^`]+)`/g, '$1')
+      .trim();
+    if (!line) return;
+
+    lines.push(line);
+    if (heading) {
+      structure.push({ type: 'heading', level: heading[1].length, text: line });
+    } else if (listMarker) {
+      if (!inList) listCount++;
+      structure.push({ type: 'list-item', listType: /\d/.test(listMarker[1]) ? 'ol' : 'ul', listId: `list-${listCount}`, text: line });
+    } else {
+      structure.push({ type: 'paragraph', text: line });
+    }
+    inList = Boolean(listMarker);
+  });
+
+  return { docText: lines.join('\n\n'), docLinks: links, structure, removed };
+}
+
+async function extractDoc(filePath, originalName = path.basename(filePath)) {
+  const buffer = fs.readFileSync(filePath);
+  const detected = await detectDocFormat(buffer, originalName);
+  console.log(`Document format: ${DOC_FORMAT_LABELS[detected.format]}`);
+
+  let parts;
+  switch (detected.format) {
+    case 'docx':
+      parts = await extractDocx(detected.zip);
+      break;
+    case 'odt':
+      parts = await extractOdt(detected.zip);
+      break;
+    case 'pdf':
+      parts = await extractPdf(buffer);
+      break;
+    case 'html-zip': {
+      const htmlEntry = Object.values(detected.zip.files)
+        .filter(f => !f.dir && /\.html?$/i.test(f.name) && !f.name.startsWith('__MACOSX'))
+        .sort((a, b) => a.name.split('/').length - b.name.split('/').length)[0];
+      parts = htmlToDocParts(await htmlEntry.async('string'));
+      break;
+    }
+    case 'html':
+      parts = htmlToDocParts(detected.text);
+      break;
+    case 'markdown':
+      parts = extractMarkdown(detected.text);
+      break;
+    default:
+      parts = {
+        docText: detected.text.split(/\r?\n/).map(l => l.trim()).filter(Boolean).join('\n\n'),
+        docLinks: [],
+      };
+  }
+
+  // PDF and plain text carry no structure — every line is a paragraph
+  parts.structure = parts.structure ||
+    parts.docText.split(/\n+/).filter(l => l.trim()).map(text => ({ type: 'paragraph', text: text.trim() }));
+  parts.headings = parts.structure.filter(b => b.type === 'heading').map(({ level, text }) => ({ level, text }));
+
+  parts = applyDocConventions(parts);
+  if (parts.excluded.length > 0) {
+    console.log(`Skipped ${parts.excluded.length} instructions / notes / struck-through items in the document`);
+  }
+
+  if (!parts.docText.trim()) {
+    throw new InputError(detected.format === 'pdf'
+      ? `"${originalName}" has no extractable text — scanned PDFs need OCR before they can be compared`
+      : `"${originalName}" contains no readable text`);
+  }
+
+  // RAW URLs
+  new Set(parts.docText.match(/https?:\/\/[^\s"')]+/gi) || []).forEach((u) =>
+    parts.docLinks.push({ text: u, href: u })
+  );
+
+  return { ...parts, format: detected.format, formatLabel: DOC_FORMAT_LABELS[detected.format] };
+}
+
+// Drop the surrounding words of a context window that sit outside the doc
+// block's matched span, so the redline doesn't flag them as insertions
+function trimToMatchedSpan(docBlock, context) {
+  const { diff } = diffWords(docBlock, context);
+  let first = 0;
+  let last = diff.length - 1;
+  while (first <= last && diff[first].type === 'insert') first++;
+  while (last >= first && diff[last].type === 'insert') last--;
+  return diff.slice(first, last + 1).map(d => d.email).filter(Boolean).join(' ');
+}
+
+// ---------------------------------------------------------
+// FIND BEST EMAIL SEGMENT for a doc block
+// Matches against actual email paragraphs for clean segments
+// ---------------------------------------------------------
+function findBestEmailSegment(docBlock, emailParagraphs, emailTextFlat) {
+  if (!docBlock) return { segment: '', score: 0, precision: 0, recall: 0 };
+
+  let bestSegment = '';
+  let bestScore = 0;
+  let bestPrecision = 0;
+  let bestRecall = 0;
+
+  // Strategy 1: Match against individual email paragraphs
+  if (emailParagraphs && emailParagraphs.length > 0) {
+    emailParagraphs.forEach(para => {
+      const result = getSimilarityScore(docBlock, para);
+      if (result.score > bestScore) {
+        bestScore = result.score;
+        bestSegment = para;
+        bestPrecision = result.precision;
+        bestRecall = result.recall;
+      }
+    });
+
+    // Also try combining consecutive paragraphs (2-3) for multi-paragraph doc blocks
+    for (let i = 0; i < emailParagraphs.length - 1; i++) {
+      const combined2 = emailParagraphs[i] + ' ' + emailParagraphs[i + 1];
+      const result2 = getSimilarityScore(docBlock, combined2);
+      if (result2.score > bestScore) {
+        bestScore = result2.score;
+        bestSegment = combined2;
+        bestPrecision = result2.precision;
+        bestRecall = result2.recall;
+      }
+
+      if (i < emailParagraphs.length - 2) {
+        const combined3 = combined2 + ' ' + emailParagraphs[i + 2];
+        const result3 = getSimilarityScore(docBlock, combined3);
+        if (result3.score > bestScore) {
+          bestScore = result3.score;
+          bestSegment = combined3;
+          bestPrecision = result3.precision;
+          bestRecall = result3.recall;
+        }
+      }
+    }
+  }
+
+  // Strategy 2: If no good paragraph match and we have flat text, use it as fallback
+  if (bestScore < 0.4 && emailTextFlat) {
+    const flatResult = getSimilarityScore(docBlock, emailTextFlat);
+    if (flatResult.precision > 0.5) {
+      // Content exists somewhere in email but wasn't in a clean paragraph
+      // Extract a rough context
+      const docWords = normalize(docBlock).split(' ').filter(Boolean);
+      const emailLower = emailTextFlat.toLowerCase();
+      // Find a distinctive word from the doc
+      const longWords = docWords.filter(w => w.length > 5).slice(0, 3);
+      for (const word of longWords) {
+        const idx = emailLower.indexOf(word);
+        if (idx !== -1) {
+          const start = Math.max(0, emailTextFlat.lastIndexOf(' ', Math.max(0, idx - 20)));
+          const end = Math.min(emailTextFlat.length, emailTextFlat.indexOf(' ', idx + docBlock.length + 20) || emailTextFlat.length);
+          const context = trimToMatchedSpan(docBlock, emailTextFlat.substring(start, end).trim());
+          const ctxResult = getSimilarityScore(docBlock, context);
+          if (ctxResult.score > bestScore) {
+            bestScore = ctxResult.score;
+            bestSegment = (start > 0 ? '...' : '') + context + (end < emailTextFlat.length ? '...' : '');
+            bestPrecision = ctxResult.precision;
+            bestRecall = ctxResult.recall;
+          }
+          break;
+        }
+      }
+    }
+  }
+
+  return {
+    segment: bestSegment,
+    score: bestScore,
+    precision: bestPrecision,
+    recall: bestRecall
+  };
+}
+
+// ---------------------------------------------------------
+// DETAILED TEXT COMPARISON (side-by-side: doc vs email)
+// ---------------------------------------------------------
+// "Subject line:" alone, with its value in the next block
+const isDocMetaLabelOnly = (block = "") => {
+  const meta = parseDocMetaBlock(block);
+  return !!meta && !meta.value;
+};
+
+// Split document into meaningful blocks (paragraphs/sentences); a bare
+// subject / preheader label is joined with the value that follows it
+const splitDocBlocks = (docText = "") =>
+  docText
+    .split(/\n{1,2}/)
+    .map((t) => t.trim())
+    .filter(Boolean)
+    .reduce((blocks, block) => {
+      const last = blocks[blocks.length - 1];
+      if (last !== undefined && isDocMetaLabelOnly(last) && !parseDocMetaBlock(block)) {
+        blocks[blocks.length - 1] = `${last} ${block}`;
+      } else {
+        blocks.push(block);
+      }
+      return blocks;
+    }, [])
+    .filter(isMeaningfulText);
+
+const compareTextDetailed = (docText, emailText, emailParagraphs, threshold = 0.7) => {
+  const docBlocks = splitDocBlocks(docText);
+
+  const results = {
+    matched: [],
+    partialMatch: [],
+    notFound: [],
+    metadata: []
+  };
+
+  docBlocks.forEach((block) => {
+    // Subject / preheader blocks are verified separately by checkSubjectPreheader
+    const meta = parseDocMetaBlock(block);
+    if (meta) {
+      results.metadata.push({
+        type: meta.field === "subject" ? "Subject Line" : "Preheader",
+        field: meta.field,
+        variant: meta.variant,
+        value: meta.value,
+        content: block,
+        note: "Verified against the email's subject / preheader (not the body)"
+      });
+      return;
+    }
+
+    // Find the best matching email segment using paragraph matching
+    const { segment: emailSegment, score: segmentScore, precision, recall } = findBestEmailSegment(block, emailParagraphs, emailText);
+    const percentage = Math.round(segmentScore * 100);
+
+    // Get word-level details
+    const { matchedWords, unmatchedWords, extraWords, diff, changeCount, totalWords, totalEmailWords } = getSimilarityScore(block, emailSegment);
+
+    const blockResult = {
+      originalText: block,              // Expected (from doc)
+      emailText: emailSegment,          // Actual (from email)
+      matchPercentage: percentage,       // F1 score against the segment
+      precision: Math.round((precision || 0) * 100),  // % of doc words found
+      recall: Math.round((recall || 0) * 100),        // % of email segment from doc
+      matchedWords: matchedWords.slice(0, 15),
+      unmatchedWords: unmatchedWords.slice(0, 15),
+      extraWords: (extraWords || []).slice(0, 10),
+      diff: emailSegment ? diff : [],   // ordered redline (doc → email)
+      changeCount: emailSegment ? changeCount : 0,
+      totalWords: totalWords,
+      totalEmailWords: totalEmailWords || 0
+    };
+
+    // A full match needs the same words in the same order — any change in
+    // the redline (e.g. a dropped "not") downgrades it to a partial match
+    if (segmentScore >= 0.9 && changeCount === 0) {
+      blockResult.status = "FULL MATCH";
+      results.matched.push(blockResult);
+    } else if (segmentScore >= threshold) {
+      blockResult.status = "PARTIAL MATCH";
+      results.partialMatch.push(blockResult);
+    } else {
+      blockResult.status = "NOT FOUND";
+      results.notFound.push(blockResult);
+    }
+  });
+
+  // Calculate overall statistics
+  const totalBlocks = results.matched.length + results.partialMatch.length + results.notFound.length;
+  const overallScore = totalBlocks > 0
+    ? Math.round(((results.matched.length + results.partialMatch.length * 0.5) / totalBlocks) * 100)
+    : 100;
+
+  return {
+    ...results,
+    summary: {
+      totalBlocks,
+      fullMatches: results.matched.length,
+      partialMatches: results.partialMatch.length,
+      notFound: results.notFound.length,
+      metadataItems: results.metadata.length,
+      overallScore
+    }
+  };
+};
+
+// ---------------------------------------------------------
+// SUBJECT LINE + PREHEADER CHECK
+// Compares the doc's "Subject:" / "Preheader:" blocks with the values
+// read from the email (or the subject the user typed in)
+// ---------------------------------------------------------
+function compareMetaField(field, docEntries, actual) {
+  const label = field === 'subject' ? 'Subject Line' : 'Preheader';
+  const expectedValues = docEntries.map(e => e.value).filter(Boolean);
+
+  if (!expectedValues.length) {
+    return {
+      field,
+      label,
+      expected: null,
+      actual: actual || null,
+      matchPercentage: null,
+      status: 'NOT IN DOC',
+      severity: 'none',
+      message: `No ${label.toLowerCase()} in the document to compare against`,
+    };
+  }
+
+  if (!actual) {
+    return {
+      field,
+      label,
+      expected: expectedValues[0],
+      actual: null,
+      matchPercentage: 0,
+      status: 'MISSING',
+      severity: field === 'preheader' ? 'high' : 'medium',
+      message: field === 'preheader'
+        ? 'No preheader found in the email HTML'
+        : 'Could not read a subject line from the email — enter it manually to verify',
+    };
+  }
+
+  // A/B variants in the doc: the email only has to match one of them
+  let best = { value: expectedValues[0], score: 0 };
+  expectedValues.forEach(value => {
+    const score = normalize(value) === normalize(actual) ? 1 : getSimilarityScore(value, actual).score;
+    if (score > best.score) best = { value, score };
+  });
+
+  const percentage = Math.round(best.score * 100);
+  let status, severity, message;
+  if (best.score === 1) {
+    status = 'MATCH';
+    severity = 'none';
+    message = `${label} matches the document`;
+  } else if (best.score >= 0.7) {
+    status = 'PARTIAL MATCH';
+    severity = 'medium';
+    message = `${label} differs from the document (${percentage}% similarity)`;
+  } else {
+    status = 'MISMATCH';
+    severity = 'high';
+    message = `${label} does not match the document (${percentage}% similarity)`;
+  }
+
+  return {
+    field,
+    label,
+    expected: best.value,
+    actual,
+    matchPercentage: percentage,
+    status,
+    severity,
+    message,
+  };
+}
+
+function checkSubjectPreheader(docMetadata = [], emailMeta = {}, subjectOverride = '') {
+  const subjectActual = (subjectOverride || '').trim() || emailMeta.subject || '';
+  const subjectSource = (subjectOverride || '').trim() ? 'user-input' : (emailMeta.subjectSource || null);
+
+  const subject = compareMetaField('subject', docMetadata.filter(m => m.field === 'subject'), subjectActual);
+  subject.source = subjectSource;
+
+  const preheader = compareMetaField('preheader', docMetadata.filter(m => m.field === 'preheader'), emailMeta.preheader || '');
+  preheader.source = emailMeta.preheaderSource || null;
+
+  // Preheader hygiene — applies whether or not the doc has one
+  const preheaderIssues = [];
+  const preheaderText = emailMeta.preheader || '';
+  const fillerCount = emailMeta.preheaderFillerCount || 0;
+
+  if (!preheaderText) {
+    // A doc preheader already reported as MISSING isn't counted a second time
+    if (preheader.status !== 'MISSING') {
+      preheaderIssues.push({
+        type: 'MISSING',
+        severity: 'high',
+        message: 'Email has no preheader — inboxes will show the first lines of body copy instead',
+      });
+    }
+  } else {
+    if (preheaderText.length > PREHEADER_MAX_LENGTH) {
+      preheaderIssues.push({
+        type: 'TOO_LONG',
+        severity: 'medium',
+        message: `Preheader is ${preheaderText.length} characters — most inboxes truncate after ~${PREHEADER_MAX_LENGTH}`,
+      });
+    } else if (preheaderText.length < PREHEADER_MIN_LENGTH) {
+      preheaderIssues.push({
+        type: 'TOO_SHORT',
+        severity: 'low',
+        message: `Preheader is only ${preheaderText.length} characters — body copy may show after it unless padded`,
+      });
+    }
+  }
+
+  if (fillerCount > 0) {
+    preheaderIssues.push({
+      type: 'FILLER',
+      severity: preheaderText.length < PREHEADER_MIN_LENGTH ? 'medium' : 'low',
+      message: `Preheader is padded with ${fillerCount} invisible filler character${fillerCount > 1 ? 's' : ''}`,
+    });
+  }
+
+  preheader.issues = preheaderIssues;
+  preheader.length = preheaderText.length;
+  preheader.fillerCount = fillerCount;
+  subject.issues = [];
+
+  const severities = [subject.severity, preheader.severity, ...preheaderIssues.map(i => i.severity)];
+  const highCount = severities.filter(s => s === 'high').length;
+  const mediumCount = severities.filter(s => s === 'medium').length;
+
+  return {
+    results: [subject, preheader],
+    summary: {
+      subjectStatus: subject.status,
+      preheaderStatus: preheader.status,
+      preheaderIssues: preheaderIssues.length,
+      issueCount: highCount + mediumCount,
+      status: highCount > 0 ? 'FAIL' : mediumCount > 0 ? 'WARNING' : 'PASS',
+    },
+  };
+}
+
+// ---------------------------------------------------------
+// SECTION ORDER + STRUCTURE CHECK
+// Text can match block-for-block while the email shuffles sections, turns
+// a heading into body text or runs a bulleted list into one paragraph.
+// Each doc block (heading / list item / paragraph) is mapped to the email
+// block holding its words; order, heading and list treatment are compared
+// and repeated email blocks are flagged
+// ---------------------------------------------------------
+const EMAIL_BLOCK_SELECTOR = 'p, h1, h2, h3, h4, h5, h6, li, td, th, div, blockquote, caption';
+const BULLET_GLYPH_REGEX = /^\s*([•·▪▫●◦■□–—\-*✓✔➤►>]|\d{1,2}[.)])\s*/;
+const STRUCTURE_MATCH_THRESHOLD = 0.6;
+// Below this share of words an image's alt text isn't taken as the heading it replaced
+const HEADING_ALT_MIN_SCORE = 0.3;
+// A short in-order run is weak evidence of which blocks moved — report those as medium
+const STRUCTURE_ORDER_MIN_RUN = 3;
+const DUPLICATE_MIN_LENGTH = 20;
+
+const wordSet = (text = "") => new Set(normalize(text).split(' ').filter(Boolean));
+
+// Email headings are often styled table cells rather than <h1>-<h6>
+function isHeadingLikeElement($, el, text) {
+  const tag = el.tagName.toLowerCase();
+  if (/^h[1-6]$/.test(tag) || $(el).attr('role') === 'heading') return true;
+
+  let fontSize = null;
+  let bold = false;
+  for (let node = el; node && node.type === 'tag'; node = node.parent) {
+    const style = ((node.attribs && node.attribs.style) || '').toLowerCase();
+    if (fontSize === null) {
+      const m = style.match(/font-size\s*:\s*([\d.]+)\s*(px|pt|em|rem)?/);
+      if (m) fontSize = m[2] === 'pt' ? Number(m[1]) * 4 / 3 : (m[2] === 'em' || m[2] === 'rem') ? Number(m[1]) * 16 : Number(m[1]);
+    }
+    if (/font-weight\s*:\s*(bold|bolder|[6-9]00)/.test(style) || ['b', 'strong'].includes(node.tagName)) bold = true;
+  }
+  // All of the block's text sitting inside <b>/<strong> counts as bold too
+  const boldText = $(el).find('b, strong').text().replace(/\s+/g, ' ').trim();
+  if (boldText && boldText.length >= text.length * 0.9) bold = true;
+
+  const shortLine = text.length <= 100 && !/[.!?]$/.test(text);
+  return (fontSize !== null && fontSize >= 20) || (bold && shortLine) || (fontSize !== null && fontSize >= 17 && bold);
+}
+
+function isHiddenElement(el) {
+  for (let node = el; node && node.type === 'tag'; node = node.parent) {
+    const style = ((node.attribs && node.attribs.style) || '').replace(/\s+/g, '').toLowerCase();
+    if (style.includes('display:none') || style.includes('mso-hide:all') ||
+      (style.includes('max-height:0') && style.includes('overflow:hidden'))) return true;
+  }
+  return false;
+}
+
+// Leaf-level text blocks of the email in reading order, with the
+// structural hints the check needs
+function extractEmailBlocks($) {
+  const blocks = [];
+  $(EMAIL_BLOCK_SELECTOR).each((_, el) => {
+    if ($(el).find(EMAIL_BLOCK_SELECTOR).length > 0) return;
+    const text = $(el).text().replace(/\s+/g, ' ').trim();
+    if (!text || !/[\p{L}\p{N}]/u.test(text)) return;
+
+    const tag = el.tagName.toLowerCase();
+    // Table-built bullets put the glyph in its own cell before the text
+    const prevCell = $(el).prev('td, th');
+    const listLike = tag === 'li' || $(el).closest('li').length > 0 ||
+      BULLET_GLYPH_REGEX.test(text) ||
+      (prevCell.length > 0 && BULLET_GLYPH_REGEX.test(prevCell.text()) && !/[\p{L}]/u.test(prevCell.text()));
+
+    blocks.push({
+      index: blocks.length,
+      tag,
+      text,
+      headingLike: isHeadingLikeElement($, el, text),
+      listLike,
+      hidden: isHiddenElement(el),
+    });
+  });
+  return blocks;
+}
+
+// Longest non-decreasing run of email positions — the blocks outside it are the ones out of order
+function longestOrderedRun(positions) {
+  const n = positions.length;
+  const length = new Array(n).fill(1);
+  const prev = new Array(n).fill(-1);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < i; j++) {
+      if (positions[j] <= positions[i] && length[j] + 1 > length[i]) {
+        length[i] = length[j] + 1;
+        prev[i] = j;
+      }
+    }
+  }
+  const keep = new Set();
+  let end = length.indexOf(Math.max(0, ...length));
+  while (end !== -1) {
+    keep.add(end);
+    end = prev[end];
+  }
+  return keep;
+}
+
+// Share of the doc words found in the email words
+const wordOverlap = (words, emailWords) => {
+  if (words.size === 0) return 0;
+  let shared = 0;
+  words.forEach(w => { if (emailWords.has(w)) shared++; });
+  return shared / words.size;
+};
+
+function checkStructure(docStructure = [], emailBlocks = [], docText = "", emailImages = []) {
+  const results = [];
+  const visibleBlocks = emailBlocks.filter(b => !b.hidden);
+  const emailWordSets = visibleBlocks.map(b => wordSet(b.text));
+  const imageAlts = emailImages.filter(img => img.alt && img.alt.trim()).map(img => ({ alt: img.alt.trim(), words: wordSet(img.alt) }));
+
+  // 1. Map each doc block to the email block holding most of its words
+  let section = null;
+  const outline = docStructure
+    .filter((block, i, blocks) => !parseDocMetaBlock(block.text) && !(i > 0 && isDocMetaLabelOnly(blocks[i - 1].text)))
+    .map((block, docIndex) => {
+      if (block.type === 'heading') section = block.text;
+      const words = wordSet(block.text);
+      let best = null;
+      let bestScore = 0;
+      emailWordSets.forEach((emailWords, i) => {
+        if (words.size === 0) return;
+        const score = wordOverlap(words, emailWords);
+        // Ties go to the tighter block
+        if (score > bestScore || (score === bestScore && best && emailWords.size < emailWordSets[best.i].size)) {
+          bestScore = score;
+          best = { i, block: visibleBlocks[i] };
+        }
+      });
+      const matched = best && bestScore >= STRUCTURE_MATCH_THRESHOLD ? best.block : null;
+      return {
+        docIndex,
+        type: block.type,
+        level: block.level || null,
+        listType: block.listType || null,
+        listId: block.listId || null,
+        text: block.text,
+        section: block.type === 'heading' ? null : section,
+        emailIndex: matched ? matched.index : null,
+        emailTag: matched ? matched.tag : null,
+        emailText: matched ? matched.text : null,
+        emailHeadingLike: matched ? matched.headingLike : null,
+        emailListLike: matched ? matched.listLike : null,
+        matchScore: Math.round(bestScore * 100),
+        issues: [],
+      };
+    });
+
+  const addIssue = (entry, type, severity, message) => {
+    const issue = { type, severity, message, docText: entry.text, emailText: entry.emailText, section: entry.section, docIndex: entry.docIndex };
+    entry.issues.push(issue);
+    results.push(issue);
+  };
+
+  // 2. Order — doc blocks outside the longest in-order run moved
+  const placed = outline.filter(e => e.emailIndex !== null);
+  const inOrder = longestOrderedRun(placed.map(e => e.emailIndex));
+  const orderSeverity = inOrder.size >= STRUCTURE_ORDER_MIN_RUN && inOrder.size >= placed.length / 2 ? 'high' : 'medium';
+  placed.forEach((entry, i) => {
+    if (inOrder.has(i)) return;
+    const anchorBefore = placed.slice(0, i).reverse().find((_, k) => inOrder.has(i - 1 - k));
+    const anchorAfter = placed.slice(i + 1).find((_, k) => inOrder.has(i + 1 + k));
+    const what = entry.type === 'heading' ? `Section "${entry.text}"` : 'Block';
+    let message;
+    if (anchorBefore && entry.emailIndex < anchorBefore.emailIndex) {
+      message = `${what} appears before "${anchorBefore.text}" in the email, but follows it in the doc`;
+    } else if (anchorAfter) {
+      message = `${what} appears after "${anchorAfter.text}" in the email, but comes before it in the doc`;
+    } else {
+      message = `${what} is out of order compared to the doc`;
+    }
+    addIssue(entry, 'OUT_OF_ORDER', orderSeverity, message);
+  });
+
+  // 3. Headings — missing, rendered as an image, or rendered as body text
+  outline.filter(e => e.type === 'heading').forEach(entry => {
+    if (entry.emailIndex === null) {
+      // Hero headings are often images: the alt text should carry the words
+      const words = wordSet(entry.text);
+      const image = imageAlts
+        .map(img => ({ ...img, score: wordOverlap(words, img.words) }))
+        .sort((a, b) => b.score - a.score)[0];
+      if (image && image.score >= STRUCTURE_MATCH_THRESHOLD) {
+        entry.emailText = image.alt;
+        addIssue(entry, 'HEADING_AS_IMAGE', 'low', 'Heading is an image — its alt text carries the heading, but it is lost when images are blocked');
+      } else if (image && image.score >= HEADING_ALT_MIN_SCORE) {
+        entry.emailText = image.alt;
+        addIssue(entry, 'HEADING_IMAGE_ALT', 'medium', `Heading looks like an image whose alt text doesn't match it: "${image.alt}"`);
+      } else {
+        addIssue(entry, 'HEADING_MISSING', 'high', 'Heading not found in the email');
+      }
+    } else if (!entry.emailHeadingLike) {
+      addIssue(entry, 'HEADING_AS_BODY', 'medium', `Heading is rendered as body text (<${entry.emailTag}> without heading size or weight)`);
+    } else if (normalize(entry.emailText) !== normalize(entry.text) && entry.emailText.length > entry.text.length * 1.5) {
+      addIssue(entry, 'HEADING_MERGED', 'medium', 'Heading is run together with the following text in one block');
+    }
+  });
+
+  // 4. Lists — flattened into paragraphs or merged into one run-on block
+  const lists = new Map();
+  outline.filter(e => e.type === 'list-item').forEach(entry => {
+    if (!lists.has(entry.listId)) lists.set(entry.listId, []);
+    lists.get(entry.listId).push(entry);
+  });
+  lists.forEach(items => {
+    const placedItems = items.filter(e => e.emailIndex !== null);
+    const byBlock = new Map();
+    placedItems.forEach(e => byBlock.set(e.emailIndex, [...(byBlock.get(e.emailIndex) || []), e]));
+    byBlock.forEach(group => {
+      if (group.length > 1) {
+        addIssue(group[0], 'LIST_MERGED', 'medium', `${group.length} list items are run together in one email block`);
+      }
+    });
+    placedItems.forEach(entry => {
+      if (!entry.emailListLike && byBlock.get(entry.emailIndex).length === 1) {
+        addIssue(entry, 'LIST_FLATTENED', 'medium', 'List item is rendered as a plain paragraph (no bullet or list markup)');
+      }
+    });
+  });
+
+  // 5. Duplicated blocks in the email (unless the doc repeats them too)
+  const docNormalized = splitDocBlocks(docText).map(b => normalize(b));
+  const seen = new Map();
+  visibleBlocks.forEach(b => {
+    const key = normalize(b.text);
+    if (key.length < DUPLICATE_MIN_LENGTH) return;
+    seen.set(key, [...(seen.get(key) || []), b]);
+  });
+  seen.forEach((blocks, key) => {
+    const docCount = docNormalized.filter(d => d === key).length;
+    if (blocks.length > Math.max(1, docCount)) {
+      results.push({
+        type: 'DUPLICATE',
+        severity: 'medium',
+        message: `Appears ${blocks.length} times in the email${docCount ? ` (${docCount} in the doc)` : ''}`,
+        docText: null,
+        emailText: blocks[0].text,
+        emailIndexes: blocks.map(b => b.index),
+      });
+    }
+  });
+
+  const count = (type) => results.filter(r => r.type === type).length;
+  const outOfOrderSections = new Set(results.filter(r => r.type === 'OUT_OF_ORDER').map(r => r.section || r.docText));
+  const issueCount = results.length;
+
+  return {
+    outline,
+    results,
+    summary: {
+      docBlocks: outline.length,
+      mapped: placed.length,
+      outOfOrder: count('OUT_OF_ORDER'),
+      outOfOrderSections: outOfOrderSections.size,
+      headingIssues: count('HEADING_MISSING') + count('HEADING_IMAGE_ALT') + count('HEADING_AS_IMAGE') + count('HEADING_AS_BODY') + count('HEADING_MERGED'),
+      listIssues: count('LIST_MERGED') + count('LIST_FLATTENED'),
+      duplicates: count('DUPLICATE'),
+      issueCount,
+      status: results.some(r => r.severity === 'high') ? 'FAIL' : (issueCount > 0 ? 'WARNING' : 'PASS'),
+    },
+  };
+}
+
+// ---------------------------------------------------------
+// UNRENDERED TOKEN / MERGE TAG CHECK
+// A rendered preview should contain no token syntax. Scans the email text,
+// attributes, subject and preheader for leftover tokens, looks for empty
+// fallbacks ("Hi ,") and checks that tokens written into the doc rendered.
+// Syntaxes are regexes with `name` / `fallback` groups in
+// config/merge-tags.json, so other ESPs' styles can be added there
+// ---------------------------------------------------------
+const MERGE_TAG_CONFIG_PATH = process.env.MERGE_TAG_CONFIG ||
+  path.join(__dirname, 'config', 'merge-tags.json');
+
+function loadMergeTagSyntaxes() {
+  try {
+    const raw = JSON.parse(fs.readFileSync(MERGE_TAG_CONFIG_PATH, 'utf8'));
+    const syntaxes = (raw.syntaxes || []).map(s => ({
+      ...s,
+      regex: new RegExp(s.pattern, s.flags || 'g'),
+    }));
+    console.log(`Loaded ${syntaxes.length} merge-tag syntaxes`);
+    return syntaxes;
+  } catch (error) {
+    console.warn(`Merge tag config not loaded (${error.message}) — using Marketo syntax only`);
+    return [{
+      name: 'marketo',
+      label: 'Marketo token',
+      regex: /\{\{\s*(?<name>(?:lead|my|system|program|campaign|company|member|trigger)\.[^{}:]+?)\s*(?::\s*default\s*=\s*(?<fallback>[^{}]*?))?\s*\}\}/gi,
+    }];
+  }
+}
+
+const mergeTagSyntaxes = loadMergeTagSyntaxes();
+
+// Rendered text that usually means a token resolved to nothing. "Hi," alone
+// isn't one: the text is flattened, so "Hi, Sarah" would look the same
+const EMPTY_VALUE_PATTERNS = [
+  { regex: /\b(hi|hello|hey|dear|welcome)\s+([,!.:;])/gi, severity: 'high', message: 'Greeting followed directly by punctuation — name token rendered empty' },
+  { regex: /\bedit me\b/gi, severity: 'high', message: 'Marketo\'s placeholder default "edit me" rendered in the email' },
+  { regex: /\w\s+,(?=\s)|\(\s*\)|\[\s*\]/g, severity: 'medium', message: 'Empty gap before punctuation — a token may have rendered blank' },
+];
+
+const TOKEN_CONTEXT_WORDS = 4;
+const TOKEN_ATTRIBUTES = ['href', 'src', 'alt', 'title', 'value', 'content', 'style'];
+
+// Finds tokens of every configured syntax; each match is masked out of the
+// working text so a Marketo {{lead.x}} isn't also reported as Liquid {{x}}
+function findTokens(text = "") {
+  const tokens = [];
+  let working = text;
+  mergeTagSyntaxes.forEach(syntax => {
+    syntax.regex.lastIndex = 0;
+    let m;
+    while ((m = syntax.regex.exec(working)) !== null) {
+      if (!m[0]) {
+        syntax.regex.lastIndex++;
+        continue;
+      }
+      const groups = m.groups || {};
+      const fallback = groups.fallback !== undefined ? groups.fallback.trim().replace(/^(["'])(.*)\1$/, '$2') : undefined;
+      tokens.push({
+        syntax: syntax.name,
+        syntaxLabel: syntax.label,
+        token: m[0],
+        name: (groups.name || m[0]).trim(),
+        fallback,
+        index: m.index,
+      });
+    }
+    working = working.replace(syntax.regex, (match) => ' '.repeat(match.length));
+  });
+  return tokens.sort((a, b) => a.index - b.index);
+}
+
+const snippetAround = (text, index, length, radius = 40) => {
+  const start = Math.max(0, index - radius);
+  const end = Math.min(text.length, index + length + radius);
+  return `${start > 0 ? '…' : ''}${text.substring(start, end).trim()}${end < text.length ? '…' : ''}`;
+};
+
+// Locate the doc token's surrounding words in the email and read what sits
+// between them — that's the value the token rendered to
+function findRenderedTokenValue(line, token, emailNormalized) {
+  const before = line.substring(0, token.index);
+  const after = line.substring(token.index + token.token.length);
+  // Stop the context at neighbouring tokens — their rendered values are unknown
+  const prefix = normalize(before.split(/\{\{|\}\}|\*\||\|\*|%%|\{%|%\}/).pop())
+    .split(' ').filter(Boolean).slice(-TOKEN_CONTEXT_WORDS).join(' ');
+  const suffix = normalize(after.split(/\{\{|\}\}|\*\||\|\*|%%|\{%|%\}/)[0])
+    .split(' ').filter(Boolean).slice(0, TOKEN_CONTEXT_WORDS).join(' ');
+
+  if (!prefix && !suffix) return { status: 'NO_CONTEXT' };
+
+  const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  let regex;
+  if (prefix && suffix) {
+    regex = new RegExp(`(?:^|\\s)${escape(prefix)}(?=\\s|$)(.{0,80}?)(?<=^|\\s)${escape(suffix)}(?:\\s|$)`);
+  } else if (prefix) {
+    regex = new RegExp(`(?:^|\\s)${escape(prefix)}(?=\\s|$)((?: \\S+){0,2})`);
+  } else {
+    regex = new RegExp(`(?:^|\\s)((?:\\S+ ){0,2})${escape(suffix)}(?:\\s|$)`);
+  }
+  const m = emailNormalized.match(regex);
+  if (!m) return { status: 'MISSING', prefix, suffix };
+  return { status: (m[1] || '').trim() ? 'RENDERED' : 'EMPTY', value: (m[1] || '').trim(), prefix, suffix };
+}
+
+function checkUnrenderedTokens(emailHtml, emailMeta = {}, docText = "") {
+  const results = [];
+
+  // 1. Leftover token syntax in the rendered email
+  const $ = cheerio.load(emailHtml || '');
+  $('script, noscript').remove();
+  const seen = new Set();
+  const report = (token, location, context) => {
+    const key = `${location}|${token.token}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    const emptyFallback = token.fallback !== undefined && token.fallback === '';
+    results.push({
+      kind: 'unrendered',
+      ...token,
+      location,
+      context,
+      status: 'UNRENDERED',
+      severity: 'high',
+      message: `${token.syntaxLabel} was not rendered${emptyFallback ? ' (and has an empty default)' : ''}`,
+    });
+  };
+
+  [['subject', emailMeta.subject], ['preheader', emailMeta.preheader]].forEach(([location, value]) => {
+    if (!value) return;
+    findTokens(value).forEach(t => report(t, location, value));
+  });
+
+  // Style blocks are scanned too — Marketo {{my.}} tokens are common in CSS
+  $('style').each((_, el) => {
+    const css = $(el).html() || '';
+    findTokens(css).forEach(t => report(t, 'style block', snippetAround(css, t.index, t.token.length)));
+  });
+  $('style').remove();
+
+  const bodyText = ($('body').length ? $('body') : $.root()).text().replace(/\s+/g, ' ').trim();
+  findTokens(bodyText).forEach(t => report(t, 'text', snippetAround(bodyText, t.index, t.token.length)));
+
+  $('*').each((_, el) => {
+    TOKEN_ATTRIBUTES.forEach(attr => {
+      const value = el.attribs && el.attribs[attr];
+      if (!value) return;
+      findTokens(value).forEach(t => report(t, `<${el.tagName} ${attr}>`, value.length > 120 ? snippetAround(value, t.index, t.token.length) : value));
+    });
+  });
+
+  // 2. Tokens that rendered to nothing (first matching pattern wins per span)
+  const flaggedSpans = [];
+  EMPTY_VALUE_PATTERNS.forEach(({ regex, severity, message }) => {
+    regex.lastIndex = 0;
+    let m;
+    while ((m = regex.exec(bodyText)) !== null) {
+      const start = m.index;
+      const end = m.index + m[0].length;
+      if (flaggedSpans.some(([s, e]) => start < e && end > s)) continue;
+      flaggedSpans.push([start, end]);
+      results.push({
+        kind: 'empty-value',
+        token: m[0].trim(),
+        location: 'text',
+        context: snippetAround(bodyText, m.index, m[0].length),
+        status: 'EMPTY_VALUE',
+        severity,
+        message,
+      });
+    }
+  });
+
+  // 3. Tokens the doc references — did each one render in the email?
+  const emailNormalized = normalize(bodyText);
+  const docSeen = new Set();
+  docText.split(/\r?\n/).forEach(line => {
+    findTokens(line).forEach(token => {
+      if (docSeen.has(token.token)) return;
+      docSeen.add(token.token);
+
+      const inEmail = [...seen].some(k => k.endsWith(`|${token.token}`));
+      const rendered = inEmail ? { status: 'UNRENDERED' } : findRenderedTokenValue(line, token, emailNormalized);
+      const emptyFallback = token.fallback !== undefined && token.fallback === '';
+
+      let severity, message;
+      switch (rendered.status) {
+        case 'UNRENDERED':
+          severity = 'high';
+          message = 'Token appears unrendered in the email';
+          break;
+        case 'EMPTY':
+          severity = 'high';
+          message = 'Token rendered empty in the email';
+          break;
+        case 'MISSING':
+          severity = 'medium';
+          message = 'Couldn\'t find the token\'s sentence in the email — check it rendered';
+          break;
+        case 'NO_CONTEXT':
+          severity = 'low';
+          message = 'Token stands alone in the doc — no surrounding text to locate it by';
+          break;
+        default:
+          severity = emptyFallback ? 'medium' : 'none';
+          message = emptyFallback
+            ? `Rendered as "${rendered.value}", but the default is empty — recipients without this field see a blank`
+            : (token.fallback && normalize(token.fallback) === rendered.value
+              ? `Rendered with its default "${token.fallback}"`
+              : `Rendered as "${rendered.value}"`);
+      }
+
+      results.push({
+        kind: 'doc-token',
+        ...token,
+        location: 'document',
+        context: snippetAround(line, token.index, token.token.length),
+        renderedValue: rendered.value,
+        status: rendered.status,
+        severity,
+        message,
+      });
+    });
+  });
+
+  const unrendered = results.filter(r => r.kind === 'unrendered').length;
+  const emptyValues = results.filter(r => r.kind === 'empty-value').length;
+  const docTokens = results.filter(r => r.kind === 'doc-token');
+  const issueCount = results.filter(r => r.severity === 'high' || r.severity === 'medium').length;
+
+  return {
+    syntaxes: mergeTagSyntaxes.map(s => ({ name: s.name, label: s.label })),
+    results,
+    summary: {
+      unrendered,
+      emptyValues,
+      docTokens: docTokens.length,
+      docTokensNotRendered: docTokens.filter(r => r.status !== 'RENDERED' && r.status !== 'NO_CONTEXT').length,
+      issueCount,
+      status: results.some(r => r.severity === 'high') ? 'FAIL' : (issueCount > 0 ? 'WARNING' : 'PASS'),
+    },
+  };
+}
+
+// ---------------------------------------------------------
+// PLAIN-TEXT VERSION CHECK
+// The text/plain alternative (from the .eml, pasted, or fetched from a
+// text-version URL) gets the same block comparison against the doc as
+// the HTML body, plus: HTML blocks missing from it, HTML links missing
+// from it, and template junk (HTML entities, tags, unrendered tokens)
+// ---------------------------------------------------------
+const PLAIN_TEXT_URL_REGEX = /(?:https?:\/\/|mailto:|www\.)[^\s<>"'()[\]{}]+/gi;
+const PLAIN_TEXT_JUNK_PATTERNS = [
+  { type: 'HTML_ENTITY', regex: /&(?:[a-z][a-z0-9]{1,8}|#\d{2,6}|#x[0-9a-f]{2,5});/gi, severity: 'medium', message: 'HTML entity left in the text version' },
+  { type: 'HTML_TAG', regex: /<\/?(?:a|b|i|u|p|br|hr|div|span|table|tr|td|th|tbody|img|strong|em|font|center|h[1-6]|ul|ol|li|sup|sub|style|html|body|head)\b[^>]*>/gi, severity: 'medium', message: 'HTML tag left in the text version' },
+];
+
+async function loadPlainTextSource({ plainText, plainTextUrl, emailContent }) {
+  if (plainText && plainText.trim()) {
+    return { text: plainText, source: { type: 'pasted', name: 'Pasted text version' } };
+  }
+  if (plainTextUrl) {
+    const { response, finalUrl } = await withRetry(() => followRedirects(plainTextUrl, { verbose: false }),
+      { retries: 2, baseDelay: 1000, label: 'Text version fetch' });
+    let text = typeof response.data === 'string' ? response.data : String(response.data || '');
+    // Text-version preview pages wrap the body in HTML — usually a <pre>
+    if (/html/i.test(response.headers['content-type'] || '') || /^\s*<(!doctype|html)/i.test(text)) {
+      const $ = cheerio.load(text);
+      if ($('pre').length) {
+        text = $('pre').map((_, el) => $(el).text()).get().join('\n\n');
+      } else {
+        $('script, style').remove();
+        $('br').replaceWith('\n');
+        $('p, div, tr, li, h1, h2, h3, h4, h5, h6').each((_, el) => { $(el).append('\n\n'); });
+        text = $('body').text();
+      }
+    }
+    return { text, source: { type: 'url', name: plainTextUrl, resolvedUrl: finalUrl } };
+  }
+  if (emailContent.source && emailContent.source.type === 'eml') {
+    return { text: emailContent.plainText || null, source: { type: 'eml', name: emailContent.source.name } };
+  }
+  return null;
+}
+
+// Strips URLs so "Shop now [https://…]" compares as "Shop now"
+function plainTextParagraphs(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map(block => block
+      .replace(PLAIN_TEXT_URL_REGEX, ' ')
+      .replace(/[<[(]\s*[>\])]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim())
+    .filter(isMeaningfulText);
+}
+
+function normalizeLinkForCompare(href) {
+  const trimmed = href.trim().replace(/[.,;:!?]+$/, '');
+  try {
+    const url = new URL(/^www\./i.test(trimmed) ? `https://${trimmed}` : trimmed);
+    const full = `${url.protocol}//${url.host.toLowerCase()}${url.pathname.replace(/\/$/, '')}`;
+    return { full: `${full}${url.search}${url.hash}`, base: full };
+  } catch {
+    return { full: trimmed, base: trimmed.split(/[?#]/)[0] };
+  }
+}
+
+async function checkPlainTextLinks(plainText, emailLinks) {
+  const textUrls = [...new Set((plainText.match(PLAIN_TEXT_URL_REGEX) || []).map(u => u.replace(/[.,;:!?]+$/, '')))];
+  // The text version can carry its own tracking wrappers — compare destinations
+  const resolvedTextUrls = await mapWithConcurrency(textUrls, linkTrackingConfig.concurrency,
+    u => (/^https?:/i.test(u) ? resolveTrackedUrl(u) : { resolvedHref: u }));
+  const textNormalized = textUrls.map((u, i) => ({
+    url: u,
+    forms: [...new Set([u, resolvedTextUrls[i].resolvedHref])].map(normalizeLinkForCompare),
+  }));
+
+  // Tracked links may appear in the text version as their resolved destination
+  const linksByHref = new Map();
+  emailLinks.forEach(l => {
+    if (!/^(https?:|mailto:)/i.test(l.href)) return;
+    if (!linksByHref.has(l.href)) linksByHref.set(l.href, { texts: new Set(), resolvedHref: l.resolvedHref || null });
+    if (l.text) linksByHref.get(l.href).texts.add(l.text);
+  });
+
+  const usedTextUrls = new Set();
+  const results = [...linksByHref.entries()].map(([href, { texts, resolvedHref }]) => {
+    const forms = [href, resolvedHref].filter(Boolean).map(normalizeLinkForCompare);
+    const exact = textNormalized.find(t => t.forms.some(tf => forms.some(f => tf.full === f.full)));
+    const sameBase = !exact && textNormalized.find(t => t.forms.some(tf => forms.some(f => tf.base === f.base)));
+    const found = exact || sameBase;
+    if (found) usedTextUrls.add(found.url);
+
+    const base = { href, texts: [...texts] };
+    if (exact) {
+      return { ...base, status: 'FOUND', severity: 'none', textUrl: exact.url, message: 'Link is in the text version' };
+    }
+    if (sameBase) {
+      return { ...base, status: 'QUERY_DIFFERS', severity: 'medium', textUrl: sameBase.url, message: 'Same page in the text version, but the query string or anchor differs (check UTM parameters)' };
+    }
+    return { ...base, status: 'MISSING', severity: 'high', textUrl: null, message: 'Link from the HTML version is missing from the text version' };
+  });
+
+  const extra = textUrls.filter(u => !usedTextUrls.has(u));
+  return { results, extra };
+}
+
+function findPlainTextJunk(plainText) {
+  const results = [];
+  PLAIN_TEXT_JUNK_PATTERNS.forEach(({ type, regex, severity, message }) => {
+    const seen = new Set();
+    regex.lastIndex = 0;
+    let m;
+    while ((m = regex.exec(plainText)) !== null) {
+      if (seen.has(m[0])) continue;
+      seen.add(m[0]);
+      results.push({ type, token: m[0], context: snippetAround(plainText, m.index, m[0].length), severity, message });
+    }
+  });
+  const seenTokens = new Set();
+  findTokens(plainText).forEach(t => {
+    if (seenTokens.has(t.token)) return;
+    seenTokens.add(t.token);
+    results.push({
+      type: 'TOKEN',
+      token: t.token,
+      context: snippetAround(plainText, t.index, t.token.length),
+      severity: 'high',
+      message: `${t.syntaxLabel} was not rendered`,
+    });
+  });
+  return results;
+}
+
+async function checkPlainTextVersion(plainTextSource, { docText, emailParagraphs, emailLinks }) {
+  if (!plainTextSource.text || !plainTextSource.text.trim()) {
+    return {
+      source: plainTextSource.source,
+      available: false,
+      message: plainTextSource.source.type === 'eml'
+        ? 'The message has no text/plain part — clients that prefer plain text show a generated version'
+        : 'The text version is empty',
+      summary: { issueCount: 1, status: 'WARNING' },
+    };
+  }
+
+  const plainText = plainTextSource.text.replace(/\r\n?/g, '\n').trim();
+  const paragraphs = plainTextParagraphs(plainText);
+  const flat = paragraphs.join(' ');
+
+  const docComparison = compareTextDetailed(docText, flat, paragraphs);
+  const htmlComparison = compareTextDetailed(emailParagraphs.join('\n'), flat, paragraphs);
+  const links = await checkPlainTextLinks(plainText, emailLinks);
+  const junk = findPlainTextJunk(plainText);
+
+  const missingLinks = links.results.filter(l => l.status === 'MISSING').length;
+  const changedLinks = links.results.filter(l => l.status === 'QUERY_DIFFERS').length;
+  const junkHigh = junk.filter(j => j.severity === 'high').length;
+  const high = missingLinks + junkHigh + docComparison.summary.notFound;
+  const medium = changedLinks + (junk.length - junkHigh) + htmlComparison.summary.notFound + docComparison.summary.partialMatches;
+
+  return {
+    source: plainTextSource.source,
+    available: true,
+    text: plainText,
+    docComparison,
+    htmlComparison: {
+      summary: htmlComparison.summary,
+      missing: htmlComparison.notFound.map(b => b.originalText),
+      changed: htmlComparison.partialMatch.map(b => ({ html: b.originalText, text: b.emailText, matchPercentage: b.matchPercentage })),
+    },
+    links,
+    junk,
+    summary: {
+      characters: plainText.length,
+      paragraphs: paragraphs.length,
+      docScore: docComparison.summary.overallScore,
+      htmlScore: htmlComparison.summary.overallScore,
+      missingLinks,
+      changedLinks,
+      extraLinks: links.extra.length,
+      junk: junk.length,
+      issueCount: high + medium,
+      status: high > 0 ? 'FAIL' : medium > 0 ? 'WARNING' : 'PASS',
+    },
+  };
+}
+
+// ---------------------------------------------------------
+// NUMBERS, PRICES, DATES + LEGAL TEXT CONSISTENCY
+// normalize() strips punctuation, so "$1,299.00" vs "1299" or "20%" vs
+// "25%" are invisible to the text comparison. These values are pulled
+// out of the raw text and compared on a canonical form instead.
+// ---------------------------------------------------------
+const FACT_TYPE_LABELS = {
+  currency: 'Price / Currency',
+  percentage: 'Percentage',
+  date: 'Date',
+  time: 'Time',
+  phone: 'Phone Number',
+  number: 'Number',
+  legal: 'Legal Symbol',
+  footnote: 'Footnote Marker',
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const TIMEZONE_PATTERN = '(?:\\s*\\(?\\b(ET|EST|EDT|CT|CST|CDT|MT|MST|MDT|PT|PST|PDT|GMT|UTC|BST|CET|CEST|IST|AEST|AEDT)\\b\\)?)?';
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR' };
+
+const pad2 = (n) => String(n).padStart(2, '0');
+const monthIndex = (name) => MONTHS.indexOf(name.toLowerCase().substring(0, 3)) + 1;
+const canonicalDate = (year, month, day) =>
+  `${year ? (String(year).length === 2 ? `20${year}` : year) : '????'}-${pad2(month)}-${pad2(day)}`;
+const canonicalAmount = (amount) => Number(amount.replace(/[,\s]/g, '')).toFixed(2);
+
+// "October 12" (no year) matches "Oct 12, 2026": a ????-MM-DD date compares month and day only
+function factValuesMatch(a, b) {
+  if (a.type !== b.type) return false;
+  if (a.value === b.value) return true;
+  return a.type === 'date' && (a.value.startsWith('????') || b.value.startsWith('????')) &&
+    a.value.slice(4) === b.value.slice(4);
+}
+
+// Extractors run in priority order; each match is masked out of the working
+// text so "$1,299" isn't also counted as the number 1299
+const FACT_EXTRACTORS = [
+  {
+    type: 'currency',
+    regex: /([$€£¥₹])\s?(\d{1,3}(?:,\d{3})+|\d+)(\.\d{1,2})?|\b(USD|EUR|GBP|INR|AUD|CAD)\s?(\d{1,3}(?:,\d{3})+|\d+)(\.\d{1,2})?\b/gi,
+    canonical: (m) => m[1]
+      ? `${CURRENCY_SYMBOLS[m[1]]} ${canonicalAmount(m[2] + (m[3] || ''))}`
+      : `${m[4].toUpperCase()} ${canonicalAmount(m[5] + (m[6] || ''))}`,
+  },
+  {
+    type: 'date',
+    regex: new RegExp(`\\b${MONTH_PATTERN}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`, 'gi'),
+    canonical: (m) => canonicalDate(m[3], monthIndex(m[1]), m[2]),
+  },
+  {
+    type: 'date',
+    regex: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}\\.?(?:,?\\s+(\\d{4}))?\\b`, 'gi'),
+    canonical: (m) => canonicalDate(m[3], monthIndex(m[2]), m[1]),
+  },
+  {
+    type: 'date',
+    regex: /\b(\d{4})-(\d{2})-(\d{2})\b/g,
+    canonical: (m) => canonicalDate(m[1], m[2], m[3]),
+  },
+  {
+    // Numeric dates are read US-style (month first), like Marketo's defaults
+    type: 'date',
+    regex: /\b(\d{1,2})[\/.](\d{1,2})[\/.](\d{4}|\d{2})\b/g,
+    canonical: (m) => canonicalDate(m[3], m[1], m[2]),
+  },
+  {
+    type: 'phone',
+    regex: /(?:\+?\d{1,3}[\s.-]?)?\(?\b\d{3}\)?[\s.-]?\d{3}[\s.-]\d{4}\b/g,
+    canonical: (m) => m[0].replace(/\D/g, '').replace(/^1(?=\d{10}$)/, ''),
+  },
+  {
+    type: 'time',
+    regex: new RegExp(`\\b(\\d{1,2})(?::([0-5]\\d))?\\s?(a\\.?m\\.?|p\\.?m\\.?)(?=\\W|$)${TIMEZONE_PATTERN}`, 'gi'),
+    canonical: (m) => {
+      let hours = Number(m[1]) % 12;
+      if (/^p/i.test(m[3])) hours += 12;
+      return `${pad2(hours)}:${m[2] || '00'}${m[4] ? ` ${m[4].toUpperCase()}` : ''}`;
+    },
+  },
+  {
+    type: 'time',
+    regex: new RegExp(`\\b([01]?\\d|2[0-3]):([0-5]\\d)\\b${TIMEZONE_PATTERN}`, 'g'),
+    canonical: (m) => `${pad2(m[1])}:${m[2]}${m[3] ? ` ${m[3].toUpperCase()}` : ''}`,
+  },
+  {
+    type: 'percentage',
+    regex: /\b(\d+(?:\.\d+)?)\s?(?:%|percent\b)/gi,
+    canonical: (m) => `${Number(m[1])}%`,
+  },
+  {
+    type: 'number',
+    regex: /\b\d{1,3}(?:,\d{3})+(?:\.\d+)?\b|\b\d+(?:\.\d+)?\b/g,
+    canonical: (m) => String(Number(m[0].replace(/,/g, ''))),
+  },
+];
+
+// Legal marks and footnote markers don't consume the text (they sit next to words)
+const LEGAL_SYMBOL_REGEX = /([\p{L}\p{N}][\p{L}\p{M}\p{N}_.-]*)\s?(®|™|©|℠|\((?:R|TM|SM)\))/gu;
+const FOOTNOTE_MARKER_REGEX = /([\p{L}\p{M}\p{N}_%$.,]*[\p{L}\p{M}\p{N}_]%?)(\*{1,3}|†|‡)/gu;
+const LEGAL_SYMBOL_CANONICAL = { '(R)': '®', '(TM)': '™', '(SM)': '℠' };
+
+function extractFacts(text = "") {
+  const facts = [];
+  let working = text.replace(/[\u2018\u2019]/g, "'").replace(/\u00A0/g, ' ');
+
+  FACT_EXTRACTORS.forEach(({ type, regex, canonical }) => {
+    regex.lastIndex = 0;
+    let m;
+    while ((m = regex.exec(working)) !== null) {
+      facts.push({ type, raw: m[0].trim(), value: canonical(m), index: m.index });
+    }
+    // Mask what this extractor consumed
+    working = working.replace(regex, (match) => ' '.repeat(match.length));
+  });
+
+  let m;
+  LEGAL_SYMBOL_REGEX.lastIndex = 0;
+  while ((m = LEGAL_SYMBOL_REGEX.exec(text)) !== null) {
+    const symbol = LEGAL_SYMBOL_CANONICAL[m[2].toUpperCase()] || m[2];
+    facts.push({ type: 'legal', raw: m[0].trim(), value: `${m[1].toLowerCase()}${symbol}`, index: m.index });
+  }
+  FOOTNOTE_MARKER_REGEX.lastIndex = 0;
+  while ((m = FOOTNOTE_MARKER_REGEX.exec(text)) !== null) {
+    facts.push({ type: 'footnote', raw: m[0].trim(), value: `${m[1].toLowerCase()}${m[2]}`, index: m.index });
+  }
+
+  return facts.sort((a, b) => a.index - b.index);
+}
+
+function checkFactConsistency(docText, emailText, textComparison, subjectPreheaderCheck) {
+  const results = [];
+  const emailFacts = extractFacts(emailText);
+  const docValues = new Set();
+  const docFacts = [];
+
+  // Map each doc block to the email segment it was matched with
+  const segmentByBlock = new Map();
+  const { matched = [], partialMatch = [], notFound = [], metadata = [] } = textComparison;
+  [...matched, ...partialMatch, ...notFound].forEach(b => segmentByBlock.set(b.originalText, b.emailText || ''));
+  const metaActuals = {};
+  (subjectPreheaderCheck?.results || []).forEach(r => { metaActuals[r.field] = r.actual || ''; });
+  metadata.forEach(m => segmentByBlock.set(m.content, metaActuals[m.field] || ''));
+
+  splitDocBlocks(docText).forEach((block, blockIndex) => {
+    const blockFacts = extractFacts(block);
+    if (!blockFacts.length) return;
+
+    const segment = segmentByBlock.get(block) || '';
+    const segmentFacts = extractFacts(segment);
+    const unusedSegmentFacts = [...segmentFacts];
+    const unresolved = [];
+
+    blockFacts.forEach(fact => {
+      docValues.add(`${fact.type}|${fact.value}`);
+      docFacts.push(fact);
+      const idx = unusedSegmentFacts.findIndex(f => factValuesMatch(fact, f));
+      if (idx !== -1) {
+        const actual = unusedSegmentFacts.splice(idx, 1)[0];
+        results.push({ ...fact, actual: actual.raw, status: 'MATCH', severity: 'none', block, blockIndex });
+      } else {
+        unresolved.push(fact);
+      }
+    });
+
+    unresolved.forEach(fact => {
+      // Same kind of value in the matched segment, but a different one → changed
+      const idx = unusedSegmentFacts.findIndex(f => f.type === fact.type);
+      if (idx !== -1) {
+        const actual = unusedSegmentFacts.splice(idx, 1)[0];
+        results.push({
+          ...fact,
+          actual: actual.raw,
+          status: 'DIFFERS',
+          severity: 'high',
+          message: `${FACT_TYPE_LABELS[fact.type]} changed: doc says "${fact.raw}", email says "${actual.raw}"`,
+          block,
+          blockIndex,
+        });
+      } else if (emailFacts.some(f => factValuesMatch(fact, f))) {
+        results.push({
+          ...fact,
+          actual: fact.raw,
+          status: 'ELSEWHERE',
+          severity: 'low',
+          message: `"${fact.raw}" appears in the email, but not in the section matched to this block`,
+          block,
+          blockIndex,
+        });
+      } else {
+        results.push({
+          ...fact,
+          actual: null,
+          status: 'MISSING',
+          severity: 'high',
+          message: `${FACT_TYPE_LABELS[fact.type]} "${fact.raw}" from the doc is not in the email`,
+          block,
+          blockIndex,
+        });
+      }
+    });
+  });
+
+  // Values the email shows that the doc never mentions
+  const seenUnexpected = new Set();
+  emailFacts.forEach(fact => {
+    const key = `${fact.type}|${fact.value}`;
+    if (seenUnexpected.has(key) || fact.type === 'number' || docFacts.some(f => factValuesMatch(f, fact))) return;
+    seenUnexpected.add(key);
+    results.push({
+      ...fact,
+      actual: fact.raw,
+      status: 'UNEXPECTED',
+      severity: 'low',
+      message: `${FACT_TYPE_LABELS[fact.type]} "${fact.raw}" is in the email but not in the doc`,
+      block: null,
+      blockIndex: null,
+    });
+  });
+
+  const count = (status) => results.filter(r => r.status === status).length;
+  const differs = count('DIFFERS');
+  const missing = count('MISSING');
+
+  return {
+    results: results.map(({ index, ...r }) => ({ ...r, typeLabel: FACT_TYPE_LABELS[r.type] })),
+    summary: {
+      totalValues: docValues.size,
+      matched: count('MATCH'),
+      differs,
+      missing,
+      elsewhere: count('ELSEWHERE'),
+      unexpected: count('UNEXPECTED'),
+      issueCount: differs + missing,
+      status: (differs + missing) > 0 ? 'FAIL' : count('ELSEWHERE') > 0 ? 'WARNING' : 'PASS',
+    },
+  };
+}
+
+// ---------------------------------------------------------
+// LINK CHECK
+// Pairs each doc link with the email anchor carrying the same (or similar)
+// text, then checks that the destination behind that text is the same
+// ---------------------------------------------------------
+const LINK_TEXT_SIMILAR_THRESHOLD = 0.6;
+
+// Footer / ESP links that usually aren't in the copy doc
+const SYSTEM_LINK_PATTERNS = [
+  /unsubscribe/i,
+  /preference/i,
+  /view\s*(this\s*email\s*)?(in|as\s*a?)\s*(your\s*)?(browser|web\s*page)/i,
+  /privacy/i,
+  /^mailto:/i,
+  /^tel:/i,
+];
+
+const isSkippableHref = (href = "") => !href || href.startsWith('#') || /^javascript:/i.test(href);
+const isRawUrlText = (link) => !link.text || link.text === link.href || /^https?:\/\//i.test(link.text);
+const isSystemLink = (link) => SYSTEM_LINK_PATTERNS.some(p => p.test(link.text || '') || p.test(link.href || ''));
+
+function linkTextScore(docText, emailText) {
+  if (!docText || !emailText) return 0;
+  if (normalize(docText) === normalize(emailText)) return 1;
+  return getSimilarityScore(docText, emailText).score;
+}
+
+const compareLinks = (docLinks, emailLinks) => {
+  // Email links arrive pre-resolved (resolveEmailLinks); doc links are only unwrapped
+  const docKey = (href) => stripUtm(unwrapTrackedUrl(href));
+  const anchors = emailLinks
+    .filter(l => !isSkippableHref(l.href))
+    .map((l, index) => ({ ...l, index, stripped: stripUtm(l.resolvedHref || l.href) }));
+  const emailMap = anchors.map((l) => l.stripped);
+  const missing = [];
+  const report = [];
+
+  // Pair doc links to email anchors by text, best scores first (one-to-one)
+  const candidates = [];
+  docLinks.forEach((dl, docIndex) => {
+    if (isRawUrlText(dl)) return;
+    anchors.forEach(anchor => {
+      const score = linkTextScore(dl.text, anchor.text);
+      if (score >= LINK_TEXT_SIMILAR_THRESHOLD) {
+        // Prefer the anchor whose destination also matches when texts tie
+        const tieBreak = anchor.stripped === docKey(dl.href) ? 0.001 : 0;
+        candidates.push({ docIndex, anchor, score: score + tieBreak });
+      }
+    });
+  });
+  candidates.sort((a, b) => b.score - a.score);
+
+  const pairs = new Map();
+  const usedAnchors = new Set();
+  candidates.forEach(({ docIndex, anchor, score }) => {
+    if (pairs.has(docIndex) || usedAnchors.has(anchor.index)) return;
+    pairs.set(docIndex, { anchor, score: Math.min(score, 1) });
+    usedAnchors.add(anchor.index);
+  });
+
+  docLinks.forEach((dl, docIndex) => {
+    const docStripped = docKey(dl.href);
+    const found = emailMap.includes(docStripped);
+    const pair = pairs.get(docIndex);
+
+    let pairing, severity, message;
+    let emailLink = pair ? pair.anchor : null;
+
+    if (pair && pair.anchor.stripped === docStripped) {
+      const exactText = pair.score === 1;
+      pairing = exactText ? 'OK' : 'TEXT_CHANGED';
+      severity = exactText ? 'none' : 'medium';
+      message = exactText
+        ? 'Link text and destination match'
+        : `Link text changed: "${dl.text}" → "${pair.anchor.text}"`;
+    } else if (pair) {
+      pairing = 'WRONG_DESTINATION';
+      severity = 'high';
+      message = `"${pair.anchor.text}" points to ${pair.anchor.resolvedHref || pair.anchor.href} instead of ${dl.href}`;
+    } else if (found) {
+      // Destination is there, but under different text — CTA copy changed
+      emailLink = anchors.find(a => a.stripped === docStripped && !usedAnchors.has(a.index)) ||
+        anchors.find(a => a.stripped === docStripped);
+      if (isRawUrlText(dl) || normalize(dl.text) === normalize(emailLink.text)) {
+        pairing = 'OK';
+        severity = 'none';
+        message = 'Destination found in email';
+      } else {
+        pairing = 'TEXT_CHANGED';
+        severity = 'medium';
+        message = `Destination found, but its link text is "${emailLink.text || '(no text)'}" instead of "${dl.text}"`;
+      }
+      usedAnchors.add(emailLink.index);
+    } else {
+      pairing = 'MISSING';
+      severity = 'high';
+      message = 'No link with this text or destination in the email';
+    }
+
+    report.push({
+      text: dl.text,
+      docHref: dl.href,
+      foundInEmail: found ? "YES" : "NO",
+      utmInDoc: hasUtm(dl.href) ? "YES" : "NO",
+      pairing,
+      severity,
+      message,
+      emailText: emailLink ? emailLink.text : null,
+      emailHref: emailLink ? emailLink.href : null,
+      emailResolvedHref: emailLink ? (emailLink.resolvedHref || emailLink.href) : null,
+      emailResolution: emailLink ? (emailLink.resolution || 'none') : null,
+      textMatchPercentage: pair ? Math.round(pair.score * 100) : null,
+    });
+
+    if (!found) missing.push(dl);
+  });
+
+  // Email anchors that no doc link accounts for
+  const docStrippedSet = new Set(docLinks.map(dl => docKey(dl.href)));
+  const seenExtra = new Set();
+  const extra = [];
+  anchors.forEach(anchor => {
+    if (usedAnchors.has(anchor.index) || docStrippedSet.has(anchor.stripped)) return;
+    const key = `${anchor.stripped}|${normalize(anchor.text)}`;
+    if (seenExtra.has(key)) return;
+    seenExtra.add(key);
+    const system = isSystemLink(anchor);
+    extra.push({
+      text: anchor.text,
+      href: anchor.href,
+      resolvedHref: anchor.resolvedHref || anchor.href,
+      resolution: anchor.resolution || 'none',
+      isSystemLink: system,
+      severity: system ? 'none' : 'medium',
+      message: system ? 'Footer / system link (not expected in doc)' : 'Link is in the email but not in the doc',
+    });
+  });
+
+  return { report, missing, extra };
+};
+
+// ---------------------------------------------------------
+// UTM GOVERNANCE
+// Rule sets (required keys, allowed values, casing, one campaign per
+// email) live in config/utm-rules.json and are picked per /qa request
+// ---------------------------------------------------------
+const UTM_RULES_CONFIG_PATH = process.env.UTM_RULES_CONFIG ||
+  path.join(__dirname, 'config', 'utm-rules.json');
+const DEFAULT_UTM_RULE_SET = 'default';
+
+function loadUtmRuleSets() {
+  try {
+    const raw = JSON.parse(fs.readFileSync(UTM_RULES_CONFIG_PATH, 'utf8'));
+    const resolve = (name, seen = new Set()) => {
+      const set = raw[name];
+      if (!set || seen.has(name)) return {};
+      seen.add(name);
+      const base = set.extends ? resolve(set.extends, seen) : {};
+      return { ...base, ...set };
+    };
+    const ruleSets = {};
+    Object.keys(raw).forEach(name => {
+      const { extends: _parent, ...rules } = resolve(name);
+      ruleSets[name] = {
+        description: '',
+        requiredKeys: [],
+        allowedValues: {},
+        patterns: {},
+        lowercaseOnly: false,
+        noSpaces: false,
+        consistentCampaign: false,
+        ...rules,
+      };
+      // A bad pattern is dropped at startup rather than failing every QA run
+      const patternRegexes = {};
+      Object.entries(ruleSets[name].patterns).forEach(([key, pattern]) => {
+        try {
+          patternRegexes[key] = new RegExp(pattern);
+        } catch (error) {
+          console.warn(`UTM rule set "${name}": ${key} pattern ignored (${error.message})`);
+        }
+      });
+      ruleSets[name].patternRegexes = patternRegexes;
+    });
+    console.log(`Loaded ${Object.keys(ruleSets).length} UTM rule sets`);
+    return ruleSets;
+  } catch (error) {
+    console.warn(`UTM rules not loaded (${error.message}) — UTM governance disabled`);
+    return {};
+  }
+}
+
+const utmRuleSets = loadUtmRuleSets();
+
+// Unset → the default set; a name that isn't configured is a client error
+function resolveUtmRuleSetName(ruleSetName) {
+  if (!ruleSetName) return DEFAULT_UTM_RULE_SET;
+  // No config loaded at all: governance is off, whatever the name
+  if (utmRuleSets[ruleSetName] || Object.keys(utmRuleSets).length === 0) return ruleSetName;
+  throw new InputError(`Unknown UTM rule set "${ruleSetName}" — use one of: ${Object.keys(utmRuleSets).join(', ')}`);
+}
+
+// utm_* params with their decoded values (keys lower-cased)
+function extractUtmParams(href = "") {
+  const params = {};
+  try {
+    new URL(href).searchParams.forEach((value, key) => {
+      if (key.toLowerCase().startsWith('utm_')) params[key.toLowerCase()] = value;
+    });
+  } catch {
+    // not an absolute URL — no params to read
+  }
+  return params;
+}
+
+function diffUtmParams(docUtm, emailUtm) {
+  const keys = [...new Set([...Object.keys(docUtm), ...Object.keys(emailUtm)])].sort();
+  return keys.map(key => {
+    const doc = key in docUtm ? docUtm[key] : null;
+    const email = key in emailUtm ? emailUtm[key] : null;
+    let status;
+    if (doc === email) status = 'MATCH';
+    else if (doc === null) status = 'EXTRA_IN_EMAIL';
+    else if (email === null) status = 'MISSING_IN_EMAIL';
+    else status = 'CHANGED';
+    return { key, doc, email, status };
+  });
+}
+
+function applyUtmRules(utm, rules) {
+  const issues = [];
+  rules.requiredKeys.forEach(key => {
+    if (!utm[key]) issues.push({ type: 'MISSING_KEY', key, severity: 'high', message: `Missing required ${key}` });
+  });
+  Object.entries(utm).forEach(([key, value]) => {
+    const allowed = rules.allowedValues[key];
+    if (allowed && allowed.length && !allowed.includes(value)) {
+      issues.push({ type: 'NOT_ALLOWED', key, severity: 'high', message: `${key}="${value}" is not an allowed value (${allowed.join(', ')})` });
+    }
+    const pattern = rules.patternRegexes[key];
+    if (pattern && !pattern.test(value)) {
+      issues.push({ type: 'PATTERN', key, severity: 'medium', message: `${key}="${value}" does not match the required format` });
+    }
+    if (rules.lowercaseOnly && value !== value.toLowerCase()) {
+      issues.push({ type: 'NOT_LOWERCASE', key, severity: 'medium', message: `${key}="${value}" must be lowercase` });
+    }
+    if (rules.noSpaces && /\s/.test(value)) {
+      issues.push({ type: 'HAS_SPACES', key, severity: 'medium', message: `${key}="${value}" contains spaces` });
+    }
+  });
+  return issues;
+}
+
+function checkUtmGovernance(linkReport, emailLinks, ruleSetName) {
+  const name = resolveUtmRuleSetName(ruleSetName);
+  const rules = utmRuleSets[name];
+  if (!rules) return null;
+
+  // Tracking links carry their UTMs on the resolved destination
+  const utmForLink = (link) => ({ ...extractUtmParams(link.href), ...extractUtmParams(link.resolvedHref || link.href) });
+
+  // Rules apply to every content link actually in the email
+  const seen = new Set();
+  const links = [];
+  emailLinks.forEach(link => {
+    if (!/^https?:/i.test(link.resolvedHref || link.href) || isSystemLink(link) || seen.has(link.href)) return;
+    seen.add(link.href);
+    const utm = utmForLink(link);
+    links.push({ text: link.text, href: link.href, resolvedHref: link.resolvedHref || link.href, utm, issues: applyUtmRules(utm, rules) });
+  });
+
+  // One utm_campaign per email
+  const campaignCounts = {};
+  links.forEach(l => {
+    if (l.utm.utm_campaign) campaignCounts[l.utm.utm_campaign] = (campaignCounts[l.utm.utm_campaign] || 0) + 1;
+  });
+  const campaignValues = Object.entries(campaignCounts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([value, count]) => ({ value, count }));
+  if (rules.consistentCampaign && campaignValues.length > 1) {
+    const expected = campaignValues[0].value;
+    links.forEach(l => {
+      if (l.utm.utm_campaign && l.utm.utm_campaign !== expected) {
+        l.issues.push({
+          type: 'INCONSISTENT_CAMPAIGN',
+          key: 'utm_campaign',
+          severity: 'high',
+          message: `utm_campaign="${l.utm.utm_campaign}" differs from the rest of the email ("${expected}")`,
+        });
+      }
+    });
+  }
+
+  // Doc UTMs vs the UTMs on the paired email link
+  const emailByHref = new Map(emailLinks.map(l => [l.href, l]));
+  const docDiffs = linkReport
+    .filter(r => r.emailHref && (hasUtm(r.docHref) || hasUtm(r.emailResolvedHref || r.emailHref)))
+    .map(r => {
+      const emailLink = emailByHref.get(r.emailHref) || { href: r.emailHref, resolvedHref: r.emailResolvedHref };
+      const diff = diffUtmParams(extractUtmParams(r.docHref), utmForLink(emailLink));
+      // Only keys the doc actually specified count as errors
+      const changed = diff.filter(d => d.status === 'CHANGED' || d.status === 'MISSING_IN_EMAIL');
+      return {
+        text: r.text,
+        docHref: r.docHref,
+        emailHref: r.emailResolvedHref || r.emailHref,
+        diff,
+        severity: changed.length > 0 ? 'high' : 'none',
+      };
+    });
+
+  links.forEach(l => {
+    l.severity = l.issues.some(i => i.severity === 'high') ? 'high'
+      : l.issues.some(i => i.severity === 'medium') ? 'medium' : 'none';
+  });
+
+  const high = links.filter(l => l.severity === 'high').length + docDiffs.filter(d => d.severity === 'high').length;
+  const medium = links.filter(l => l.severity === 'medium').length;
+
+  return {
+    ruleSet: name,
+    rules,
+    links,
+    docDiffs,
+    campaignValues,
+    summary: {
+      totalLinks: links.length,
+      linksWithIssues: links.filter(l => l.issues.length > 0).length,
+      docMismatches: docDiffs.filter(d => d.severity === 'high').length,
+      campaignValues: campaignValues.length,
+      issueCount: high + medium,
+      status: high > 0 ? 'FAIL' : medium > 0 ? 'WARNING' : 'PASS',
+    },
+  };
+}
+
+// ---------------------------------------------------------
+// LINK HEALTH CHECK
+// Requests every unique href in the email: HEAD first, GET when HEAD is
+// refused. Records status, redirect hops, final URL, insecure links,
+// mailto/tel syntax and #fragment anchors missing on the target page
+// ---------------------------------------------------------
+const LINK_CHECK_CONCURRENCY = 5;
+const LINK_CHECK_TIMEOUT = 15000;
+const LINK_CHECK_MAX_BODY = 5 * 1024 * 1024;   // don't download big PDFs on GET fallback
+const LONG_REDIRECT_CHAIN = 3;
+
+const EMAIL_ADDRESS_REGEX = /^[^\s@<>()[\]\\,;:"]+@[^\s@<>()[\]\\,;:"]+\.[a-z]{2,}$/i;
+const MAILTO_ALLOWED_PARAMS = ['subject', 'body', 'cc', 'bcc', 'to'];
+
+// null for malformed percent-encoding ("%zz") instead of a URIError
+function safeDecodeURIComponent(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return null;
+  }
+}
+
+function validateMailto(href) {
+  const issues = [];
+  const [addressPart, query = ''] = href.replace(/^mailto:/i, '').split('?');
+  const decoded = safeDecodeURIComponent(addressPart);
+  if (decoded === null) {
+    return [{ type: 'MAILTO_INVALID', severity: 'high', message: `mailto: address has malformed %-encoding: "${addressPart}"` }];
+  }
+  const addresses = decoded.split(',').map(a => a.trim()).filter(Boolean);
+
+  if (!addresses.length) {
+    issues.push({ type: 'MAILTO_EMPTY', severity: 'high', message: 'mailto: link has no email address' });
+  }
+  addresses.forEach(address => {
+    if (!EMAIL_ADDRESS_REGEX.test(address)) {
+      issues.push({ type: 'MAILTO_INVALID', severity: 'high', message: `Invalid email address in mailto: "${address}"` });
+    }
+  });
+  new URLSearchParams(query).forEach((value, key) => {
+    if (!MAILTO_ALLOWED_PARAMS.includes(key.toLowerCase())) {
+      issues.push({ type: 'MAILTO_PARAM', severity: 'low', message: `Unknown mailto parameter "${key}"` });
+    }
+    if (['cc', 'bcc', 'to'].includes(key.toLowerCase())) {
+      value.split(',').map(v => v.trim()).filter(Boolean).forEach(address => {
+        if (!EMAIL_ADDRESS_REGEX.test(address)) {
+          issues.push({ type: 'MAILTO_INVALID', severity: 'high', message: `Invalid ${key} address in mailto: "${address}"` });
+        }
+      });
+    }
+  });
+  return issues;
+}
+
+function validateTel(href) {
+  const raw = href.replace(/^tel:/i, '');
+  const decoded = safeDecodeURIComponent(raw);
+  if (decoded === null) {
+    return [{ type: 'TEL_INVALID', severity: 'high', message: `tel: link has malformed %-encoding: "${raw}"` }];
+  }
+  const number = decoded.trim();
+  const digits = number.replace(/\D/g, '');
+  if (!/^\+?[\d\s().-]+$/.test(number)) {
+    return [{ type: 'TEL_INVALID', severity: 'high', message: `tel: link contains invalid characters: "${number}"` }];
+  }
+  if (digits.length < 7 || digits.length > 15) {
+    return [{ type: 'TEL_INVALID', severity: 'high', message: `tel: number has ${digits.length} digits (expected 7–15)` }];
+  }
+  return [];
+}
+
+async function requestLink(url, method, { withBody = false } = {}) {
+  return withRetry(() => followRedirects(url, {
+    method,
+    timeout: LINK_CHECK_TIMEOUT,
+    verbose: false,
+    acceptErrorStatus: true,
+    ...(withBody ? { maxContentLength: LINK_CHECK_MAX_BODY } : {}),
+  }), { retries: 2, baseDelay: 1000, label: `Link check ${url}` });
+}
+
+const emptyLinkResult = (href) => ({
+  href,
+  protocol: null,
+  status: null,
+  method: null,
+  redirectCount: 0,
+  hops: [],
+  finalUrl: null,
+  issues: [],
+});
+
+// Never rejects: an unexpected error becomes an issue on this link, not a lost report
+async function checkSingleLink(href, baseUrl) {
+  try {
+    return await inspectLink(href, baseUrl);
+  } catch (error) {
+    console.warn(`Link check failed for ${href}: ${error.message}`);
+    return {
+      ...emptyLinkResult(href),
+      error: error.message,
+      issues: [{ type: 'CHECK_FAILED', severity: 'medium', message: `Link could not be checked: ${error.message}` }],
+    };
+  }
+}
+
+const sameUrl = (a, b) => {
+  try {
+    return new URL(a).href === new URL(b).href;
+  } catch {
+    return a === b;
+  }
+};
+
+// Takes a link from resolveEmailLinks and requests its resolved destination:
+// requesting a tracking wrapper or an mkt_tok URL again would log another click
+async function checkResolvedLink(link, baseUrl) {
+  if (link.resolution === 'failed') {
+    return {
+      ...emptyLinkResult(link.href),
+      protocol: 'tracked',
+      error: link.resolutionError,
+      issues: [{ type: 'UNRESOLVED', severity: 'high', message: `Tracked link could not be resolved: ${link.resolutionError}` }],
+    };
+  }
+
+  const target = link.resolvedHref || link.href;
+  if (sameUrl(target, link.href)) return checkSingleLink(link.href, baseUrl);
+
+  const result = { ...(await checkSingleLink(target, baseUrl)), href: link.href, checkedUrl: target };
+  // The wrapper itself is what the reader clicks
+  if (/^http:/i.test(link.href) && !result.issues.some(i => i.type === 'INSECURE')) {
+    result.issues.unshift({ type: 'INSECURE', severity: 'medium', message: 'Tracked link uses http:// instead of https://' });
+  }
+  return result;
+}
+
+async function inspectLink(href, baseUrl) {
+  const result = emptyLinkResult(href);
+
+  if (/^mailto:/i.test(href)) {
+    result.protocol = 'mailto';
+    result.issues = validateMailto(href);
+    return result;
+  }
+  if (/^tel:/i.test(href)) {
+    result.protocol = 'tel';
+    result.issues = validateTel(href);
+    return result;
+  }
+  if (/\{\{.*\}\}|^%%|\*\|.*\|\*/.test(href)) {
+    result.protocol = 'token';
+    result.skipped = 'Unrendered merge token — not requested';
+    return result;
+  }
+
+  let url;
+  try {
+    url = new URL(href, baseUrl || undefined);
+  } catch {
+    result.issues.push({ type: 'INVALID_URL', severity: 'high', message: 'Link is not a valid URL' });
+    return result;
+  }
+  result.protocol = url.protocol.replace(':', '');
+  if (!['http', 'https'].includes(result.protocol)) {
+    result.skipped = `${result.protocol}: links are not requested`;
+    return result;
+  }
+  if (result.protocol === 'http') {
+    result.issues.push({ type: 'INSECURE', severity: 'medium', message: 'Link uses http:// instead of https://' });
+  }
+
+  let fragment = url.hash ? safeDecodeURIComponent(url.hash.slice(1)) : '';
+  if (fragment === null) {
+    fragment = url.hash.slice(1);
+    result.issues.push({ type: 'INVALID_URL', severity: 'high', message: `Anchor "#${fragment}" has malformed %-encoding` });
+  }
+
+  try {
+    // Fragment links need the page body to look for the anchor, so GET them directly
+    let outcome = null;
+    if (!fragment) {
+      try {
+        outcome = await requestLink(url.href, 'head');
+        result.method = 'HEAD';
+      } catch (headError) {
+        // The host itself is unreachable — a GET won't fare any better
+        if (['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED'].includes(headError.code)) throw headError;
+        outcome = null;
+      }
+    }
+    // Some servers refuse or mishandle HEAD — retry as GET
+    if (!outcome || [403, 405, 501].includes(outcome.response.status) || outcome.response.status >= 500) {
+      outcome = await requestLink(url.href, 'get', { withBody: true });
+      result.method = 'GET';
+    }
+
+    const { response, finalUrl, hops } = outcome;
+    result.status = response.status;
+    result.finalUrl = finalUrl;
+    result.hops = hops;
+    result.redirectCount = Math.max(0, hops.length - 1);
+
+    if (response.status >= 400) {
+      result.issues.push({ type: 'BROKEN', severity: 'high', message: `Link returns HTTP ${response.status}` });
+    } else if (response.status >= 300) {
+      result.issues.push({ type: 'REDIRECT_LOOP', severity: 'high', message: `Stopped after ${hops.length} redirects without reaching a page` });
+    }
+    if (result.protocol === 'https' && /^http:/i.test(finalUrl)) {
+      result.issues.push({ type: 'INSECURE_REDIRECT', severity: 'medium', message: 'HTTPS link redirects to an insecure http:// page' });
+    }
+    if (result.redirectCount > LONG_REDIRECT_CHAIN) {
+      result.issues.push({ type: 'LONG_REDIRECT_CHAIN', severity: 'low', message: `${result.redirectCount} redirect hops before the final page` });
+    }
+
+    if (fragment && response.status < 300 && typeof response.data === 'string') {
+      const $page = cheerio.load(response.data);
+      const escaped = fragment.replace(/["\\]/g, '\\$&');
+      const hasAnchor = $page(`[id="${escaped}"], a[name="${escaped}"]`).length > 0;
+      result.fragment = fragment;
+      result.fragmentFound = hasAnchor;
+      if (!hasAnchor) {
+        result.issues.push({ type: 'MISSING_ANCHOR', severity: 'medium', message: `Anchor "#${fragment}" not found on the target page` });
+      }
+    }
+  } catch (error) {
+    result.error = error.message;
+    result.issues.push({ type: 'UNREACHABLE', severity: 'high', message: `Request failed: ${error.message}` });
+  }
+
+  return result;
+}
+
+// Expects the links from resolveEmailLinks
+async function checkLinkHealth(emailLinks, baseUrl) {
+  const textsByHref = new Map();
+  const linkByHref = new Map();
+  emailLinks.forEach(l => {
+    if (!l.href || l.href.startsWith('#') || /^javascript:/i.test(l.href)) return;
+    if (!textsByHref.has(l.href)) {
+      textsByHref.set(l.href, []);
+      linkByHref.set(l.href, l);
+    }
+    textsByHref.get(l.href).push(l.text || '');
+  });
+
+  const hrefs = [...textsByHref.keys()];
+  console.log(`Link health: checking ${hrefs.length} unique links...`);
+  const checked = await mapWithConcurrency(hrefs, LINK_CHECK_CONCURRENCY, href => checkResolvedLink(linkByHref.get(href), baseUrl));
+
+  const results = checked.map((r, i) => {
+    const severities = r.issues.map(issue => issue.severity);
+    const severity = severities.includes('high') ? 'high'
+      : severities.includes('medium') ? 'medium'
+        : severities.includes('low') ? 'low' : 'none';
+    return {
+      index: i + 1,
+      ...r,
+      texts: [...new Set(textsByHref.get(r.href))].filter(Boolean),
+      occurrences: textsByHref.get(r.href).length,
+      severity,
+      result: r.skipped ? 'SKIPPED' : severity === 'high' ? 'BROKEN' : severity === 'none' ? 'OK' : 'WARNING',
+    };
+  });
+
+  const count = (fn) => results.filter(fn).length;
+  const hasIssue = (r, type) => r.issues.some(i => i.type === type);
+  const high = count(r => r.severity === 'high');
+  const medium = count(r => r.severity === 'medium');
+
+  return {
+    results,
+    summary: {
+      totalLinks: results.length,
+      ok: count(r => r.result === 'OK'),
+      broken: high,
+      redirected: count(r => r.redirectCount > 0),
+      insecure: count(r => hasIssue(r, 'INSECURE') || hasIssue(r, 'INSECURE_REDIRECT')),
+      invalidMailtoTel: count(r => (r.protocol === 'mailto' || r.protocol === 'tel') && r.issues.length > 0),
+      missingAnchors: count(r => hasIssue(r, 'MISSING_ANCHOR')),
+      skipped: count(r => r.result === 'SKIPPED'),
+      issueCount: high + medium,
+      status: high > 0 ? 'FAIL' : medium > 0 ? 'WARNING' : 'PASS',
+    },
+  };
+}
+
+// ---------------------------------------------------------
+// IMAGE ALT TAG CHECK
+// ---------------------------------------------------------
+function checkImageAltTags(images) {
+  const results = [];
+  let missingCount = 0;
+  let emptyCount = 0;
+  let genericCount = 0;
+  let validCount = 0;
+
+  // Common generic/placeholder alt text patterns
+  const genericPatterns = [
+    /^image$/i,
+    /^img$/i,
+    /^photo$/i,
+    /^picture$/i,
+    /^banner$/i,
+    /^logo$/i,
+    /^icon$/i,
+    /^spacer$/i,
+    /^pixel$/i,
+    /^untitled$/i,
+    /^\d+$/,
+    /^image\s*\d+$/i,
+    /^img\s*\d+$/i,
+    /^dsc\d+$/i,
+    /^screenshot/i,
+    /^\.\w+$/,           // just a file extension like ".jpg"
+    /^https?:\/\//i,     // URL used as alt text
+  ];
+
+  // Image src patterns that are decorative/tracking pixels
+  const decorativePatterns = [
+    /spacer/i,
+    /pixel/i,
+    /tracking/i,
+    /blank\.gif/i,
+    /1x1/i,
+    /transparent/i,
+    /shim/i,
+  ];
+
+  images.forEach((img, index) => {
+    const src = img.src || '';
+    const alt = (img.alt || '').trim();
+
+    // Check if it's likely a decorative/tracking pixel
+    const isDecorative = decorativePatterns.some(p => p.test(src)) ||
+      (src.includes('width=1') && src.includes('height=1'));
+
+    let status, severity, message;
+
+    if (!img.alt && img.alt !== '') {
+      // alt attribute is completely missing from the <img> tag
+      status = 'MISSING';
+      severity = isDecorative ? 'low' : 'high';
+      message = isDecorative
+        ? 'Alt attribute missing (likely decorative/tracking pixel)'
+        : 'Alt attribute is completely missing — accessibility issue';
+      missingCount++;
+    } else if (alt === '') {
+      // alt="" (empty) — acceptable for decorative images
+      if (isDecorative) {
+        status = 'OK';
+        severity = 'none';
+        message = 'Empty alt text (decorative image — acceptable)';
+        validCount++;
+      } else {
+        status = 'EMPTY';
+        severity = 'medium';
+        message = 'Alt text is empty — should have descriptive text unless purely decorative';
+        emptyCount++;
+      }
+    } else if (genericPatterns.some(p => p.test(alt))) {
+      // Generic/placeholder alt text
+      status = 'GENERIC';
+      severity = 'medium';
+      message = `Alt text "${alt}" appears generic or auto-generated`;
+      genericCount++;
+    } else {
+      // Has meaningful alt text
+      status = 'OK';
+      severity = 'none';
+      message = 'Has descriptive alt text';
+      validCount++;
+    }
+
+    // Extract a readable filename from src
+    let srcLabel = src;
+    try {
+      const urlObj = new URL(src);
+      srcLabel = urlObj.pathname.split('/').pop() || src;
+    } catch {
+      srcLabel = src.split('/').pop() || src;
+    }
+    // Truncate long src labels
+    if (srcLabel.length > 60) srcLabel = srcLabel.substring(0, 57) + '...';
+
+    results.push({
+      index: index + 1,
+      src: src,
+      srcLabel,
+      alt: img.alt,
+      altDisplay: alt || (img.alt === '' ? '(empty)' : '(missing)'),
+      status,
+      severity,
+      message,
+      isDecorative,
+    });
+  });
+
+  const totalImages = images.length;
+  const issueCount = missingCount + emptyCount + genericCount;
+
+  return {
+    results,
+    summary: {
+      totalImages,
+      missingAlt: missingCount,
+      emptyAlt: emptyCount,
+      genericAlt: genericCount,
+      validAlt: validCount,
+      issueCount,
+      status: issueCount === 0 ? 'PASS' : (missingCount > 0 ? 'FAIL' : 'WARNING'),
+    },
+  };
+}
+
+// ---------------------------------------------------------
+// IMAGE ASSET CHECK
+// Requests every unique image src and reads the file itself: HTTP
+// status, HTTPS, file weight, intrinsic size against the declared
+// width/height (1x or 2x retina), and animated GIFs whose first frame
+// is blank — Outlook desktop only ever shows that frame.
+// ---------------------------------------------------------
+const IMAGE_CHECK_CONCURRENCY = 5;
+const IMAGE_CHECK_TIMEOUT = 15000;
+const IMAGE_MAX_DOWNLOAD = 10 * 1024 * 1024;
+const IMAGE_WARN_BYTES = 200 * 1024;
+const IMAGE_MAX_BYTES = 500 * 1024;
+const TOTAL_IMAGE_WARN_BYTES = 1024 * 1024;
+const TOTAL_IMAGE_MAX_BYTES = 2 * 1024 * 1024;
+// Intrinsic/declared width ratios accepted as 1x and 2x (retina) assets
+const DIMENSION_TOLERANCE = 0.05;
+const OVERSCALED_RATIO = 2.5;
+// Spacers and tracking pixels (same patterns as the alt-tag check)
+const DECORATIVE_IMAGE_REGEX = /spacer|pixel|tracking|blank\.gif|1x1|transparent|shim/i;
+
+// By src name, or declared 1px wide / high (pixels, divider lines)
+const isDecorativeImage = ({ src = '', width, height }) =>
+  DECORATIVE_IMAGE_REGEX.test(src) || parseFloat(width) <= 1 || parseFloat(height) <= 1;
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+// Decodes the LZW pixel stream of a GIF frame, calling onPixel(colorIndex)
+// for each pixel until it returns false
+function decodeGifPixels(minCodeSize, data, pixelCount, onPixel) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let dict = [];
+  const resetDict = () => {
+    dict = Array.from({ length: clearCode + 2 }, (_, i) => [i]);
+    codeSize = minCodeSize + 1;
+  };
+  resetDict();
+
+  let decoded = 0;
+  let prev = null;
+  let bitPos = 0;
+  while (decoded < pixelCount && bitPos + codeSize <= data.length * 8) {
+    let code = 0;
+    for (let i = 0; i < codeSize; i++) {
+      code |= ((data[(bitPos + i) >> 3] >> ((bitPos + i) & 7)) & 1) << i;
+    }
+    bitPos += codeSize;
+
+    if (code === clearCode) {
+      resetDict();
+      prev = null;
+      continue;
+    }
+    if (code === endCode) break;
+
+    let entry;
+    if (code < dict.length) entry = dict[code];
+    else if (code === dict.length && prev) entry = prev.concat(prev[0]);
+    else break;
+
+    for (const index of entry) {
+      decoded++;
+      if (onPixel(index) === false) return;
+    }
+
+    if (prev && dict.length < 4096) {
+      dict.push(prev.concat(entry[0]));
+      if (dict.length === (1 << codeSize) && codeSize < 12) codeSize++;
+    }
+    prev = entry;
+  }
+}
+
+// True when the frame holds no more than one visible colour
+function isGifFrameBlank(frame) {
+  let firstColor = null;
+  let blank = true;
+  decodeGifPixels(frame.minCodeSize, frame.data, frame.pixelCount, index => {
+    if (index === frame.transparentIndex) return true;
+    const color = frame.colorTable ? frame.colorTable.slice(index * 3, index * 3 + 3).join(',') : String(index);
+    if (firstColor === null) firstColor = color;
+    else if (color !== firstColor) blank = false;
+    return blank;
+  });
+  return blank;
+}
+
+function readGifInfo(buf) {
+  const info = { format: 'gif', width: buf.readUInt16LE(6), height: buf.readUInt16LE(8), frames: 0, firstFrameBlank: false };
+  const packed = buf[10];
+  const globalTable = packed & 0x80 ? buf.subarray(13, 13 + 3 * (2 << (packed & 7))) : null;
+  let pos = 13 + (globalTable ? globalTable.length : 0);
+  let transparentIndex = -1;
+
+  const skipSubBlocks = (start) => {
+    let p = start;
+    while (p < buf.length && buf[p] !== 0) p += buf[p] + 1;
+    return p + 1;
+  };
+
+  while (pos < buf.length) {
+    const block = buf[pos];
+    if (block === 0x3B) break;
+    if (block === 0x21) {
+      if (buf[pos + 1] === 0xF9 && info.frames === 0) {
+        transparentIndex = buf[pos + 3] & 1 ? buf[pos + 6] : -1;
+      }
+      pos = skipSubBlocks(pos + 2);
+    } else if (block === 0x2C) {
+      const frameWidth = buf.readUInt16LE(pos + 5);
+      const frameHeight = buf.readUInt16LE(pos + 7);
+      const framePacked = buf[pos + 9];
+      const localTable = framePacked & 0x80 ? buf.subarray(pos + 10, pos + 10 + 3 * (2 << (framePacked & 7))) : null;
+      pos += 10 + (localTable ? localTable.length : 0);
+      const minCodeSize = buf[pos];
+      const dataStart = pos + 1;
+      pos = skipSubBlocks(dataStart);
+      info.frames++;
+
+      if (info.frames === 1) {
+        const chunks = [];
+        for (let p = dataStart; p < buf.length && buf[p] !== 0; p += buf[p] + 1) {
+          chunks.push(buf.subarray(p + 1, p + 1 + buf[p]));
+        }
+        const frame = {
+          minCodeSize,
+          data: Buffer.concat(chunks),
+          pixelCount: frameWidth * frameHeight,
+          colorTable: localTable || globalTable,
+          transparentIndex,
+        };
+        info.firstFrameBlank = isGifFrameBlank(frame);
+        if (transparentIndex >= 0 && frame.colorTable) {
+          const tone = createToneCounter();
+          decodeGifPixels(minCodeSize, frame.data, frame.pixelCount, index => {
+            const c = frame.colorTable;
+            tone.add(c[index * 3], c[index * 3 + 1], c[index * 3 + 2], index === transparentIndex ? 0 : 255);
+          });
+          // Canvas outside the first frame is transparent too
+          tone.addTransparent(info.width * info.height - frame.pixelCount);
+          info.tone = tone.result();
+        }
+      }
+    } else {
+      break;
+    }
+  }
+  info.animated = info.frames > 1;
+  return info;
+}
+
+// Share of transparent pixels and how dark the visible ones are — a dark
+// logo on a transparent background vanishes on a dark-mode canvas
+const DARK_PIXEL_LUMINANCE = 0.05;
+const TONE_MAX_PIXELS = 4 * 1024 * 1024;
+
+function createToneCounter() {
+  let total = 0;
+  let transparent = 0;
+  let dark = 0;
+  let luminanceSum = 0;
+  const linear = (c) => {
+    const v = c / 255;
+    return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+  };
+  return {
+    add(r, g, b, a) {
+      total++;
+      if (a < 128) {
+        transparent++;
+        return;
+      }
+      const luminance = 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+      luminanceSum += luminance;
+      if (luminance < DARK_PIXEL_LUMINANCE) dark++;
+    },
+    addTransparent(count) {
+      if (count > 0) {
+        total += count;
+        transparent += count;
+      }
+    },
+    result() {
+      const opaque = total - transparent;
+      return {
+        transparentRatio: total ? Math.round((transparent / total) * 1000) / 1000 : 0,
+        darkRatio: opaque ? Math.round((dark / opaque) * 1000) / 1000 : 0,
+        meanLuminance: opaque ? Math.round((luminanceSum / opaque) * 1000) / 1000 : null,
+      };
+    },
+  };
+}
+
+// Inflates and unfilters a non-interlaced PNG with an alpha channel or tRNS
+function readPngTone(buf) {
+  let pos = 8;
+  let header = null;
+  let palette = null;
+  let paletteAlpha = null;
+  let transparentGray = null;
+  const idat = [];
+  while (pos + 8 <= buf.length) {
+    const length = buf.readUInt32BE(pos);
+    const type = buf.toString('ascii', pos + 4, pos + 8);
+    const data = buf.subarray(pos + 8, pos + 8 + length);
+    if (type === 'IHDR') {
+      header = { width: data.readUInt32BE(0), height: data.readUInt32BE(4), bitDepth: data[8], colorType: data[9], interlace: data[12] };
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'tRNS') {
+      if (header && header.colorType === 3) paletteAlpha = data;
+      else if (header && header.colorType === 0) transparentGray = data.readUInt16BE(0);
+      else return null;   // single transparent RGB colour — rare, not analysed
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+    pos += 12 + length;
+  }
+  if (!header || header.interlace) return null;
+  const { width, height, bitDepth, colorType } = header;
+  const hasAlpha = colorType === 4 || colorType === 6 || paletteAlpha || transparentGray !== null;
+  if (!hasAlpha) return { transparentRatio: 0, darkRatio: null, meanLuminance: null };
+  if (width * height > TONE_MAX_PIXELS) return null;
+
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+  if (!channels) return null;
+  const bitsPerPixel = channels * bitDepth;
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  // A filter byte plus one stride per row — anything larger is a decompression bomb
+  const raw = zlib.inflateSync(Buffer.concat(idat), { maxOutputLength: (stride + 1) * height });
+  const rows = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = rows.subarray(y * stride, (y + 1) * stride);
+    const prior = y > 0 ? rows.subarray((y - 1) * stride, y * stride) : null;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bpp ? out[x - bpp] : 0;
+      const b = prior ? prior[x] : 0;
+      const c = prior && x >= bpp ? prior[x - bpp] : 0;
+      let value = line[x];
+      if (filter === 1) value += a;
+      else if (filter === 2) value += b;
+      else if (filter === 3) value += (a + b) >> 1;
+      else if (filter === 4) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a);
+        const pb = Math.abs(p - b);
+        const pc = Math.abs(p - c);
+        value += pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+      }
+      out[x] = value & 0xFF;
+    }
+  }
+
+  const tone = createToneCounter();
+  const sample = (row, index) => {
+    // Sub-byte depths (palette / grey) are packed high bit first
+    if (bitDepth < 8) {
+      const bit = index * bitDepth;
+      return (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & ((1 << bitDepth) - 1);
+    }
+    return bitDepth === 16 ? row[index * 2] : row[index];
+  };
+  const scale = bitDepth < 8 ? 255 / ((1 << bitDepth) - 1) : 1;
+  for (let y = 0; y < height; y++) {
+    const row = rows.subarray(y * stride, (y + 1) * stride);
+    for (let x = 0; x < width; x++) {
+      const i = x * channels;
+      if (colorType === 6) tone.add(sample(row, i), sample(row, i + 1), sample(row, i + 2), sample(row, i + 3));
+      else if (colorType === 4) tone.add(sample(row, i), sample(row, i), sample(row, i), sample(row, i + 1));
+      else if (colorType === 3) {
+        const index = sample(row, x);
+        const alpha = paletteAlpha && index < paletteAlpha.length ? paletteAlpha[index] : 255;
+        tone.add(palette[index * 3], palette[index * 3 + 1], palette[index * 3 + 2], alpha);
+      } else {
+        const gray = sample(row, x);
+        const rawGray = bitDepth === 16 ? row.readUInt16BE(x * 2) : gray;
+        tone.add(gray * scale, gray * scale, gray * scale, rawGray === transparentGray ? 0 : 255);
+      }
+    }
+  }
+  return tone.result();
+}
+
+function readJpegSize(buf) {
+  let pos = 2;
+  while (pos + 9 < buf.length) {
+    if (buf[pos] !== 0xFF) return null;
+    const marker = buf[pos + 1];
+    if (marker === 0xFF) {
+      pos++;
+      continue;
+    }
+    if (marker === 0xD8 || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+      pos += 2;
+      continue;
+    }
+    if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+      return { width: buf.readUInt16BE(pos + 7), height: buf.readUInt16BE(pos + 5) };
+    }
+    pos += 2 + buf.readUInt16BE(pos + 2);
+  }
+  return null;
+}
+
+// Format and intrinsic size from the file header — no image library needed
+function readImageInfo(buf, contentType = '') {
+  try {
+    if (buf.length >= 24 && buf.readUInt32BE(0) === 0x89504E47) {
+      let tone = null;
+      try {
+        tone = readPngTone(buf);
+      } catch {
+        // Corrupt pixel data — the size from the header still stands
+      }
+      return { format: 'png', width: buf.readUInt32BE(16), height: buf.readUInt32BE(20), tone };
+    }
+    if (buf.length >= 13 && buf.toString('ascii', 0, 4) === 'GIF8') {
+      return readGifInfo(buf);
+    }
+    if (buf.length >= 4 && buf[0] === 0xFF && buf[1] === 0xD8) {
+      return { format: 'jpeg', ...readJpegSize(buf) };
+    }
+    if (buf.length >= 30 && buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP') {
+      const chunk = buf.toString('ascii', 12, 16);
+      if (chunk === 'VP8X') {
+        return { format: 'webp', width: 1 + buf.readUIntLE(24, 3), height: 1 + buf.readUIntLE(27, 3), animated: Boolean(buf[20] & 0x02) };
+      }
+      if (chunk === 'VP8L') {
+        const bits = buf.readUInt32LE(21);
+        return { format: 'webp', width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+      }
+      return { format: 'webp', width: buf.readUInt16LE(26) & 0x3FFF, height: buf.readUInt16LE(28) & 0x3FFF };
+    }
+    if (/svg/i.test(contentType) || /^\s*(<\?xml[^>]*>\s*)?<svg\b/i.test(buf.toString('utf8', 0, 256))) {
+      return { format: 'svg' };
+    }
+  } catch {
+    // Truncated or malformed header — report the format as unknown
+  }
+  return { format: contentType.replace(/^image\//, '').split(';')[0] || 'unknown' };
+}
+
+function parseDeclaredSize(value) {
+  if (value === undefined || value === null || value === '') return { declared: false, px: null };
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)(px)?$/i);
+  return { declared: true, px: match ? parseFloat(match[1]) : null, raw: String(value).trim() };
+}
+
+// Compares one <img>'s width/height attributes (or inline style) with the file
+function checkImageDimensions(img, info) {
+  const issues = [];
+  const styleValue = (prop) => ((img.style || '').match(new RegExp(`(?:^|;)\\s*${prop}\\s*:\\s*([^;]+)`, 'i')) || [])[1];
+  const width = parseDeclaredSize(img.width || styleValue('width'));
+  const height = parseDeclaredSize(img.height || styleValue('height'));
+
+  if (!img.width) {
+    issues.push({ type: 'MISSING_WIDTH', severity: 'medium', message: 'No width attribute — Outlook desktop renders the image at its full file size' });
+  }
+  if (!img.height && !/^auto$/i.test(height.raw || '')) {
+    issues.push({ type: 'MISSING_HEIGHT', severity: 'low', message: 'No height attribute — the layout jumps while the image loads or when images are blocked' });
+  }
+  if (!info.width || !info.height || !width.px) return issues;
+
+  const ratio = info.width / width.px;
+  if (ratio < 1 - DIMENSION_TOLERANCE) {
+    issues.push({ type: 'UPSCALED', severity: 'medium', message: `Shown at ${width.px}px wide but the file is only ${info.width}px — it will look blurry` });
+  } else if (ratio >= OVERSCALED_RATIO) {
+    issues.push({ type: 'OVERSCALED', severity: 'low', message: `File is ${info.width}px wide for a ${width.px}px slot (${ratio.toFixed(1)}x) — more than retina needs` });
+  } else if (Math.abs(ratio - 1) > DIMENSION_TOLERANCE && Math.abs(ratio - 2) > DIMENSION_TOLERANCE * 2) {
+    issues.push({ type: 'DIMENSION_MISMATCH', severity: 'medium', message: `Declared width ${width.px}px doesn't match the ${info.width}px file at 1x or 2x` });
+  }
+  if (height.px) {
+    const declaredAspect = height.px / width.px;
+    const intrinsicAspect = info.height / info.width;
+    if (Math.abs(declaredAspect - intrinsicAspect) / intrinsicAspect > 0.03) {
+      issues.push({ type: 'DISTORTED', severity: 'medium', message: `Declared ${width.px}×${height.px} stretches the ${info.width}×${info.height} file out of proportion` });
+    }
+  }
+  return issues;
+}
+
+async function fetchImageAsset(src, baseUrl) {
+  const result = { src, url: null, status: null, contentType: null, bytes: null, info: null, issues: [] };
+
+  if (/\{\{.*\}\}|^%%|\*\|.*\|\*/.test(src)) {
+    result.skipped = 'Unrendered merge token — not requested';
+    return result;
+  }
+  if (/^cid:/i.test(src)) {
+    result.skipped = 'Embedded attachment (cid:) — not requested';
+    return result;
+  }
+
+  if (/^data:/i.test(src)) {
+    // data:<mime>[;charset=…][;utf8][;base64],<payload>
+    const match = src.match(/^data:([^;,]*)((?:;[^;,]*)*),(.*)$/is);
+    result.url = `${src.substring(0, 40)}…`;
+    result.issues.push({ type: 'DATA_URI', severity: 'medium', message: 'Image is embedded as a data: URI — Gmail and Outlook block these' });
+    if (match) {
+      const isBase64 = /;base64$/i.test(match[2]);
+      // Raw SVG often carries a literal "%" (width="100%"), so fall back to the undecoded bytes
+      const buf = isBase64 ? Buffer.from(match[3], 'base64') : Buffer.from(safeDecodeURIComponent(match[3]) ?? match[3]);
+      result.contentType = match[1] || null;
+      result.bytes = buf.length;
+      result.info = readImageInfo(buf, match[1]);
+    }
+    return result;
+  }
+
+  let url;
+  try {
+    url = new URL(src, baseUrl || undefined);
+  } catch {
+    result.issues.push({ type: 'INVALID_URL', severity: 'high', message: 'Image src is not a valid URL' });
+    return result;
+  }
+  result.url = url.href;
+  if (url.protocol === 'http:') {
+    result.issues.push({ type: 'INSECURE', severity: 'medium', message: 'Image loads over http:// — blocked or flagged by clients that require HTTPS' });
+  } else if (url.protocol !== 'https:') {
+    result.skipped = `${url.protocol} images are not requested`;
+    return result;
+  }
+
+  try {
+    const { response } = await withRetry(() => followRedirects(url.href, {
+      method: 'get',
+      timeout: IMAGE_CHECK_TIMEOUT,
+      verbose: false,
+      acceptErrorStatus: true,
+      maxContentLength: IMAGE_MAX_DOWNLOAD,
+      responseType: 'arraybuffer',
+    }), { retries: 2, baseDelay: 1000, label: `Image check ${url.href}` });
+
+    result.status = response.status;
+    result.contentType = response.headers['content-type'] || null;
+    if (response.status >= 400) {
+      result.issues.push({ type: 'BROKEN', severity: 'high', message: `Image returns HTTP ${response.status}` });
+      return result;
+    }
+    const buf = Buffer.from(response.data);
+    result.bytes = buf.length;
+    result.info = readImageInfo(buf, result.contentType || '');
+    if (result.contentType && !/^image\//i.test(result.contentType)) {
+      result.issues.push({ type: 'NOT_AN_IMAGE', severity: 'high', message: `Server returned ${result.contentType.split(';')[0]}, not an image` });
+    }
+  } catch (error) {
+    result.error = error.message;
+    const tooLarge = /maxContentLength/i.test(error.message);
+    result.issues.push(tooLarge
+      ? { type: 'OVERSIZED', severity: 'high', message: `Image is larger than ${formatBytes(IMAGE_MAX_DOWNLOAD)}` }
+      : { type: 'UNREACHABLE', severity: 'high', message: `Request failed: ${error.message}` });
+  }
+  return result;
+}
+
+async function checkImageAssets(images, baseUrl) {
+  const imagesBySrc = new Map();
+  images.forEach((img, i) => {
+    if (!img.src) return;
+    if (!imagesBySrc.has(img.src)) imagesBySrc.set(img.src, []);
+    imagesBySrc.get(img.src).push({ ...img, index: i + 1 });
+  });
+
+  const srcs = [...imagesBySrc.keys()];
+  console.log(`Image assets: checking ${srcs.length} unique images...`);
+  const fetched = await mapWithConcurrency(srcs, IMAGE_CHECK_CONCURRENCY, src => fetchImageAsset(src, baseUrl));
+
+  const results = fetched.map(asset => {
+    const occurrences = imagesBySrc.get(asset.src);
+    const info = asset.info || {};
+    const issues = [...asset.issues];
+    const isDecorative = DECORATIVE_IMAGE_REGEX.test(asset.src) || (info.width === 1 && info.height === 1);
+
+    if (asset.bytes > IMAGE_MAX_BYTES) {
+      issues.push({ type: 'HEAVY', severity: 'medium', message: `${formatBytes(asset.bytes)} — compress it below ${formatBytes(IMAGE_WARN_BYTES)}` });
+    } else if (asset.bytes > IMAGE_WARN_BYTES) {
+      issues.push({ type: 'HEAVY', severity: 'low', message: `${formatBytes(asset.bytes)} — slow on mobile data` });
+    }
+    if (info.format === 'svg') {
+      issues.push({ type: 'UNSUPPORTED_FORMAT', severity: 'high', message: 'SVG images are not shown by Gmail or Outlook desktop' });
+    } else if (info.format === 'webp') {
+      issues.push({ type: 'UNSUPPORTED_FORMAT', severity: 'medium', message: 'WebP is not shown by Outlook desktop and older clients' });
+    }
+    if (info.animated && info.firstFrameBlank) {
+      issues.push({ type: 'BLANK_FIRST_FRAME', severity: 'high', message: `Animated GIF (${info.frames} frames) starts on a blank frame — Outlook desktop shows only that frame` });
+    }
+    if (!isDecorative) {
+      occurrences.forEach(img => {
+        checkImageDimensions(img, info).forEach(issue => {
+          issues.push({ ...issue, imageIndex: img.index, message: occurrences.length > 1 ? `Image #${img.index}: ${issue.message}` : issue.message });
+        });
+      });
+    }
+
+    const severities = issues.map(issue => issue.severity);
+    const severity = severities.includes('high') ? 'high'
+      : severities.includes('medium') ? 'medium'
+        : severities.includes('low') ? 'low' : 'none';
+    return {
+      ...asset,
+      issues,
+      format: info.format || null,
+      width: info.width || null,
+      height: info.height || null,
+      animated: Boolean(info.animated),
+      frames: info.frames || null,
+      tone: info.tone || null,
+      isDecorative,
+      occurrences: occurrences.map(img => ({ index: img.index, width: img.width || null, height: img.height || null })),
+      severity,
+      result: asset.skipped && severity === 'none' ? 'SKIPPED' : severity === 'high' ? 'BROKEN' : severity === 'none' ? 'OK' : 'WARNING',
+    };
+  });
+
+  const count = (fn) => results.filter(fn).length;
+  const hasIssue = (r, ...types) => r.issues.some(i => types.includes(i.type));
+  const totalBytes = results.reduce((sum, r) => sum + (r.bytes || 0), 0);
+  const weight = totalBytes > TOTAL_IMAGE_MAX_BYTES ? 'medium' : totalBytes > TOTAL_IMAGE_WARN_BYTES ? 'low' : 'none';
+  const high = count(r => r.severity === 'high');
+  const medium = count(r => r.severity === 'medium') + (weight === 'medium' ? 1 : 0);
+
+  return {
+    results,
+    summary: {
+      totalImages: results.length,
+      ok: count(r => r.result === 'OK'),
+      broken: count(r => hasIssue(r, 'BROKEN', 'UNREACHABLE', 'INVALID_URL', 'NOT_AN_IMAGE')),
+      insecure: count(r => hasIssue(r, 'INSECURE')),
+      heavy: count(r => hasIssue(r, 'HEAVY', 'OVERSIZED')),
+      missingDimensions: count(r => hasIssue(r, 'MISSING_WIDTH', 'MISSING_HEIGHT')),
+      dimensionIssues: count(r => hasIssue(r, 'UPSCALED', 'OVERSCALED', 'DIMENSION_MISMATCH', 'DISTORTED')),
+      animated: count(r => r.animated),
+      blankFirstFrame: count(r => hasIssue(r, 'BLANK_FIRST_FRAME')),
+      skipped: count(r => r.result === 'SKIPPED'),
+      totalBytes,
+      totalWeight: formatBytes(totalBytes),
+      weightSeverity: weight,
+      issueCount: high + medium,
+      status: high > 0 ? 'FAIL' : medium > 0 ? 'WARNING' : 'PASS',
+    },
+  };
+}
+
+// ---------------------------------------------------------
+// ACCESSIBILITY AUDIT
+// WCAG checks on the email HTML beyond alt text: document language,
+// layout tables, heading hierarchy, colour contrast (from inline
+// styles and bgcolor), link text, text in images and tiny text.
+// Same results / summary shape and severities as the alt-tag check.
+// ---------------------------------------------------------
+const WCAG_CRITERIA = {
+  '1.1.1': { name: 'Non-text Content', level: 'A' },
+  '1.3.1': { name: 'Info and Relationships', level: 'A' },
+  '1.4.3': { name: 'Contrast (Minimum)', level: 'AA' },
+  '1.4.4': { name: 'Resize Text', level: 'AA' },
+  '1.4.5': { name: 'Images of Text', level: 'AA' },
+  '2.4.4': { name: 'Link Purpose (In Context)', level: 'A' },
+  '2.4.6': { name: 'Headings and Labels', level: 'AA' },
+  '3.1.1': { name: 'Language of Page', level: 'A' },
+  '3.1.2': { name: 'Language of Parts', level: 'AA' },
+  '4.1.2': { name: 'Name, Role, Value', level: 'A' },
+};
+
+const wcagRef = (criterion) => {
+  const { name, level } = WCAG_CRITERIA[criterion];
+  const slug = name.toLowerCase().replace(/[(),]/g, '').replace(/[^a-z0-9]+/g, '-');
+  return { criterion, name, level, url: `https://www.w3.org/WAI/WCAG22/Understanding/${slug}` };
+};
+
+const VAGUE_LINK_TEXT = [
+  'click here', 'click', 'here', 'tap here', 'read more', 'learn more', 'more', 'more info',
+  'more information', 'find out more', 'see more', 'view more', 'details', 'link', 'this link',
+  'this', 'go', 'continue', 'info', 'download',
+];
+const NAMED_COLORS = {
+  black: '#000000', white: '#ffffff', red: '#ff0000', green: '#008000', blue: '#0000ff',
+  gray: '#808080', grey: '#808080', silver: '#c0c0c0', maroon: '#800000', navy: '#000080',
+  yellow: '#ffff00', orange: '#ffa500', purple: '#800080', teal: '#008080', lime: '#00ff00',
+  aqua: '#00ffff', fuchsia: '#ff00ff', olive: '#808000', darkgray: '#a9a9a9', darkgrey: '#a9a9a9',
+  lightgray: '#d3d3d3', lightgrey: '#d3d3d3', whitesmoke: '#f5f5f5',
+};
+const DEFAULT_LINK_COLOR = '#0000ee';
+const LARGE_TEXT_PX = 24;
+const LARGE_BOLD_TEXT_PX = 18.66;
+const A11Y_MIN_FONT_PX = 12;
+const A11Y_TINY_FONT_PX = 9;
+// Alt text this long usually means the image is a block of copy
+const IMAGE_TEXT_ALT_WORDS = 10;
+// Less live text than this with images present reads as an image-only email;
+// imageOnlyTextChars in config/deliverability.json overrides it for both checks
+const IMAGE_ONLY_TEXT_CHARS = 100;
+const MAX_EXAMPLES = 10;
+
+// "#abc", "#aabbcc", "rgb(1,2,3)", "rgba(…)", "white" → { r, g, b, a }
+function parseCssColor(value = '') {
+  const v = value.trim().toLowerCase();
+  if (v === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+  const hex = (NAMED_COLORS[v] || v).match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+  if (hex) {
+    const h = hex[1].length === 3 ? hex[1].split('').map(c => c + c).join('') : hex[1];
+    return { r: parseInt(h.slice(0, 2), 16), g: parseInt(h.slice(2, 4), 16), b: parseInt(h.slice(4, 6), 16), a: 1 };
+  }
+  const rgb = v.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+%?))?\s*\)$/);
+  if (rgb) {
+    const alpha = rgb[4] === undefined ? 1 : rgb[4].endsWith('%') ? parseFloat(rgb[4]) / 100 : parseFloat(rgb[4]);
+    return { r: +rgb[1], g: +rgb[2], b: +rgb[3], a: alpha };
+  }
+  return null;
+}
+
+const colorHex = ({ r, g, b }) => '#' + [r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+
+function contrastRatio(fg, bg) {
+  const luminance = ({ r, g, b }) => {
+    const [R, G, B] = [r, g, b].map(c => {
+      const s = c / 255;
+      return s <= 0.03928 ? s / 12.92 : Math.pow((s + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+  };
+  const [l1, l2] = [luminance(fg), luminance(bg)].sort((a, b) => b - a);
+  return (l1 + 0.05) / (l2 + 0.05);
+}
+
+// Reads an element's own inline declarations (shorthands expanded), cached per element
+function createInlineStyleReader() {
+  const inlineDeclarations = new Map();
+  return (el, property) => {
+    if (!inlineDeclarations.has(el)) {
+      inlineDeclarations.set(el, parseDeclarations((el.attribs && el.attribs.style) || '').flatMap(expandShorthand));
+    }
+    const decl = [...inlineDeclarations.get(el)].reverse().find(d => d.property === property);
+    return decl ? decl.value.trim().toLowerCase() : null;
+  };
+}
+
+// Text colour, background colour (null over background images; `explicit`
+// is false when nothing up the tree sets one) and boldness, inherited
+// down the tree from inline styles, <font color> and bgcolor
+function createColorResolver(inlineStyle) {
+  const foregroundOf = (el) => {
+    for (let node = el; node && node.type === 'tag'; node = node.parent) {
+      const declared = inlineStyle(node, 'color') || (node.tagName.toLowerCase() === 'font' && node.attribs.color);
+      if (declared) return parseCssColor(declared);
+      if (node.tagName.toLowerCase() === 'a') return parseCssColor(DEFAULT_LINK_COLOR);
+    }
+    return parseCssColor('#000000');
+  };
+  const backgroundOf = (el) => {
+    const layers = [];
+    for (let node = el; node && node.type === 'tag'; node = node.parent) {
+      const shorthand = inlineStyle(node, 'background') || '';
+      const image = inlineStyle(node, 'background-image');
+      // Text over an image can't be judged from the markup
+      if (/url\(/.test(shorthand) || (image && image !== 'none') || node.attribs.background) return null;
+      const declared = inlineStyle(node, 'background-color') ||
+        shorthand.split(/\s+(?![^(]*\))/).find(token => parseCssColor(token)) ||
+        node.attribs.bgcolor;
+      const color = declared ? parseCssColor(declared) : null;
+      if (!color || color.a === 0) continue;
+      layers.push(color);
+      if (color.a >= 1) break;
+    }
+    // Blend any translucent layers over the first opaque one (or white)
+    const blended = layers.reverse().reduce((under, over) => ({
+      r: over.r * over.a + under.r * (1 - over.a),
+      g: over.g * over.a + under.g * (1 - over.a),
+      b: over.b * over.a + under.b * (1 - over.a),
+      a: 1,
+    }), { r: 255, g: 255, b: 255, a: 1 });
+    return { ...blended, explicit: layers.length > 0 };
+  };
+  const isBold = (el) => {
+    for (let node = el; node && node.type === 'tag'; node = node.parent) {
+      const tag = node.tagName.toLowerCase();
+      const weight = inlineStyle(node, 'font-weight');
+      if (weight) return weight === 'bold' || weight === 'bolder' || parseInt(weight, 10) >= 600;
+      if (['b', 'strong', 'th'].includes(tag) || HEADING_TAGS.includes(tag)) return true;
+    }
+    return false;
+  };
+  return { foregroundOf, backgroundOf, isBold };
+}
+
+function checkAccessibility(emailHtml = '', { imageAltCheck = null, emailLanguage = null } = {}) {
+  const $ = cheerio.load(emailHtml || '');
+  const results = [];
+  const add = (criterion, status, severity, message, extra = {}) => {
+    results.push({ index: results.length + 1, status, severity, message, wcag: wcagRef(criterion), ...extra });
+  };
+
+  const inlineStyle = createInlineStyleReader();
+  const fontSizeOf = createFontSizeResolver(inlineStyle);
+  const visibleText = (el) => el.children.filter(c => c.type === 'text').map(c => c.data).join(' ').replace(/\s+/g, ' ').trim();
+  const textElements = $('body *').toArray().filter(el =>
+    !['style', 'script', 'title'].includes(el.tagName.toLowerCase()) &&
+    /[\p{L}\p{N}]/u.test(visibleText(el)) && !isHiddenElement(el)
+  );
+
+  // Language of the document
+  const lang = ($('html').attr('lang') || $('body').attr('lang') || '').trim();
+  if (!lang) {
+    add('3.1.1', 'MISSING_LANG', 'medium', 'No lang attribute on <html> — screen readers may read the email with the wrong voice and pronunciation', {
+      element: 'html',
+    });
+  } else if (emailLanguage && emailLanguage.confident && emailLanguage.tag &&
+    lang.split('-')[0].toLowerCase() !== emailLanguage.tag) {
+    add('3.1.1', 'WRONG_LANG', 'medium', `lang="${lang}" but the email copy reads as ${emailLanguage.name}`, { element: 'html' });
+  } else {
+    add('3.1.1', 'OK', 'none', `Document language set (lang="${lang}")`, { element: 'html' });
+  }
+
+  // Layout tables
+  const tables = $('body table').toArray();
+  const layoutTables = tables.filter(t => {
+    const role = ($(t).attr('role') || '').toLowerCase();
+    return role !== 'presentation' && role !== 'none' && $(t).find('th, caption').length === 0;
+  });
+  if (layoutTables.length > 0) {
+    add('1.3.1', 'LAYOUT_TABLE', 'medium',
+      `${layoutTables.length} of ${tables.length} layout table${tables.length === 1 ? '' : 's'} missing role="presentation" — screen readers announce rows and columns`, {
+        count: layoutTables.length,
+        examples: layoutTables.slice(0, MAX_EXAMPLES).map(describeElement),
+      });
+  } else if (tables.length > 0) {
+    add('1.3.1', 'OK', 'none', `All ${tables.length} layout tables have role="presentation"`);
+  }
+
+  // Heading hierarchy
+  const headings = $('body h1, body h2, body h3, body h4, body h5, body h6').toArray()
+    .filter(el => !isHiddenElement(el) && $(el).text().trim());
+  let headingIssues = 0;
+  if (headings.length > 0 && !headings.some(h => h.tagName.toLowerCase() === 'h1')) {
+    headingIssues++;
+    add('2.4.6', 'NO_H1', 'low', `Headings start at <${headings[0].tagName.toLowerCase()}> — there is no <h1>`, {
+      element: describeElement(headings[0]),
+      text: $(headings[0]).text().trim().substring(0, 80),
+    });
+  }
+  headings.forEach((h, i) => {
+    if (i === 0) return;
+    const level = Number(h.tagName[1]);
+    const previous = Number(headings[i - 1].tagName[1]);
+    if (level > previous + 1) {
+      headingIssues++;
+      add('1.3.1', 'HEADING_SKIP', 'medium', `Heading level jumps from <h${previous}> to <h${level}>`, {
+        element: describeElement(h),
+        text: $(h).text().trim().substring(0, 80),
+      });
+    }
+  });
+  const fakeHeadings = extractEmailBlocks($).filter(b => b.headingLike && !b.hidden && !HEADING_TAGS.includes(b.tag));
+  if (fakeHeadings.length > 0) {
+    headingIssues++;
+    add('1.3.1', 'HEADING_NOT_MARKED', 'low',
+      `${fakeHeadings.length} block${fakeHeadings.length === 1 ? ' is' : 's are'} styled like a heading but not marked up as <h1>–<h6>`, {
+        count: fakeHeadings.length,
+        examples: fakeHeadings.slice(0, MAX_EXAMPLES).map(b => b.text.substring(0, 60)),
+      });
+  }
+  if (headingIssues === 0 && headings.length > 0) {
+    add('1.3.1', 'OK', 'none', `Heading structure is in order (${headings.length} heading${headings.length === 1 ? '' : 's'})`);
+  }
+
+  // Colour contrast from inline styles, <font color> and bgcolor
+  const { foregroundOf, backgroundOf, isBold } = createColorResolver(inlineStyle);
+
+  const contrastIssues = new Map();
+  let contrastChecked = 0;
+  textElements.forEach(el => {
+    const fg = foregroundOf(el);
+    const bg = backgroundOf(el);
+    if (!fg || !bg) return;
+    contrastChecked++;
+    const size = fontSizeOf(el);
+    const large = size >= LARGE_TEXT_PX || (size >= LARGE_BOLD_TEXT_PX && isBold(el));
+    const required = large ? 3 : 4.5;
+    const ratio = contrastRatio(fg.a < 1 ? { ...fg, r: fg.r * fg.a + bg.r * (1 - fg.a), g: fg.g * fg.a + bg.g * (1 - fg.a), b: fg.b * fg.a + bg.b * (1 - fg.a) } : fg, bg);
+    if (ratio >= required) return;
+    const key = `${colorHex(fg)}|${colorHex(bg)}|${required}`;
+    if (!contrastIssues.has(key)) {
+      contrastIssues.set(key, { fg: colorHex(fg), bg: colorHex(bg), ratio, required, large, count: 0, examples: [], element: describeElement(el) });
+    }
+    const issue = contrastIssues.get(key);
+    issue.count++;
+    if (issue.examples.length < MAX_EXAMPLES) issue.examples.push(visibleText(el).substring(0, 60));
+  });
+  contrastIssues.forEach(issue => {
+    add('1.4.3', 'LOW_CONTRAST', issue.ratio < 3 ? 'high' : 'medium',
+      `${issue.fg} on ${issue.bg} has contrast ${issue.ratio.toFixed(2)}:1 — ${issue.large ? 'large ' : ''}text needs at least ${issue.required}:1`, {
+        element: issue.element,
+        count: issue.count,
+        examples: issue.examples,
+        colors: { foreground: issue.fg, background: issue.bg, ratio: Math.round(issue.ratio * 100) / 100 },
+      });
+  });
+  if (contrastIssues.size === 0 && contrastChecked > 0) {
+    add('1.4.3', 'OK', 'none', `Text colours meet contrast minimums (${contrastChecked} text element${contrastChecked === 1 ? '' : 's'} checked)`);
+  }
+
+  // Link text
+  $('body a[href]').each((_, a) => {
+    if (isHiddenElement(a)) return;
+    const text = $(a).text().replace(/\s+/g, ' ').trim();
+    const imgAlt = $(a).find('img').toArray().map(img => ($(img).attr('alt') || '').trim()).filter(Boolean).join(' ');
+    const label = ($(a).attr('aria-label') || $(a).attr('title') || '').trim();
+    const name = text || imgAlt;
+    const href = ($(a).attr('href') || '').substring(0, 120);
+    if (!name && !label) {
+      add('4.1.2', 'EMPTY_LINK', 'high', 'Link has no text, alt text or aria-label — screen readers only announce the URL', {
+        element: describeElement(a),
+        href,
+      });
+      return;
+    }
+    const vague = (t) => VAGUE_LINK_TEXT.includes(t.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim());
+    if (name && vague(name) && (!label || vague(label))) {
+      add('2.4.4', 'VAGUE_LINK', 'medium', `Link text "${name}" doesn't say where it goes`, {
+        element: describeElement(a),
+        text: name,
+        href,
+      });
+    }
+  });
+
+  // Text only in images
+  const bodyText = textElements.map(visibleText).join(' ');
+  const images = $('body img').toArray().filter(img => !isHiddenElement(img));
+  const contentImages = images.filter(img => !isDecorativeImage(img.attribs));
+  const imageOnlyChars = (deliverabilityConfig.rules.imageTextRatio || {}).imageOnlyTextChars || IMAGE_ONLY_TEXT_CHARS;
+  if (contentImages.length > 0 && bodyText.length < imageOnlyChars) {
+    add('1.4.5', 'IMAGE_ONLY', 'high',
+      `Only ${bodyText.length} characters of live text alongside ${contentImages.length} image${contentImages.length === 1 ? '' : 's'} — the message is probably in the images`, {
+        count: contentImages.length,
+      });
+  }
+  images.forEach(img => {
+    const alt = ($(img).attr('alt') || '').trim();
+    if (alt.split(/\s+/).length >= IMAGE_TEXT_ALT_WORDS) {
+      add('1.4.5', 'IMAGE_TEXT', 'low', 'Long alt text suggests the image is a block of copy — use live text where possible', {
+        element: describeElement(img),
+        text: alt.substring(0, 120),
+        src: ($(img).attr('src') || '').substring(0, 120),
+      });
+    }
+  });
+
+  // Tiny text
+  const tinyText = new Map();
+  textElements.forEach(el => {
+    const size = Math.round(fontSizeOf(el) * 10) / 10;
+    if (size < 2 || size >= A11Y_MIN_FONT_PX) return;
+    if (!tinyText.has(size)) tinyText.set(size, { count: 0, examples: [], element: describeElement(el) });
+    const entry = tinyText.get(size);
+    entry.count++;
+    if (entry.examples.length < MAX_EXAMPLES) entry.examples.push(visibleText(el).substring(0, 60));
+  });
+  tinyText.forEach((entry, size) => {
+    add('1.4.4', 'SMALL_TEXT', size < A11Y_TINY_FONT_PX ? 'high' : 'medium',
+      `${entry.count} text element${entry.count === 1 ? '' : 's'} at ${size}px — hard to read, and zooming in email clients is limited`, {
+        element: entry.element,
+        count: entry.count,
+        examples: entry.examples,
+      });
+  });
+
+  // Alt text is audited in detail by the image check; surface its outcome here
+  if (imageAltCheck && imageAltCheck.summary.totalImages > 0) {
+    const { missingAlt, emptyAlt, genericAlt } = imageAltCheck.summary;
+    if (missingAlt > 0) {
+      add('1.1.1', 'IMAGE_ALT', 'high', `${missingAlt} image${missingAlt === 1 ? '' : 's'} missing alt text (see Images)`, { count: missingAlt });
+    } else if (emptyAlt + genericAlt > 0) {
+      add('1.1.1', 'IMAGE_ALT', 'medium', `${emptyAlt + genericAlt} image${emptyAlt + genericAlt === 1 ? ' has' : 's have'} empty or generic alt text (see Images)`, { count: emptyAlt + genericAlt });
+    } else {
+      add('1.1.1', 'OK', 'none', 'All images have alt text');
+    }
+  }
+
+  results.sort((a, b) => (SEVERITY_ORDER[a.severity] ?? 3) - (SEVERITY_ORDER[b.severity] ?? 3));
+  results.forEach((r, i) => { r.index = i + 1; });
+
+  const high = results.filter(r => r.severity === 'high').length;
+  const medium = results.filter(r => r.severity === 'medium').length;
+  const low = results.filter(r => r.severity === 'low').length;
+  const byCriterion = {};
+  results.filter(r => r.severity !== 'none').forEach(r => {
+    byCriterion[r.wcag.criterion] = (byCriterion[r.wcag.criterion] || 0) + 1;
+  });
+
+  return {
+    results,
+    summary: {
+      totalChecks: results.length,
+      passed: results.length - high - medium - low,
+      high,
+      medium,
+      low,
+      byCriterion,
+      issueCount: high + medium + low,
+      status: high > 0 ? 'FAIL' : medium > 0 ? 'WARNING' : 'PASS',
+    },
+  };
+}
+
+// ---------------------------------------------------------
+// DELIVERABILITY + COMPLIANCE
+// CAN-SPAM / GDPR essentials (unsubscribe, postal address, view in
+// browser, privacy policy) and spam heuristics that add up to a spam
+// score. Rules, their patterns and thresholds live in
+// config/deliverability.json; each can be switched off there or per
+// request.
+// ---------------------------------------------------------
+const DELIVERABILITY_CONFIG_PATH = process.env.DELIVERABILITY_CONFIG ||
+  path.join(__dirname, 'config', 'deliverability.json');
+
+function loadDeliverabilityConfig() {
+  const defaults = { spamScoreThreshold: 5, rules: {} };
+  try {
+    const config = { ...defaults, ...JSON.parse(fs.readFileSync(DELIVERABILITY_CONFIG_PATH, 'utf8')) };
+    const compile = (list = []) => list.map(p => (typeof p === 'string' ? new RegExp(p, 'i') : new RegExp(p.pattern, p.flags)));
+    Object.values(config.rules).forEach(rule => {
+      rule.linkRegexes = compile(rule.linkPatterns);
+      rule.tokenRegexes = compile(rule.tokenPatterns);
+      rule.regexes = compile(rule.patterns);
+      if (rule.phrases) rule.phraseRegexes = rule.phrases.map(p => new RegExp(`(?:^|[^\\p{L}])(${p})(?=$|[^\\p{L}])`, 'giu'));
+      if (rule.pattern) rule.regex = new RegExp(rule.pattern, 'g');
+    });
+    console.log(`Loaded ${Object.keys(config.rules).length} deliverability rules`);
+    return config;
+  } catch (error) {
+    console.warn(`Deliverability config not loaded (${error.message}) — check disabled`);
+    return defaults;
+  }
+}
+
+const deliverabilityConfig = loadDeliverabilityConfig();
+
+// Finds links whose text or href matches, plus template tokens anywhere in the HTML
+function findComplianceLinks(rule, emailLinks, emailHtml) {
+  const links = emailLinks.filter(l => rule.linkRegexes.some(r => r.test(l.text) || r.test(l.href)));
+  const tokens = rule.tokenRegexes.flatMap(r => (emailHtml.match(new RegExp(r.source, 'gi')) || []));
+  return [
+    ...links.map(l => `${l.text || '(no text)'} → ${l.href.substring(0, 100)}`),
+    ...[...new Set(tokens)].map(t => `token ${t}`),
+  ];
+}
+
+const DELIVERABILITY_CHECKS = {
+  unsubscribe: (rule, { emailLinks, emailHtml, headers }) => {
+    const evidence = findComplianceLinks(rule, emailLinks, emailHtml);
+    const listUnsubscribe = headers && (headers['list-unsubscribe'] || null);
+    if (listUnsubscribe) evidence.push(`List-Unsubscribe: ${[].concat(listUnsubscribe).join(', ').substring(0, 120)}`);
+    if (evidence.length === 0) {
+      return { passed: false, message: 'No unsubscribe link or unsubscribe token found — required by CAN-SPAM and GDPR' };
+    }
+    if (headers && !listUnsubscribe) {
+      return {
+        passed: false,
+        severity: 'medium',
+        message: 'Unsubscribe link found, but the message has no List-Unsubscribe header (Gmail and Yahoo require one-click unsubscribe for bulk mail)',
+        evidence,
+      };
+    }
+    return { passed: true, message: 'Unsubscribe link found', evidence };
+  },
+
+  postalAddress: (rule, { emailText, emailHtml }) => {
+    const evidence = rule.regexes
+      .map(r => (emailText.match(r) || emailHtml.match(r) || [])[0])
+      .filter(Boolean);
+    return evidence.length > 0
+      ? { passed: true, message: 'Sender postal address found', evidence: [...new Set(evidence)] }
+      : { passed: false, message: 'No physical postal address found — CAN-SPAM requires the sender\'s valid postal address' };
+  },
+
+  viewInBrowser: (rule, { emailLinks, emailHtml }) => {
+    const evidence = findComplianceLinks(rule, emailLinks, emailHtml);
+    return evidence.length > 0
+      ? { passed: true, message: 'View-in-browser link found', evidence }
+      : { passed: false, message: 'No view-in-browser / web version link' };
+  },
+
+  privacyPolicy: (rule, { emailLinks }) => {
+    const evidence = findComplianceLinks(rule, emailLinks, '');
+    return evidence.length > 0
+      ? { passed: true, message: 'Privacy policy link found', evidence }
+      : { passed: false, message: 'No privacy policy link — GDPR expects senders to link their privacy notice' };
+  },
+
+  spamPhrases: (rule, { emailText, subject }) => {
+    const hits = [];
+    rule.phraseRegexes.forEach(regex => {
+      const matches = [...`${subject} ${emailText}`.matchAll(regex)];
+      if (matches.length > 0) hits.push({ phrase: matches[0][1].toLowerCase(), count: matches.length });
+    });
+    const total = hits.reduce((sum, h) => sum + h.count, 0);
+    return total === 0
+      ? { passed: true, message: 'No spam trigger phrases' }
+      : {
+        passed: false,
+        message: `${total} spam trigger phrase${total === 1 ? '' : 's'} found`,
+        evidence: hits.map(h => `"${h.phrase}"${h.count > 1 ? ` ×${h.count}` : ''}`),
+        points: Math.min(total * rule.points, rule.maxPoints),
+      };
+  },
+
+  allCaps: (rule, { emailText, subject }) => {
+    const words = emailText.split(/\s+/).map(w => w.replace(/[^\p{L}]/gu, '')).filter(w => w.length >= rule.minWordLength);
+    const isCaps = (w) => /\p{Lu}/u.test(w) && w === w.toUpperCase();
+    const capsWords = words.filter(isCaps);
+    const ratio = words.length ? capsWords.length / words.length : 0;
+
+    let longestRun = 0;
+    let run = 0;
+    words.forEach(w => {
+      run = isCaps(w) ? run + 1 : 0;
+      longestRun = Math.max(longestRun, run);
+    });
+    const subjectWords = subject.split(/\s+/).map(w => w.replace(/[^\p{L}]/gu, '')).filter(w => w.length >= rule.minWordLength);
+    const subjectCaps = subjectWords.length > 0 && subjectWords.filter(isCaps).length >= Math.max(2, subjectWords.length / 2);
+
+    const problems = [];
+    if (ratio > rule.maxRatio) problems.push(`${Math.round(ratio * 100)}% of words are in capitals`);
+    if (longestRun > rule.maxRun) problems.push(`${longestRun} capitalised words in a row`);
+    if (subjectCaps) problems.push('subject line is mostly capitals');
+    return problems.length === 0
+      ? { passed: true, message: 'No shouting in ALL CAPS' }
+      : {
+        passed: false,
+        message: `ALL CAPS: ${problems.join('; ')}`,
+        evidence: [...new Set(capsWords)].slice(0, 10),
+        points: rule.points * problems.length,
+      };
+  },
+
+  excessivePunctuation: (rule, { emailText, subject }) => {
+    const matches = [];
+    [['subject', subject], ['body', emailText]].forEach(([where, text]) => {
+      let m;
+      rule.regex.lastIndex = 0;
+      while ((m = rule.regex.exec(text)) !== null) {
+        matches.push(`${where}: …${text.substring(Math.max(0, m.index - 25), m.index + m[0].length).trim()}`);
+      }
+    });
+    return matches.length === 0
+      ? { passed: true, message: 'No excessive punctuation' }
+      : {
+        passed: false,
+        message: `${matches.length} run${matches.length === 1 ? '' : 's'} of repeated !, ? or $`,
+        evidence: matches.slice(0, 10),
+        points: Math.min(matches.length * rule.points, rule.maxPoints),
+      };
+  },
+
+  imageTextRatio: (rule, { emailText, emailImages }) => {
+    const images = emailImages.filter(img => !isDecorativeImage(img));
+    const chars = emailText.length;
+    if (images.length === 0) return { passed: true, message: `No content images; ${chars} characters of text` };
+    const perImage = Math.round(chars / images.length);
+    if (chars < (rule.imageOnlyTextChars || IMAGE_ONLY_TEXT_CHARS)) {
+      return { passed: false, severity: 'high', message: `Image-only email: ${images.length} image${images.length === 1 ? '' : 's'} and ${chars} characters of text`, points: rule.points * 2 };
+    }
+    return perImage < rule.minTextCharsPerImage
+      ? { passed: false, message: `Image-heavy: ${images.length} images for ${chars} characters of text (${perImage} per image, aim for ${rule.minTextCharsPerImage}+)`, points: rule.points }
+      : { passed: true, message: `${images.length} image${images.length === 1 ? '' : 's'}, ${chars} characters of text (${perImage} per image)` };
+  },
+
+  urlShorteners: (rule, { emailLinks }) => {
+    const shortened = emailLinks.filter(l => {
+      try {
+        const host = new URL(l.href).hostname.replace(/^www\./, '').toLowerCase();
+        return rule.domains.includes(host);
+      } catch {
+        return false;
+      }
+    });
+    return shortened.length === 0
+      ? { passed: true, message: 'No public URL shorteners' }
+      : {
+        passed: false,
+        message: `${shortened.length} link${shortened.length === 1 ? ' uses' : 's use'} a public URL shortener — widely used by spammers and often blocklisted`,
+        evidence: [...new Set(shortened.map(l => l.href))].slice(0, 10),
+        points: rule.points,
+      };
+  },
+
+  htmlSize: (rule, { emailHtml }) => {
+    const bytes = Buffer.byteLength(emailHtml || '', 'utf8');
+    const kb = Math.round(bytes / 102.4) / 10;
+    if (bytes > rule.clipBytes) {
+      return { passed: false, message: `HTML is ${kb} KB — Gmail clips messages over ~102 KB, hiding the rest (often the unsubscribe link)`, points: rule.points };
+    }
+    if (bytes > rule.warnBytes) {
+      return { passed: false, severity: 'medium', message: `HTML is ${kb} KB — close to Gmail's ~102 KB clipping limit once the ESP adds tracking`, points: rule.points };
+    }
+    return { passed: true, message: `HTML is ${kb} KB` };
+  },
+};
+
+function checkDeliverability(content, disabledRules = []) {
+  const input = {
+    emailHtml: content.emailHtml || '',
+    emailText: content.emailText || '',
+    emailLinks: content.emailLinks || [],
+    emailImages: content.emailImages || [],
+    subject: content.subject || '',
+    headers: content.headers || null,
+  };
+
+  let spamScore = 0;
+  const results = Object.entries(deliverabilityConfig.rules).map(([id, rule]) => {
+    const base = { rule: id, title: rule.title, category: rule.category };
+    if (!rule.enabled || disabledRules.includes(id) || !DELIVERABILITY_CHECKS[id]) {
+      return { ...base, status: 'SKIPPED', severity: 'none', message: 'Rule switched off', evidence: [] };
+    }
+    const outcome = DELIVERABILITY_CHECKS[id](rule, input);
+    if (outcome.passed) {
+      return { ...base, status: 'PASS', severity: 'none', message: outcome.message, evidence: outcome.evidence || [] };
+    }
+    const severity = outcome.severity || rule.severity;
+    const points = outcome.points || 0;
+    spamScore += points;
+    return {
+      ...base,
+      status: severity === 'high' ? 'FAIL' : 'WARNING',
+      severity,
+      message: outcome.message,
+      evidence: outcome.evidence || [],
+      points,
+    };
+  });
+
+  spamScore = Math.round(spamScore * 10) / 10;
+  const high = results.filter(r => r.severity === 'high').length;
+  const medium = results.filter(r => r.severity === 'medium').length;
+  const low = results.filter(r => r.severity === 'low').length;
+  const overSpamThreshold = spamScore >= deliverabilityConfig.spamScoreThreshold;
+
+  return {
+    results,
+    spamScore,
+    spamScoreThreshold: deliverabilityConfig.spamScoreThreshold,
+    summary: {
+      totalRules: results.length,
+      skipped: results.filter(r => r.status === 'SKIPPED').length,
+      high,
+      medium,
+      low,
+      spamScore,
+      issueCount: high + medium + low,
+      status: high > 0 || overSpamThreshold ? 'FAIL' : medium > 0 ? 'WARNING' : 'PASS',
+    },
+  };
+}
+
+// ---------------------------------------------------------
+// EMAIL CLIENT COMPATIBILITY
+// Lints inline and embedded CSS and the HTML elements used against
+// the bundled support dataset in config/email-client-support.json
+// (update that file as client support changes)
+// ---------------------------------------------------------
+const CLIENT_SUPPORT_PATH = process.env.CLIENT_SUPPORT_DATA ||
+  path.join(__dirname, 'config', 'email-client-support.json');
+
+const GENERIC_FONT_FAMILIES = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui'];
+const VML_BACKGROUND_REGEX = /<v:(rect|roundrect|fill|image)\b/i;
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+function loadClientSupport() {
+  const defaults = { version: 'none', clients: {}, properties: [], elements: [], atRules: [], checks: {} };
+  try {
+    const data = { ...defaults, ...JSON.parse(fs.readFileSync(CLIENT_SUPPORT_PATH, 'utf8')) };
+    data.properties = data.properties.map(p => ({
+      ...p,
+      propertyRegex: new RegExp(p.property, 'i'),
+      valueRegex: p.value ? new RegExp(p.value, 'i') : null,
+    }));
+    data.atRules = data.atRules.map(a => ({ ...a, regex: new RegExp(a.pattern, 'i') }));
+    console.log(`Loaded email client support data ${data.version}: ${data.properties.length} properties, ${data.elements.length} elements`);
+    return data;
+  } catch (error) {
+    console.warn(`Email client support data not loaded (${error.message}) — compatibility check disabled`);
+    return defaults;
+  }
+}
+
+const clientSupport = loadClientSupport();
+
+// "a: b; c: url(x;y)" → [{ property, value, important }]
+function parseDeclarations(text = '') {
+  const declarations = [];
+  const push = (raw) => {
+    const idx = raw.indexOf(':');
+    if (idx <= 0) return;
+    const value = raw.slice(idx + 1).trim();
+    declarations.push({
+      property: raw.slice(0, idx).trim().toLowerCase(),
+      value: value.replace(/\s*!important\s*$/i, ''),
+      important: /!important\s*$/i.test(value),
+    });
+  };
+
+  let depth = 0;
+  let quote = null;
+  let buffer = '';
+  for (const ch of text) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth = Math.max(0, depth - 1);
+    } else if (ch === ';' && depth === 0) {
+      push(buffer);
+      buffer = '';
+      continue;
+    }
+    buffer += ch;
+  }
+  push(buffer);
+  return declarations;
+}
+
+// Minimal CSS reader: style rules with their selector and the @media (or
+// other at-rule) they sit in, plus the at-rules themselves. Enough for
+// linting — not a full parser.
+function parseCss(css = '') {
+  const text = css.replace(/\/\*[\s\S]*?\*\//g, '').replace(/<!--|-->/g, '');
+  const rules = [];
+  const atRules = [];
+  const balanced = (text.match(/\{/g) || []).length === (text.match(/\}/g) || []).length;
+
+  const walk = (start, end, context) => {
+    let i = start;
+    while (i < end) {
+      const open = text.indexOf('{', i);
+      const semi = text.indexOf(';', i);
+      // Statement at-rules (@import, @charset) end at a semicolon
+      if (semi !== -1 && semi < end && (open === -1 || semi < open)) {
+        const statement = text.slice(i, semi).trim();
+        if (statement.startsWith('@')) atRules.push({ prelude: statement, context });
+        i = semi + 1;
+        continue;
+      }
+      if (open === -1 || open >= end) break;
+
+      let depth = 1;
+      let j = open + 1;
+      while (j < end && depth > 0) {
+        if (text[j] === '{') depth++;
+        else if (text[j] === '}') depth--;
+        j++;
+      }
+      const bodyEnd = depth > 0 ? end : j - 1;
+      const prelude = text.slice(i, open).replace(/^[\s}]+/, '').replace(/\s+/g, ' ').trim();
+      const body = text.slice(open + 1, bodyEnd);
+
+      if (prelude.startsWith('@')) {
+        const atRule = { prelude, context };
+        atRules.push(atRule);
+        if (/^@(media|supports|document)/i.test(prelude)) walk(open + 1, bodyEnd, prelude);
+        else if (/^@font-face/i.test(prelude)) atRule.declarations = parseDeclarations(body);
+      } else if (prelude) {
+        rules.push({ selector: prelude, declarations: parseDeclarations(body), context });
+      }
+      i = j;
+    }
+  };
+
+  walk(0, text.length, null);
+  return { rules, atRules, balanced };
+}
+
+// "td#hero.banner.dark" — enough to find the element in the source
+function describeElement(el) {
+  const attrs = el.attribs || {};
+  const id = attrs.id ? `#${attrs.id}` : '';
+  const classes = (attrs.class || '').trim().split(/\s+/).filter(Boolean).slice(0, 3).map(c => `.${c}`).join('');
+  return `${el.tagName.toLowerCase()}${id}${classes}`;
+}
+
+const fontStack = (value = '') =>
+  value.split(',').map(f => f.trim().replace(/^["']|["']$/g, '').toLowerCase()).filter(Boolean);
+
+// Families loaded as web fonts: @font-face, Google Fonts / Typekit links and imports
+function collectWebFonts($, parsedSheets) {
+  const families = new Set();
+  const addFromUrl = (href = '') => {
+    try {
+      const url = new URL(href, 'https://example.com');
+      url.searchParams.getAll('family').forEach(param =>
+        param.split('|').forEach(f => families.add(f.split(':')[0].replace(/\+/g, ' ').trim().toLowerCase()))
+      );
+    } catch {
+      // Unparseable font URL — nothing to collect
+    }
+  };
+
+  parsedSheets.forEach(({ atRules }) => atRules.forEach(at => {
+    if (/^@font-face/i.test(at.prelude)) {
+      const family = (at.declarations || []).find(d => d.property === 'font-family');
+      if (family) fontStack(family.value).forEach(f => families.add(f));
+    }
+    const imported = at.prelude.match(/^@import\s+(?:url\()?["']?([^"')\s]+)/i);
+    if (imported) addFromUrl(imported[1]);
+  }));
+  $('link[href]').each((_, el) => {
+    const href = $(el).attr('href');
+    if (/fonts\.googleapis\.com|use\.typekit\.net|fonts\.bunny\.net/i.test(href)) addFromUrl(href);
+  });
+  return families;
+}
+
+function checkClientCompatibility(emailHtml = '') {
+  const data = clientSupport;
+  const $ = cheerio.load(emailHtml || '');
+  const clientNames = (ids = []) => ids.map(id => data.clients[id] || id);
+  const findings = new Map();
+
+  // One finding per rule (and per @media context), listing where it occurs
+  const addFinding = (id, entry, location) => {
+    // Inside @media it's usually deliberate progressive enhancement
+    const inMedia = Boolean(location.media);
+    const key = `${id}${inMedia ? '@media' : ''}`;
+    if (!findings.has(key)) {
+      findings.set(key, {
+        id,
+        title: entry.title,
+        severity: inMedia ? 'low' : entry.severity || 'medium',
+        message: inMedia ? `${entry.note} (inside ${location.media} — fine if it's only an enhancement)` : entry.note,
+        fix: entry.fix || null,
+        clients: clientNames(entry.unsupported),
+        partialClients: clientNames(entry.partial),
+        count: 0,
+        locations: [],
+      });
+    }
+    const finding = findings.get(key);
+    finding.count++;
+    const sameLocation = (l) => l.selector === location.selector && l.element === location.element && l.value === location.value;
+    if (finding.locations.length < 10 && !finding.locations.some(sameLocation)) finding.locations.push(location);
+  };
+
+  const backgroundImages = [];
+  const fontDeclarations = [];
+  const lintDeclaration = (decl, location) => {
+    const loc = { ...location, value: `${decl.property}: ${decl.value}` };
+    data.properties.forEach(entry => {
+      if (entry.propertyRegex.test(decl.property) && (!entry.valueRegex || entry.valueRegex.test(decl.value))) {
+        addFinding(entry.id, entry, loc);
+      }
+    });
+    if (/^background(-image)?$/.test(decl.property) && /url\(/i.test(decl.value)) backgroundImages.push(loc);
+    if (decl.property === 'font-family' || decl.property === 'font') fontDeclarations.push({ decl, loc });
+  };
+
+  // Inline styles
+  $('[style]').each((_, el) => {
+    parseDeclarations($(el).attr('style')).forEach(decl => lintDeclaration(decl, { element: describeElement(el) }));
+  });
+  $('[background]').each((_, el) => {
+    backgroundImages.push({ element: describeElement(el), value: `background="${$(el).attr('background')}"` });
+  });
+
+  // Embedded <style> blocks
+  const styleBlocks = $('style').toArray();
+  const parsedSheets = styleBlocks.map(el => parseCss($(el).html() || ''));
+  let embeddedSize = 0;
+  styleBlocks.forEach((el, i) => {
+    const sheet = parsedSheets[i];
+    embeddedSize += ($(el).html() || '').length;
+    const inBody = $(el).closest('body').length > 0;
+    if (inBody && data.checks.styleInBody) addFinding('style-in-body', data.checks.styleInBody, { element: `style #${i + 1}` });
+    if (!sheet.balanced && data.checks.invalidCss) addFinding('invalid-css', data.checks.invalidCss, { element: `style #${i + 1}` });
+
+    sheet.rules.forEach(rule => {
+      rule.declarations.forEach(decl => lintDeclaration(decl, { selector: rule.selector, media: rule.context || undefined }));
+      if (!rule.context && /[.#]/.test(rule.selector) && data.checks.embeddedOnlyStyles) {
+        addFinding('embedded-only-styles', data.checks.embeddedOnlyStyles, { selector: rule.selector });
+      }
+    });
+    sheet.atRules.forEach(at => {
+      data.atRules.forEach(entry => {
+        if (entry.regex.test(at.prelude)) addFinding(entry.id, entry, { selector: at.prelude, media: at.context || undefined });
+      });
+    });
+  });
+
+  const sizeCheck = data.checks.styleBlockSize;
+  if (sizeCheck && embeddedSize > sizeCheck.limit) {
+    addFinding('style-block-size', sizeCheck, { element: `${styleBlocks.length} <style> block(s)`, value: `${Math.round(embeddedSize / 1024)} KB` });
+  }
+
+  // Elements
+  data.elements.forEach(entry => {
+    $(entry.selector).each((_, el) => addFinding(entry.id, entry, { element: describeElement(el) }));
+  });
+
+  // Background images need a VML fallback somewhere for Outlook desktop
+  if (backgroundImages.length > 0 && !VML_BACKGROUND_REGEX.test(emailHtml) && data.checks.backgroundImageWithoutVml) {
+    backgroundImages.forEach(loc => addFinding('background-image-without-vml', data.checks.backgroundImageWithoutVml, { ...loc, media: undefined }));
+  }
+
+  // Web fonts must be followed by a generic family
+  const webFonts = collectWebFonts($, parsedSheets);
+  if (webFonts.size > 0 && data.checks.webFontWithoutFallback) {
+    fontDeclarations.forEach(({ decl, loc }) => {
+      const stack = fontStack(decl.property === 'font' ? decl.value.replace(/^.*?\d[\w.%]*(\/[\w.%]+)?\s+/, '') : decl.value);
+      if (stack.some(f => webFonts.has(f)) && !stack.some(f => GENERIC_FONT_FAMILIES.includes(f))) {
+        addFinding('web-font-without-fallback', data.checks.webFontWithoutFallback, { ...loc, media: undefined });
+      }
+    });
+  }
+
+  const results = [...findings.values()].sort((a, b) =>
+    SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || b.count - a.count
+  );
+
+  const byClient = Object.fromEntries(Object.values(data.clients).map(name => [name, 0]));
+  results.forEach(r => [...r.clients, ...r.partialClients].forEach(name => { byClient[name] = (byClient[name] || 0) + 1; }));
+
+  const high = results.filter(r => r.severity === 'high').length;
+  const medium = results.filter(r => r.severity === 'medium').length;
+  const low = results.filter(r => r.severity === 'low').length;
+
+  return {
+    datasetVersion: data.version,
+    clients: Object.values(data.clients),
+    results,
+    summary: {
+      total: results.length,
+      high,
+      medium,
+      low,
+      byClient,
+      embeddedCssBytes: embeddedSize,
+      status: high > 0 ? 'FAIL' : medium > 0 ? 'WARNING' : 'PASS',
+    },
+  };
+}
+
+// ---------------------------------------------------------
+// MOBILE LAYOUT ANALYSIS
+// Static analysis of the email HTML we already have: media queries
+// and breakpoints, fixed widths and images wider than a phone, text
+// below readable sizes, and tap targets that are too small or too
+// close together. Scored out of 100 with per-element findings.
+// ---------------------------------------------------------
+const MOBILE_VIEWPORT_WIDTH = 360;
+// @media (max-width: N) up to this width counts as a phone override
+const MOBILE_BREAKPOINT_MAX = 700;
+const MIN_READABLE_FONT_PX = 14;
+const MIN_FONT_PX = 12;
+const MIN_TAP_TARGET_PX = 44;
+const MIN_TAP_TARGET_HARD_PX = 24;
+const MIN_TAP_SPACING_PX = 8;
+const MAX_FINDINGS_PER_TYPE = 15;
+const MOBILE_PENALTIES = { high: 15, medium: 6, low: 2 };
+// The most one kind of finding can take off the score
+const MOBILE_PENALTY_CAPS = {
+  viewport: 15,
+  'media-queries': 10,
+  'fixed-width': 40,
+  'wide-image': 30,
+  'small-font': 20,
+  'tap-target': 15,
+  'tap-spacing': 10,
+};
+const FONT_SIZE_KEYWORDS = { 'xx-small': 9, 'x-small': 10, small: 13, medium: 16, large: 18, 'x-large': 24, 'xx-large': 32 };
+const LEGACY_FONT_SIZES = { 1: 10, 2: 13, 3: 16, 4: 18, 5: 24, 6: 32, 7: 48 };
+const INTERACTIVE_PSEUDO_REGEX = /:(hover|focus|active|visited|before|after|first-line|first-letter|focus-within|focus-visible)/i;
+const TAP_BLOCK_SELECTOR = 'p, td, th, li, div, h1, h2, h3, h4, h5, h6';
+
+// "600px", "600", "45em", "12pt" → px; null for %, auto, etc.
+const cssLengthPx = (value = '') => {
+  const m = String(value).trim().match(/^(-?\d*\.?\d+)(px|pt|em|rem)?$/i);
+  if (!m) return null;
+  const n = parseFloat(m[1]);
+  const unit = (m[2] || 'px').toLowerCase();
+  return unit === 'pt' ? n * 4 / 3 : unit === 'em' || unit === 'rem' ? n * 16 : n;
+};
+
+function parseMediaQuery(prelude = '') {
+  const query = prelude.replace(/^@media\s*/i, '').trim();
+  const length = (regex) => {
+    const m = query.match(regex);
+    return m ? cssLengthPx(m[1]) : null;
+  };
+  const maxWidth = length(/max-(?:device-)?width\s*:\s*([\d.]+[a-z]*)/i);
+  const minWidth = length(/min-(?:device-)?width\s*:\s*([\d.]+[a-z]*)/i);
+  const screen = /^@media/i.test(prelude) && !/(^|\s)print\b/i.test(query);
+  return { query, maxWidth, minWidth, mobile: screen && maxWidth !== null && maxWidth <= MOBILE_BREAKPOINT_MAX };
+}
+
+// font and padding shorthands → the longhands the analysis reads
+function expandShorthand(decl) {
+  if (decl.property === 'font') {
+    const m = decl.value.match(/(\d*\.?\d+(?:px|pt|em|rem|%))(?:\s*\/\s*([\d.]+[a-z%]*))?/i);
+    if (!m) return [];
+    return [
+      { ...decl, property: 'font-size', value: m[1] },
+      ...(m[2] ? [{ ...decl, property: 'line-height', value: m[2] }] : []),
+    ];
+  }
+  if (decl.property === 'padding') {
+    const [top, right = top, bottom = top, left = right] = decl.value.split(/\s+/);
+    return [['top', top], ['right', right], ['bottom', bottom], ['left', left]]
+      .map(([side, value]) => ({ ...decl, property: `padding-${side}`, value }));
+  }
+  return [decl];
+}
+
+// Every declaration that reaches each element on a phone: inline styles,
+// <style> rules outside media queries and mobile media-query rules
+function collectMobileDeclarations($, sheets) {
+  const byElement = new Map();
+  const add = (el, decl, origin) => {
+    if (!byElement.has(el)) byElement.set(el, []);
+    expandShorthand(decl).forEach(d => byElement.get(el).push({ ...d, origin }));
+  };
+
+  sheets.forEach(sheet => sheet.rules.forEach(rule => {
+    const media = rule.context ? parseMediaQuery(rule.context) : null;
+    if (media && !media.mobile) return;
+    if (INTERACTIVE_PSEUDO_REGEX.test(rule.selector)) return;
+    let matched;
+    try {
+      matched = $(rule.selector).toArray();
+    } catch {
+      return; // selector cheerio can't evaluate
+    }
+    matched.forEach(el => rule.declarations.forEach(d => add(el, d, media ? 'mobile' : 'sheet')));
+  }));
+  $('[style]').each((_, el) => parseDeclarations($(el).attr('style')).forEach(d => add(el, d, 'inline')));
+  return byElement;
+}
+
+// The winning value for one element, roughly following the cascade:
+// !important beats normal, then inline > mobile query > <style>
+function ownStyle(declarations, el, property) {
+  const rank = (d) => (d.important ? 10 : 0) + (d.origin === 'inline' ? 2 : d.origin === 'mobile' ? 1 : 0);
+  let winner = null;
+  (declarations.get(el) || []).forEach(d => {
+    if (d.property === property && (!winner || rank(d) >= rank(winner))) winner = d;
+  });
+  return winner ? winner.value.trim().toLowerCase() : null;
+}
+
+// Font size in px for an element, inherited down the tree. style(el, prop)
+// supplies the element's own declared value.
+function createFontSizeResolver(style) {
+  const fontSizes = new Map();
+  const fontSizeOf = (el) => {
+    if (!el || el.type !== 'tag') return 16;
+    if (fontSizes.has(el)) return fontSizes.get(el);
+    const parent = fontSizeOf(el.parent);
+    const value = style(el, 'font-size');
+    let size = parent;
+    if (value) {
+      if (FONT_SIZE_KEYWORDS[value]) size = FONT_SIZE_KEYWORDS[value];
+      else if (value.endsWith('%')) size = parent * parseFloat(value) / 100;
+      else if (/\d(em)$/.test(value)) size = parent * parseFloat(value);
+      else size = cssLengthPx(value) ?? parent;
+    } else if (el.tagName.toLowerCase() === 'font' && LEGACY_FONT_SIZES[el.attribs.size]) {
+      size = LEGACY_FONT_SIZES[el.attribs.size];
+    }
+    fontSizes.set(el, size);
+    return size;
+  };
+  return fontSizeOf;
+}
+
+function analyzeMobileLayout(emailHtml = '') {
+  const $ = cheerio.load(emailHtml || '');
+  const sheets = $('style').toArray().map(el => parseCss($(el).html() || ''));
+  const declarations = collectMobileDeclarations($, sheets);
+  const style = (el, property) => ownStyle(declarations, el, property);
+  const findings = [];
+  const addFinding = (finding) => findings.push(finding);
+
+  // Viewport + media queries
+  const viewportContent = $('meta[name="viewport"]').attr('content') || '';
+  const hasViewport = /width\s*=\s*device-width|initial-scale/i.test(viewportContent);
+  if (!hasViewport) {
+    addFinding({
+      type: 'viewport',
+      severity: 'medium',
+      message: viewportContent
+        ? `Viewport meta tag doesn't set width=device-width ("${viewportContent}")`
+        : 'No viewport meta tag — webmail and Apple Mail may render the email zoomed out',
+    });
+  }
+
+  const mediaQueries = [];
+  sheets.forEach(sheet => sheet.atRules.forEach(at => {
+    if (!/^@media/i.test(at.prelude)) return;
+    mediaQueries.push({
+      ...parseMediaQuery(at.prelude),
+      ruleCount: sheet.rules.filter(r => r.context === at.prelude).length,
+    });
+  }));
+  const breakpoints = [...new Set(mediaQueries.map(q => q.maxWidth).filter(w => w !== null))].sort((a, b) => b - a);
+  const hasMobileQueries = mediaQueries.some(q => q.mobile && q.ruleCount > 0);
+
+  // Fixed widths wider than a phone
+  const isFluid = (el) => {
+    const width = style(el, 'width');
+    const maxWidth = style(el, 'max-width');
+    if (width && (/%|vw|auto/.test(width) || (cssLengthPx(width) !== null && cssLengthPx(width) <= MOBILE_VIEWPORT_WIDTH))) return true;
+    return Boolean(maxWidth && (/%|vw/.test(maxWidth) || (cssLengthPx(maxWidth) !== null && cssLengthPx(maxWidth) <= MOBILE_VIEWPORT_WIDTH)));
+  };
+  const fixedWidth = (el) => {
+    const minWidth = cssLengthPx(style(el, 'min-width') || '');
+    if (minWidth !== null && minWidth > MOBILE_VIEWPORT_WIDTH) return { px: minWidth, source: `min-width: ${Math.round(minWidth)}px`, forced: true };
+    const width = style(el, 'width');
+    const px = width ? cssLengthPx(width) : cssLengthPx(el.attribs.width || '');
+    if (px === null || px <= MOBILE_VIEWPORT_WIDTH) return null;
+    return { px, source: width ? `width: ${width}` : `width="${el.attribs.width}"`, forced: false };
+  };
+
+  const flagged = new Set();
+  $('body table, body div, body img').each((_, el) => {
+    if (isHiddenElement(el)) return;
+    if ($(el).parents().toArray().some(p => flagged.has(p))) return;
+    const fixed = fixedWidth(el);
+    if (!fixed || (!fixed.forced && isFluid(el))) return;
+    flagged.add(el);
+    const isImage = el.tagName.toLowerCase() === 'img';
+    addFinding({
+      type: isImage ? 'wide-image' : 'fixed-width',
+      severity: 'high',
+      element: describeElement(el),
+      value: fixed.source,
+      message: isImage
+        ? `Image is ${Math.round(fixed.px)}px wide with nothing to scale it down — wider than a ${MOBILE_VIEWPORT_WIDTH}px phone screen`
+        : `${Math.round(fixed.px)}px fixed width with no fluid width or mobile media-query override`,
+      text: isImage ? ($(el).attr('src') || '').substring(0, 120) : undefined,
+    });
+  });
+
+  if (!hasMobileQueries && findings.some(f => f.type === 'fixed-width' || f.type === 'wide-image')) {
+    addFinding({
+      type: 'media-queries',
+      severity: 'medium',
+      message: mediaQueries.length
+        ? `No media query targets phones (breakpoints: ${breakpoints.map(b => `${b}px`).join(', ') || 'none'}) and the layout isn't fluid`
+        : 'No media queries and the layout isn\'t fluid',
+    });
+  }
+
+  // Text sizes
+  const fontSizeOf = createFontSizeResolver(style);
+
+  const seenFonts = new Set();
+  $('body *').each((_, el) => {
+    if (['style', 'script', 'title'].includes(el.tagName.toLowerCase())) return;
+    const ownText = el.children.filter(c => c.type === 'text').map(c => c.data).join(' ').replace(/\s+/g, ' ').trim();
+    if (!/[\p{L}\p{N}]/u.test(ownText) || isHiddenElement(el)) return;
+    const size = fontSizeOf(el);
+    // font-size: 0 / 1px text is a hiding trick, not copy
+    if (size < 2 || size >= MIN_READABLE_FONT_PX) return;
+    const key = `${describeElement(el)}|${size}`;
+    if (seenFonts.has(key)) return;
+    seenFonts.add(key);
+    addFinding({
+      type: 'small-font',
+      severity: size < MIN_FONT_PX ? 'medium' : 'low',
+      element: describeElement(el),
+      value: `${Math.round(size * 10) / 10}px`,
+      message: size < MIN_FONT_PX
+        ? `Text renders at ${Math.round(size * 10) / 10}px on mobile — below the ${MIN_FONT_PX}px minimum`
+        : `Text renders at ${Math.round(size * 10) / 10}px on mobile — ${MIN_READABLE_FONT_PX}px or more reads comfortably`,
+      text: ownText.substring(0, 80),
+    });
+  });
+
+  // Tap targets: links that stand on their own (buttons, nav, icons).
+  // Links inside running text are exempt — the sentence gives them room.
+  const paddingOf = (el, side) => {
+    let px = cssLengthPx(style(el, `padding-${side}`) || '') || 0;
+    if (['td', 'th'].includes(el.tagName.toLowerCase())) {
+      const table = $(el).closest('table');
+      px += cssLengthPx(table.attr('cellpadding') || '') || 0;
+    }
+    return px;
+  };
+  const lineHeightOf = (el) => {
+    const size = fontSizeOf(el);
+    for (let node = el; node && node.type === 'tag'; node = node.parent) {
+      const value = style(node, 'line-height');
+      if (!value || value === 'normal') continue;
+      if (/^[\d.]+$/.test(value)) return size * parseFloat(value);
+      if (value.endsWith('%')) return size * parseFloat(value) / 100;
+      const px = cssLengthPx(value);
+      if (px !== null) return px;
+    }
+    return size * 1.2;
+  };
+  const targetSize = (a) => {
+    const img = $(a).find('img').first();
+    const text = $(a).text().replace(/\s+/g, ' ').trim();
+    if (!text && img.length) {
+      const w = cssLengthPx(style(img[0], 'width') || img.attr('width') || '');
+      const h = cssLengthPx(style(img[0], 'height') || img.attr('height') || '');
+      return w === null && h === null ? null : { width: w, height: h };
+    }
+    const size = fontSizeOf(a);
+    return {
+      width: text.length * size * 0.5 + paddingOf(a, 'left') + paddingOf(a, 'right'),
+      height: lineHeightOf(a) + paddingOf(a, 'top') + paddingOf(a, 'bottom'),
+    };
+  };
+  const linkText = (a) => $(a).text().replace(/\s+/g, ' ').trim() || $(a).find('img').attr('alt') || $(a).attr('href') || '';
+
+  const tapTargets = [];
+  $('body a[href]').each((_, a) => {
+    if (isHiddenElement(a)) return;
+    if (!$(a).text().trim() && $(a).find('img').length === 0) return;
+    const block = $(a).closest(TAP_BLOCK_SELECTOR);
+    if (block.length === 0) return;
+    const strip = (t) => t.replace(/[\s|•·/–—-]+/g, '');
+    const linksText = block.find('a[href]').toArray().map(l => $(l).text()).join('');
+    if (strip(block.text()) !== strip(linksText)) return;
+    tapTargets.push({ a, block: block[0], size: targetSize(a) });
+  });
+
+  tapTargets.forEach(({ a, size }) => {
+    if (!size) return;
+    const small = [size.width, size.height].filter(v => v !== null && v < MIN_TAP_TARGET_PX);
+    if (small.length === 0) return;
+    const tiny = small.some(v => v < MIN_TAP_TARGET_HARD_PX);
+    const dims = [size.width, size.height].map(v => (v === null ? '?' : Math.round(v))).join('×');
+    const parentCell = $(a).parent('td, th');
+    const paddedCell = parentCell.length > 0 && (paddingOf(parentCell[0], 'top') + paddingOf(parentCell[0], 'bottom') > 0);
+    addFinding({
+      type: 'tap-target',
+      severity: tiny ? 'medium' : 'low',
+      element: describeElement(a),
+      value: `~${dims}px`,
+      message: `Tap target is about ${dims}px — aim for at least ${MIN_TAP_TARGET_PX}×${MIN_TAP_TARGET_PX}px` +
+        (paddedCell ? ' (the padding is on the table cell, so only the link text is tappable)' : ''),
+      text: linkText(a).substring(0, 80),
+    });
+  });
+
+  // Neighbouring targets: links sharing a block, or link cells side by side
+  const closePairs = [];
+  const byBlock = new Map();
+  tapTargets.forEach(t => {
+    if (!byBlock.has(t.block)) byBlock.set(t.block, []);
+    byBlock.get(t.block).push(t);
+  });
+  byBlock.forEach((targets, block) => {
+    if (targets.length < 2) return;
+    const html = $(block).html() || '';
+    for (let i = 1; i < targets.length; i++) {
+      const prevHtml = $.html(targets[i - 1].a);
+      const start = html.indexOf(prevHtml);
+      const end = html.indexOf($.html(targets[i].a), start + prevHtml.length);
+      if (start === -1 || end === -1) continue;
+      const between = cheerio.load(`<div>${html.substring(start + prevHtml.length, end)}</div>`)('div').text().replace(/&nbsp;| /g, ' ');
+      const gap = between.length * fontSizeOf(block) * 0.3 +
+        (cssLengthPx(style(targets[i - 1].a, 'margin-right') || '') || 0) +
+        (cssLengthPx(style(targets[i].a, 'margin-left') || '') || 0);
+      if (gap < MIN_TAP_SPACING_PX) closePairs.push([targets[i - 1], targets[i], gap]);
+    }
+  });
+  $('body tr').each((_, tr) => {
+    let previous = null;
+    let spacer = 0;
+    $(tr).children('td, th').each((_, cell) => {
+      const target = tapTargets.find(t => t.block === cell);
+      if (!target) {
+        spacer += cssLengthPx(cell.attribs.width || style(cell, 'width') || '') || 0;
+        return;
+      }
+      if (previous) {
+        const gap = spacer + paddingOf(previous.block, 'right') + paddingOf(cell, 'left');
+        if (gap < MIN_TAP_SPACING_PX) closePairs.push([previous, target, gap]);
+      }
+      previous = target;
+      spacer = 0;
+    });
+  });
+  closePairs.forEach(([first, second, gap]) => {
+    const smallTargets = [first, second].some(t => t.size && [t.size.width, t.size.height].some(v => v !== null && v < MIN_TAP_TARGET_PX));
+    if (!smallTargets) return;
+    addFinding({
+      type: 'tap-spacing',
+      severity: 'low',
+      element: describeElement(second.a),
+      value: `~${Math.round(gap)}px apart`,
+      message: `"${linkText(first.a).substring(0, 30)}" and "${linkText(second.a).substring(0, 30)}" are about ${Math.round(gap)}px apart — leave at least ${MIN_TAP_SPACING_PX}px between small tap targets`,
+    });
+  });
+
+  // Score: each finding costs points by severity, capped per kind
+  const byType = {};
+  const penalties = {};
+  findings.forEach(f => {
+    byType[f.type] = (byType[f.type] || 0) + 1;
+    penalties[f.type] = Math.min((penalties[f.type] || 0) + MOBILE_PENALTIES[f.severity], MOBILE_PENALTY_CAPS[f.type]);
+  });
+  const score = Math.max(0, 100 - Object.values(penalties).reduce((sum, p) => sum + p, 0));
+  const high = findings.filter(f => f.severity === 'high').length;
+  const status = score >= 80 && high === 0 ? 'PASS' : score >= 50 ? 'WARNING' : 'FAIL';
+  const verdict = status === 'PASS' ? 'Mobile-friendly' : status === 'WARNING' ? 'Partly mobile-friendly' : 'Not mobile-friendly';
+
+  const shownPerType = {};
+  const results = findings
+    .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity])
+    .filter(f => (shownPerType[f.type] = (shownPerType[f.type] || 0) + 1) <= MAX_FINDINGS_PER_TYPE);
+
+  return {
+    score,
+    verdict,
+    viewport: { present: hasViewport, content: viewportContent || null },
+    mediaQueries: mediaQueries.map(({ query, maxWidth, minWidth, mobile, ruleCount }) => ({ query, maxWidth, minWidth, mobile, ruleCount })),
+    breakpoints,
+    results,
+    summary: {
+      score,
+      issueCount: findings.length,
+      high,
+      medium: findings.filter(f => f.severity === 'medium').length,
+      low: findings.filter(f => f.severity === 'low').length,
+      byType,
+      status,
+    },
+  };
+}
+
+// ---------------------------------------------------------
+// DARK MODE READINESS
+// Detects color-scheme meta tags and prefers-color-scheme styles, then
+// simulates the forced colour inversion of clients that ignore them:
+// partial (only light backgrounds and dark text flip) and full (every
+// colour flips). Text and buttons whose contrast only fails once
+// inverted are flagged, as are fetched images that are dark ink on a
+// transparent background.
+// ---------------------------------------------------------
+const INVERSION_SCHEMES = [
+  {
+    id: 'partial',
+    label: 'Partial inversion',
+    clients: 'Outlook.com, Outlook for iOS/Android, Gmail for Android',
+    invertBackground: (color) => isLightColor(color),
+    invertText: (color) => !isLightColor(color),
+  },
+  {
+    id: 'full',
+    label: 'Full inversion',
+    clients: 'Gmail for iOS, Outlook 2021+ for Windows',
+    invertBackground: () => true,
+    invertText: () => true,
+  },
+];
+// Transparent images with at least this much see-through area whose
+// visible pixels are mostly near-black
+const DARK_IMAGE_TRANSPARENCY = 0.1;
+const DARK_IMAGE_DARK_RATIO = 0.5;
+
+function rgbToHsl({ r, g, b }) {
+  const [R, G, B] = [r / 255, g / 255, b / 255];
+  const max = Math.max(R, G, B);
+  const min = Math.min(R, G, B);
+  const l = (max + min) / 2;
+  if (max === min) return { h: 0, s: 0, l };
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  const h = max === R ? (G - B) / d + (G < B ? 6 : 0) : max === G ? (B - R) / d + 2 : (R - G) / d + 4;
+  return { h: h / 6, s, l };
+}
+
+function hslToRgb({ h, s, l }) {
+  if (s === 0) return { r: l * 255, g: l * 255, b: l * 255, a: 1 };
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  const channel = (t) => {
+    const tt = t < 0 ? t + 1 : t > 1 ? t - 1 : t;
+    if (tt < 1 / 6) return p + (q - p) * 6 * tt;
+    if (tt < 1 / 2) return q;
+    if (tt < 2 / 3) return p + (q - p) * (2 / 3 - tt) * 6;
+    return p;
+  };
+  return { r: channel(h + 1 / 3) * 255, g: channel(h) * 255, b: channel(h - 1 / 3) * 255, a: 1 };
+}
+
+const isLightColor = (color) => rgbToHsl(color).l > 0.5;
+const invertLightness = (color) => {
+  const hsl = rgbToHsl(color);
+  return hslToRgb({ ...hsl, l: 1 - hsl.l });
+};
+
+function checkDarkMode(emailHtml = '', imageAssetCheck = null) {
+  const $ = cheerio.load(emailHtml || '');
+  const sheets = $('style').toArray().map(el => parseCss($(el).html() || ''));
+  const rules = sheets.flatMap(sheet => sheet.rules);
+  const results = [];
+
+  // Declared support
+  const colorScheme = ($('meta[name="color-scheme"]').attr('content') || '').trim() || null;
+  const supportedColorSchemes = ($('meta[name="supported-color-schemes"]').attr('content') || '').trim() || null;
+  const cssColorScheme = rules
+    .flatMap(rule => rule.declarations)
+    .find(d => d.property === 'color-scheme' || d.property === 'supported-color-schemes');
+  const darkMediaQueries = sheets.flatMap(sheet => sheet.atRules).filter(at => /prefers-color-scheme\s*:\s*dark/i.test(at.prelude));
+  const darkRules = rules.filter(rule => /prefers-color-scheme\s*:\s*dark/i.test(rule.context || ''));
+  const outlookOverrides = rules.filter(rule => /\[data-ogs[cb]\]/i.test(rule.selector));
+  const declaresDark = /\bdark\b/i.test(`${colorScheme || ''} ${supportedColorSchemes || ''} ${cssColorScheme ? cssColorScheme.value : ''}`);
+
+  if (darkRules.length > 0 && !declaresDark) {
+    results.push({
+      type: 'color-scheme',
+      severity: 'medium',
+      message: 'Dark-mode styles found but no <meta name="color-scheme" content="light dark"> — Apple Mail and iOS Mail ignore them',
+    });
+  } else if (darkRules.length === 0 && !declaresDark) {
+    results.push({
+      type: 'color-scheme',
+      severity: 'low',
+      message: 'No dark-mode support declared — every client applies its own colour inversion (simulated below)',
+    });
+  } else if (darkRules.length === 0) {
+    results.push({
+      type: 'media-query',
+      severity: 'low',
+      message: 'color-scheme allows dark, but there are no @media (prefers-color-scheme: dark) styles to adapt colours and swap logos',
+    });
+  }
+  if (colorScheme && !supportedColorSchemes) {
+    results.push({
+      type: 'color-scheme',
+      severity: 'low',
+      message: 'color-scheme meta without supported-color-schemes — older Apple Mail versions only read the latter',
+    });
+  }
+
+  // Simulated inversion of inline colours
+  const inlineStyle = createInlineStyleReader();
+  const fontSizeOf = createFontSizeResolver(inlineStyle);
+  const { foregroundOf, backgroundOf, isBold } = createColorResolver(inlineStyle);
+  const visibleText = (el) => el.children.filter(c => c.type === 'text').map(c => c.data).join(' ').replace(/\s+/g, ' ').trim();
+  const insideLink = (el) => {
+    for (let node = el; node && node.type === 'tag'; node = node.parent) {
+      if (node.tagName.toLowerCase() === 'a') return true;
+    }
+    return false;
+  };
+  const textElements = $('body *').toArray().filter(el =>
+    !['style', 'script', 'title'].includes(el.tagName.toLowerCase()) &&
+    /[\p{L}\p{N}]/u.test(visibleText(el)) && !isHiddenElement(el)
+  );
+
+  const inversionIssues = new Map();
+  let textChecked = 0;
+  textElements.forEach(el => {
+    const fg = foregroundOf(el);
+    const bg = backgroundOf(el);
+    if (!fg || !bg) return;
+    textChecked++;
+    const size = fontSizeOf(el);
+    const required = size >= LARGE_TEXT_PX || (size >= LARGE_BOLD_TEXT_PX && isBold(el)) ? 3 : 4.5;
+    const lightRatio = contrastRatio(fg, bg);
+    if (lightRatio < required) return;   // already failing in light mode — see the accessibility audit
+
+    INVERSION_SCHEMES.forEach(scheme => {
+      const darkBg = scheme.invertBackground(bg) ? invertLightness(bg) : bg;
+      const darkFg = scheme.invertText(fg) ? invertLightness(fg) : fg;
+      const darkRatio = contrastRatio(darkFg, darkBg);
+      if (darkRatio >= required) return;
+
+      const kind = insideLink(el) && bg.explicit ? 'button' : 'text';
+      const key = `${scheme.id}|${colorHex(fg)}|${colorHex(bg)}|${required}`;
+      if (!inversionIssues.has(key)) {
+        inversionIssues.set(key, {
+          type: kind === 'button' ? 'inverted-button' : 'inverted-text',
+          severity: darkRatio < 3 ? 'high' : 'medium',
+          scheme: scheme.id,
+          element: describeElement(el),
+          count: 0,
+          examples: [],
+          colors: {
+            light: { foreground: colorHex(fg), background: colorHex(bg), ratio: Math.round(lightRatio * 100) / 100 },
+            dark: { foreground: colorHex(darkFg), background: colorHex(darkBg), ratio: Math.round(darkRatio * 100) / 100 },
+          },
+          message: `${kind === 'button' ? 'Button' : 'Text'} ${colorHex(fg)} on ${colorHex(bg)} drops to ${darkRatio.toFixed(2)}:1 under ${scheme.label.toLowerCase()} (${scheme.clients})`,
+        });
+      }
+      const issue = inversionIssues.get(key);
+      issue.count++;
+      if (issue.examples.length < MAX_EXAMPLES) issue.examples.push(visibleText(el).substring(0, 60));
+    });
+  });
+  results.push(...inversionIssues.values());
+
+  // Dark ink on transparency disappears on a dark canvas
+  const imagesChecked = imageAssetCheck ? imageAssetCheck.results.filter(r => r.tone).length : 0;
+  if (imageAssetCheck) {
+    imageAssetCheck.results.forEach(asset => {
+      const tone = asset.tone;
+      if (!tone || tone.transparentRatio < DARK_IMAGE_TRANSPARENCY || tone.darkRatio < DARK_IMAGE_DARK_RATIO) return;
+      let label = asset.src;
+      try {
+        label = new URL(asset.src).pathname.split('/').pop() || asset.src;
+      } catch {
+        // Relative or data: src — show as is
+      }
+      results.push({
+        type: 'dark-image',
+        severity: 'medium',
+        element: label.substring(0, 60),
+        src: asset.url || asset.src,
+        tone,
+        message: `${Math.round(tone.darkRatio * 100)}% of the visible pixels are near-black on a ${Math.round(tone.transparentRatio * 100)}% transparent background — the image disappears on dark backgrounds. Add a light outline or swap it in dark mode.`,
+      });
+    });
+  }
+
+  const count = (severity) => results.filter(r => r.severity === severity).length;
+  const high = count('high');
+  const medium = count('medium');
+  const low = count('low');
+
+  return {
+    support: {
+      colorScheme,
+      supportedColorSchemes,
+      cssColorScheme: cssColorScheme ? cssColorScheme.value : null,
+      darkMediaQueries: darkMediaQueries.length,
+      darkRules: darkRules.length,
+      outlookOverrides: outlookOverrides.length,
+    },
+    schemes: INVERSION_SCHEMES.map(({ id, label, clients }) => ({ id, label, clients })),
+    results,
+    summary: {
+      textChecked,
+      imagesChecked,
+      invertedText: results.filter(r => r.type === 'inverted-text').length,
+      invertedButtons: results.filter(r => r.type === 'inverted-button').length,
+      darkImages: results.filter(r => r.type === 'dark-image').length,
+      high,
+      medium,
+      low,
+      issueCount: high + medium,
+      status: high > 0 ? 'FAIL' : medium > 0 ? 'WARNING' : 'PASS',
+    },
+  };
+}
+
+// ---------------------------------------------------------
+// LANGUAGE DETECTION
+// franc returns ISO 639-3 codes; each maps to a BCP 47 tag and the
+// LanguageTool code used for grammar (null = no grammar support)
+// ---------------------------------------------------------
+const LANGUAGES = {
+  eng: { tag: 'en', grammar: 'en-US' },
+  deu: { tag: 'de', grammar: 'de-DE' },
+  fra: { tag: 'fr', grammar: 'fr' },
+  spa: { tag: 'es', grammar: 'es' },
+  ita: { tag: 'it', grammar: 'it' },
+  por: { tag: 'pt', grammar: 'pt-PT' },
+  nld: { tag: 'nl', grammar: 'nl' },
+  pol: { tag: 'pl', grammar: 'pl-PL' },
+  rus: { tag: 'ru', grammar: 'ru-RU' },
+  ukr: { tag: 'uk', grammar: 'uk-UA' },
+  jpn: { tag: 'ja', grammar: 'ja-JP' },
+  cmn: { tag: 'zh', grammar: 'zh-CN' },
+  swe: { tag: 'sv', grammar: 'sv' },
+  dan: { tag: 'da', grammar: 'da-DK' },
+  cat: { tag: 'ca', grammar: 'ca-ES' },
+  glg: { tag: 'gl', grammar: 'gl-ES' },
+  ell: { tag: 'el', grammar: 'el-GR' },
+  ron: { tag: 'ro', grammar: 'ro-RO' },
+  slk: { tag: 'sk', grammar: 'sk-SK' },
+  slv: { tag: 'sl', grammar: 'sl-SI' },
+  arb: { tag: 'ar', grammar: 'ar' },
+  pes: { tag: 'fa', grammar: 'fa' },
+  tam: { tag: 'ta', grammar: 'ta-IN' },
+  khm: { tag: 'km', grammar: 'km-KH' },
+  tgl: { tag: 'tl', grammar: 'tl-PH' },
+  bel: { tag: 'be', grammar: 'be-BY' },
+  kor: { tag: 'ko', grammar: null },
+  tha: { tag: 'th', grammar: null },
+  hin: { tag: 'hi', grammar: null },
+  tur: { tag: 'tr', grammar: null },
+  ces: { tag: 'cs', grammar: null },
+  hun: { tag: 'hu', grammar: null },
+  fin: { tag: 'fi', grammar: null },
+  nob: { tag: 'nb', grammar: null },
+  vie: { tag: 'vi', grammar: null },
+  ind: { tag: 'id', grammar: null },
+  heb: { tag: 'he', grammar: null },
+};
+
+const LANGUAGE_DISPLAY_NAMES = new Intl.DisplayNames(['en'], { type: 'language' });
+const MIN_DETECT_LENGTH = 20;
+// Below this much text, or with a runner-up this close, a detection is only a guess
+const CONFIDENT_DETECT_LENGTH = 150;
+const CONFIDENT_DETECT_MARGIN = 0.05;
+
+const languageName = (tag) => {
+  try {
+    return LANGUAGE_DISPLAY_NAMES.of(tag) || tag;
+  } catch {
+    return tag;
+  }
+};
+
+// "de", "de-AT", "pt-BR" ... → the LanguageTool code to use, or null
+function resolveGrammarLanguage(tag) {
+  if (!tag) return null;
+  const [primary] = tag.split('-');
+  const known = Object.values(LANGUAGES).find(l => l.tag === primary.toLowerCase());
+  if (!known || !known.grammar) return null;
+  return tag.includes('-') ? tag : known.grammar;
+}
+
+function detectLanguage(text = '') {
+  const sample = text.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim().substring(0, 5000);
+  if (sample.length < MIN_DETECT_LENGTH) {
+    return { code: null, tag: null, name: 'Unknown', confident: false, grammarLanguage: 'auto', alternatives: [] };
+  }
+
+  const ranked = francAll(sample, { minLength: MIN_DETECT_LENGTH }).filter(([code]) => code !== 'und');
+  if (ranked.length === 0) {
+    return { code: null, tag: null, name: 'Unknown', confident: false, grammarLanguage: 'auto', alternatives: [] };
+  }
+
+  const [[code], runnerUp] = ranked;
+  const known = LANGUAGES[code];
+  const tag = known ? known.tag : code;
+  const confident = sample.length >= CONFIDENT_DETECT_LENGTH &&
+    (!runnerUp || 1 - runnerUp[1] >= CONFIDENT_DETECT_MARGIN);
+
+  return {
+    code,
+    tag,
+    name: languageName(tag),
+    confident,
+    grammarLanguage: known ? known.grammar : null,
+    alternatives: ranked.slice(1, 4).map(([alt, score]) => ({
+      code: alt,
+      name: languageName(LANGUAGES[alt] ? LANGUAGES[alt].tag : alt),
+      score: Math.round(score * 100) / 100,
+    })),
+  };
+}
+
+// Detected language of the doc and the email, the language grammar runs in,
+// and whether the two sides disagree
+function checkLanguages(docText, emailText, requested) {
+  const document = detectLanguage(docText);
+  const email = detectLanguage(emailText);
+  const override = requested && requested !== 'auto' ? requested : null;
+
+  const differ = Boolean(document.code && email.code && document.code !== email.code);
+  const mismatch = differ && document.confident && email.confident;
+
+  let message;
+  if (mismatch) {
+    message = `Document is in ${document.name} but the email is in ${email.name}`;
+  } else if (differ) {
+    message = `Document looks like ${document.name} and the email like ${email.name} — too little text to be sure`;
+  } else if (document.code) {
+    message = `Document and email are both ${document.name}`;
+  } else {
+    message = 'Not enough text to detect the language';
+  }
+
+  return {
+    requested: override,
+    document: { ...document, grammarLanguage: override ? resolveGrammarLanguage(override) : document.grammarLanguage },
+    email: { ...email, grammarLanguage: override ? resolveGrammarLanguage(override) : email.grammarLanguage },
+    match: !differ,
+    message,
+    summary: { status: mismatch ? 'FAIL' : differ ? 'WARNING' : 'PASS' },
+  };
+}
+
+// ---------------------------------------------------------
+// GRAMMAR CHECK
+// Provider, server URL, chunk size, the team dictionary of brand /
+// product names and disabled rules live in config/grammar.json.
+// Point LANGUAGETOOL_URL at a self-hosted server to avoid the public
+// API's limits. Text is checked block by block (doc blocks, email
+// paragraphs) so every issue maps back to where it came from.
+// ---------------------------------------------------------
+const GRAMMAR_CONFIG_PATH = process.env.GRAMMAR_CONFIG ||
+  path.join(__dirname, 'config', 'grammar.json');
+
+function loadGrammarConfig() {
+  const defaults = {
+    provider: 'languagetool',
+    serverUrl: 'https://api.languagetool.org',
+    chunkSize: 8000,
+    timeoutMs: 20000,
+    dictionary: [],
+    disabledRules: [],
+    disabledCategories: [],
+  };
+  let config = defaults;
+  try {
+    config = { ...defaults, ...JSON.parse(fs.readFileSync(GRAMMAR_CONFIG_PATH, 'utf8')) };
+  } catch (error) {
+    console.warn(`Grammar config not loaded (${error.message}) — using defaults`);
+  }
+
+  config.serverUrl = (process.env.LANGUAGETOOL_URL || config.serverUrl).replace(/\/+$/, '');
+  config.username = process.env.LANGUAGETOOL_USERNAME || config.username || null;
+  config.apiKey = process.env.LANGUAGETOOL_API_KEY || config.apiKey || null;
+  if (!GRAMMAR_PROVIDERS[config.provider]) {
+    console.warn(`Unknown grammar provider "${config.provider}" — using languagetool`);
+    config.provider = 'languagetool';
+  }
+
+  // Exact spellings, plus a lower-case index to catch wrong casing
+  config.dictionaryTerms = new Set();
+  config.dictionaryByLower = new Map();
+  config.dictionary.forEach(term => {
+    [term, ...term.split(/\s+/)].forEach(t => {
+      config.dictionaryTerms.add(t);
+      if (!config.dictionaryByLower.has(t.toLowerCase())) config.dictionaryByLower.set(t.toLowerCase(), t);
+    });
+  });
+
+  console.log(`Grammar provider: ${config.provider} at ${config.serverUrl} (${config.dictionary.length} dictionary terms, ${config.disabledRules.length} disabled rules)`);
+  return config;
+}
+
+// Each provider checks one chunk of text and returns LanguageTool-shaped matches
+const GRAMMAR_PROVIDERS = {
+  languagetool: async (text, language, config) => {
+    const params = new URLSearchParams();
+    params.append('text', text);
+    params.append('language', language);
+    params.append('enabledOnly', 'false');
+    if (config.disabledRules.length) params.append('disabledRules', config.disabledRules.join(','));
+    if (config.disabledCategories.length) params.append('disabledCategories', config.disabledCategories.join(','));
+    if (config.username && config.apiKey) {
+      params.append('username', config.username);
+      params.append('apiKey', config.apiKey);
+    }
+
+    const response = await axios.post(`${config.serverUrl}/v2/check`, params.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: config.timeoutMs,
+    });
+    return response.data.matches || [];
+  },
+};
+
+const grammarConfig = loadGrammarConfig();
+
+// A block longer than a whole chunk is cut at a sentence end (or a space)
+function splitLongBlock(text, chunkSize) {
+  const pieces = [];
+  let start = 0;
+  while (text.length - start > chunkSize) {
+    const window = text.substring(start, start + chunkSize);
+    const sentenceEnd = Math.max(window.lastIndexOf('. '), window.lastIndexOf('! '), window.lastIndexOf('? '));
+    const cut = sentenceEnd > chunkSize / 2 ? sentenceEnd + 2
+      : window.lastIndexOf(' ') > chunkSize / 2 ? window.lastIndexOf(' ') + 1
+        : chunkSize;
+    pieces.push({ text: text.substring(start, start + cut), start });
+    start += cut;
+  }
+  pieces.push({ text: text.substring(start), start });
+  return pieces;
+}
+
+// Packs blocks into chunks under the size limit, remembering where each
+// block sits in its chunk so matches can be traced back
+function buildGrammarChunks(blocks, chunkSize) {
+  const chunks = [];
+  let current = null;
+  blocks.forEach((block, blockIndex) => {
+    splitLongBlock(block.text, chunkSize).forEach(piece => {
+      if (!current || current.text.length + piece.text.length + 2 > chunkSize) {
+        current = { text: '', spans: [] };
+        chunks.push(current);
+      }
+      if (current.text) current.text += '\n\n';
+      current.spans.push({ blockIndex, chunkOffset: current.text.length, blockOffset: piece.start, length: piece.text.length });
+      current.text += piece.text;
+    });
+  });
+  return chunks;
+}
+
+const isSentenceStart = (blockText, offset) => {
+  const before = blockText.substring(0, offset).trimEnd();
+  return !before || /[.!?:;•·–—-]["'”’)\]]*$/.test(before);
+};
+
+function classifyGrammarMatch(m, block, blockOffset) {
+  const category = m.rule?.category?.id || 'UNKNOWN';
+  const errorText = block.text.substring(blockOffset, blockOffset + m.length);
+  const issue = {
+    message: m.message || 'Issue detected',
+    shortMessage: m.shortMessage || '',
+    category: m.rule?.category?.name || category,
+    categoryId: category,
+    severity: 'medium',
+    isProperNoun: false,
+    context: m.context?.text || '',
+    errorText,
+    offset: blockOffset,
+    length: m.length,
+    replacements: (m.replacements || []).slice(0, 3).map(r => r.value),
+    ruleId: m.rule?.id || '',
+    ruleDescription: m.rule?.description || '',
+  };
+
+  if (category === 'TYPOS') {
+    if (grammarConfig.dictionaryTerms.has(errorText)) return null;
+
+    const known = grammarConfig.dictionaryByLower.get(errorText.toLowerCase());
+    if (known) {
+      return {
+        ...issue,
+        message: `Brand / product name should be written "${known}"`,
+        category: 'Brand name',
+        categoryId: 'BRAND_NAME',
+        replacements: [known],
+      };
+    }
+
+    // Capitalised mid-sentence is likely a name (e.g. "Grazitti"); a typo
+    // at the start of a sentence is still a typo
+    if (/^\p{Lu}/u.test(errorText) && !isSentenceStart(block.text, blockOffset)) {
+      return {
+        ...issue,
+        message: `${issue.message} (likely a proper noun / brand name)`,
+        severity: 'low',
+        isProperNoun: true,
+      };
+    }
+    return { ...issue, severity: 'high' };
+  }
+
+  if (category === 'GRAMMAR') return { ...issue, severity: 'high' };
+  if (category === 'PUNCTUATION' || category === 'CASING') return { ...issue, severity: 'medium' };
+  if (category === 'STYLE' || category === 'REDUNDANCY') return { ...issue, severity: 'low' };
+  return issue;
+}
+
+// blocks: [{ text, kind }] in reading order
+async function checkGrammar(blocks, label = 'Text', language = 'auto') {
+  const textBlocks = (blocks || [])
+    .map((b, index) => ({ ...b, index, text: (b.text || '').replace(/\s+/g, ' ').trim() }))
+    .filter(b => b.text);
+  const totalLength = textBlocks.reduce((sum, b) => sum + b.text.length, 0);
+  const provider = grammarConfig.provider;
+
+  if (totalLength < 20) {
+    return { issues: [], summary: { total: 0, status: 'PASS' }, label, language, provider };
+  }
+  if (!language) {
+    return {
+      issues: [],
+      summary: { total: 0, status: 'SKIPPED', error: 'The grammar provider does not support this language' },
+      label,
+      language,
+      provider,
+    };
+  }
+
+  try {
+    const chunks = buildGrammarChunks(textBlocks, grammarConfig.chunkSize);
+    console.log(`Grammar check (${label}): ${totalLength} chars in ${chunks.length} chunk(s) to ${provider} (${language})...`);
+
+    const issues = [];
+    let dictionaryHits = 0;
+    // One chunk at a time — the public API rate-limits bursts
+    for (const chunk of chunks) {
+      const matches = await GRAMMAR_PROVIDERS[provider](chunk.text, language, grammarConfig);
+      matches.forEach(m => {
+        const span = chunk.spans.find(s => m.offset >= s.chunkOffset && m.offset < s.chunkOffset + s.length);
+        if (!span) return;
+        const block = textBlocks[span.blockIndex];
+        const blockOffset = span.blockOffset + (m.offset - span.chunkOffset);
+        const issue = classifyGrammarMatch(m, block, blockOffset);
+        if (!issue) {
+          dictionaryHits++;
+          return;
+        }
+        issues.push({
+          ...issue,
+          block: { index: block.index, kind: block.kind || 'paragraph', text: block.text },
+        });
+      });
+    }
+
+    // Summary counts
+    const highCount = issues.filter(i => i.severity === 'high').length;
+    const mediumCount = issues.filter(i => i.severity === 'medium').length;
+    const lowCount = issues.filter(i => i.severity === 'low').length;
+
+    const status = highCount > 0 ? 'FAIL' : mediumCount > 0 ? 'WARNING' : 'PASS';
+
+    console.log(`Grammar check (${label}): ${issues.length} issues found (${highCount} high, ${mediumCount} medium, ${lowCount} low, ${dictionaryHits} dictionary terms ignored)`);
+
+    return {
+      issues,
+      summary: {
+        total: issues.length,
+        high: highCount,
+        medium: mediumCount,
+        low: lowCount,
+        dictionaryHits,
+        chunks: chunks.length,
+        status,
+      },
+      label,
+      language,
+      provider,
+    };
+  } catch (error) {
+    console.warn(`Grammar check failed for ${label} (non-fatal): ${error.message}`);
+    return {
+      issues: [],
+      summary: { total: 0, status: 'SKIPPED', error: error.message },
+      label,
+      language,
+      provider,
+    };
+  }
+}
+
+// ---------------------------------------------------------
+// FORMAT OUTPUT AS JSON
+// ---------------------------------------------------------
+// Checks whose summary.status === 'FAIL' fails the whole run (text, links
+// and alt text are judged from their counts in formatResultJSON). The
+// result's failedChecks is the one list batch and history summaries show
+const QA_GATED_CHECKS = [
+  'subjectPreheaderCheck', 'factCheck', 'linkHealth', 'utmCheck', 'tokenCheck', 'structureCheck',
+  'languageCheck', 'compatibilityCheck', 'mobileLayoutCheck', 'accessibilityCheck', 'imageAssetCheck',
+  'darkModeCheck', 'plainTextCheck', 'deliverabilityCheck',
+];
+
+function formatResultJSON(data) {
+  // Link data is absent in partial results from jobs still running
+  const linkReport = data.linkReport || [];
+  const missingDocLinks = data.missingDocLinks || [];
+  const failedChecks = [];
+  if (data.textComparison.summary.notFound > 0) failedChecks.push('textComparison');
+  if (missingDocLinks.length > 0 || linkReport.some(l => l.pairing === 'WRONG_DESTINATION')) failedChecks.push('linkComparison');
+  if (data.imageAltCheck && data.imageAltCheck.summary.missingAlt > 0) failedChecks.push('imageAltCheck');
+  failedChecks.push(...QA_GATED_CHECKS.filter(key => data[key] && data[key].summary.status === 'FAIL'));
+
+  return {
+    overallStatus: failedChecks.length > 0 ? "FAIL" : "PASS",
+    failedChecks,
+    textComparison: {
+      summary: data.textComparison.summary,
+      details: {
+        matched: data.textComparison.matched,
+        partialMatch: data.textComparison.partialMatch,
+        notFound: data.textComparison.notFound,
+        metadata: data.textComparison.metadata
+      }
+    },
+    subjectPreheaderCheck: data.subjectPreheaderCheck || null,
+    factCheck: data.factCheck || null,
+    tokenCheck: data.tokenCheck || null,
+    structureCheck: data.structureCheck || null,
+    languageCheck: data.languageCheck || null,
+    compatibilityCheck: data.compatibilityCheck || null,
+    accessibilityCheck: data.accessibilityCheck || null,
+    deliverabilityCheck: data.deliverabilityCheck || null,
+    linkComparison: {
+      summary: {
+        totalLinks: linkReport.length,
+        foundInEmail: linkReport.filter(l => l.foundInEmail === "YES").length,
+        missing: missingDocLinks.length,
+        wrongDestination: linkReport.filter(l => l.pairing === 'WRONG_DESTINATION').length,
+        textChanged: linkReport.filter(l => l.pairing === 'TEXT_CHANGED').length,
+        extraInEmail: (data.extraEmailLinks || []).filter(l => !l.isSystemLink).length
+      },
+      details: linkReport,
+      missingLinks: missingDocLinks,
+      extraLinks: data.extraEmailLinks || []
+    },
+    linkHealth: data.linkHealth || null,
+    utmCheck: data.utmCheck || null,
+    imageAltCheck: data.imageAltCheck || { results: [], summary: { totalImages: 0, issueCount: 0, status: 'PASS' } },
+    imageAssetCheck: data.imageAssetCheck || null,
+    plainTextCheck: data.plainTextCheck || null,
+    darkModeCheck: data.darkModeCheck || null,
+    grammarCheck: data.grammarCheck || null,
+    emailHtml: data.emailHtml || null,
+    emailResolvedUrl: data.emailResolvedUrl || null,
+    emailSource: data.emailSource || null,
+    document: data.document || null,
+    mobileLayoutCheck: data.mobileLayoutCheck || null
+  };
+}
+
+// ---------------------------------------------------------
+// UTM RULE SETS (for the campaign picker in the UI)
+// ---------------------------------------------------------
+app.get("/utm-rule-sets", (req, res) => {
+  res.json({
+    default: DEFAULT_UTM_RULE_SET,
+    ruleSets: Object.entries(utmRuleSets).map(([name, rules]) => ({ name, description: rules.description })),
+  });
+});
+
+// ---------------------------------------------------------
+// DELIVERABILITY RULES (for the rule toggles in the UI)
+// ---------------------------------------------------------
+app.get("/deliverability-rules", (req, res) => {
+  res.json({
+    rules: Object.entries(deliverabilityConfig.rules).map(([id, rule]) => ({
+      id,
+      title: rule.title,
+      category: rule.category,
+      enabled: rule.enabled !== false,
+    })),
+  });
+});
+
+// ---------------------------------------------------------
+// LANGUAGES (for the language picker in the UI)
+// ---------------------------------------------------------
+app.get("/languages", (req, res) => {
+  res.json({
+    languages: Object.values(LANGUAGES)
+      .filter(l => l.grammar)
+      .map(l => ({ code: l.grammar, name: languageName(l.tag) }))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+  });
+});
+
+// ---------------------------------------------------------
+// QA HISTORY (every run stored as JSON under a data directory)
+// ---------------------------------------------------------
+// <id>.json holds the inputs and the full result (emailHtml included);
+// index.jsonl has one summary line per run, loaded on first use for listing.
+// Only the newest QA_HISTORY_MAX_RUNS runs are kept
+const QA_HISTORY_DIR = process.env.QA_HISTORY_DIR ||
+  path.join(__dirname, 'data', 'history');
+const QA_HISTORY_INDEX = path.join(QA_HISTORY_DIR, 'index.jsonl');
+const QA_HISTORY_MAX_RUNS = parseInt(process.env.QA_HISTORY_MAX_RUNS || '', 10) || 500;
+const QA_RUN_ID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+function loadQaHistoryIndex() {
+  fs.mkdirSync(QA_HISTORY_DIR, { recursive: true });
+  if (!fs.existsSync(QA_HISTORY_INDEX)) return [];
+  // A line cut short by a crash mid-append is skipped, not fatal
+  const runs = fs.readFileSync(QA_HISTORY_INDEX, 'utf8').split('\n').filter(Boolean).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      return [];
+    }
+  });
+  console.log(`Loaded QA history: ${runs.length} runs in ${QA_HISTORY_DIR}`);
+  return runs;
+}
+
+// Oldest first, same order as index.jsonl; null until the store is first used
+let qaHistory = null;
+
+function qaHistoryRuns() {
+  if (!qaHistory) {
+    qaHistory = loadQaHistoryIndex();
+    pruneQaHistory();
+  }
+  return qaHistory;
+}
+
+// Drops the oldest runs past the cap: their files, then the index is rewritten
+function pruneQaHistory() {
+  const excess = qaHistory.length - QA_HISTORY_MAX_RUNS;
+  if (excess <= 0) return;
+  qaHistory.splice(0, excess)
+    .filter(run => QA_RUN_ID_REGEX.test(run.id))
+    .forEach(run => fs.rmSync(path.join(QA_HISTORY_DIR, `${run.id}.json`), { force: true }));
+  const tmpIndex = `${QA_HISTORY_INDEX}.tmp`;
+  fs.writeFileSync(tmpIndex, qaHistory.map(run => JSON.stringify(run) + '\n').join(''));
+  fs.renameSync(tmpIndex, QA_HISTORY_INDEX);
+  console.log(`QA history: removed ${excess} oldest runs (keeping ${QA_HISTORY_MAX_RUNS})`);
+}
+
+function hashFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+function qaHistoryEntry(run) {
+  const { result, inputs } = run;
+  return {
+    id: run.id,
+    createdAt: run.createdAt,
+    overallStatus: result.overallStatus,
+    document: { name: inputs.document.name, sha256: inputs.document.sha256 },
+    emailUrl: inputs.emailUrl,
+    resolvedUrl: inputs.resolvedUrl,
+    emailSource: inputs.emailSource,
+    batchId: inputs.batchId,
+    matchScore: result.textComparison.summary.overallScore,
+    ...summarizeQaResult(result),
+    permalink: result.permalink,
+  };
+}
+
+// Stamps runId + permalink on the result, then writes the run and its index line
+function recordQaRun(input, result, document) {
+  const id = crypto.randomUUID();
+  result.runId = id;
+  result.permalink = `/report/${id}`;
+
+  const run = {
+    id,
+    createdAt: new Date().toISOString(),
+    inputs: {
+      document,
+      emailUrl: input.emailUrl || null,
+      emailSource: result.emailSource ? { type: result.emailSource.type, name: result.emailSource.name } : null,
+      resolvedUrl: result.emailResolvedUrl,
+      subjectLine: input.subjectLine || null,
+      utmRuleSet: input.utmRuleSet || null,
+      language: input.language || null,
+      disabledDeliverabilityRules: input.disabledDeliverabilityRules || null,
+      plainTextUrl: input.plainTextUrl || null,
+      batchId: input.batchId || null,
+    },
+    result,
+  };
+
+  const runs = qaHistoryRuns();
+  fs.writeFileSync(path.join(QA_HISTORY_DIR, `${id}.json`), JSON.stringify(run));
+  const entry = qaHistoryEntry(run);
+  fs.appendFileSync(QA_HISTORY_INDEX, JSON.stringify(entry) + '\n');
+  runs.push(entry);
+  pruneQaHistory();
+  console.log(`Saved QA run ${id} to history`);
+}
+
+function readQaRun(id) {
+  if (!QA_RUN_ID_REGEX.test(id)) return null;
+  const file = path.join(QA_HISTORY_DIR, `${id}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+// Newest first; url matches the preview or resolved URL, q the doc or email name
+app.get("/history", (req, res) => {
+  // A repeated parameter arrives as an array
+  const repeated = ['url', 'status', 'q', 'batchId', 'limit', 'offset']
+    .find(name => req.query[name] !== undefined && typeof req.query[name] !== 'string');
+  if (repeated) return res.status(400).json({ error: "Invalid input", details: `Give ${repeated} only once` });
+
+  const { url, status, q, batchId } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  const offset = parseInt(req.query.offset, 10) || 0;
+  const contains = (value, needle) => !!value && value.toLowerCase().includes(needle.toLowerCase());
+
+  const runs = qaHistoryRuns().filter(run =>
+    (!url || contains(run.emailUrl, url) || contains(run.resolvedUrl, url)) &&
+    (!status || run.overallStatus === status.toUpperCase()) &&
+    (!q || contains(run.document.name, q) || contains(run.emailSource && run.emailSource.name, q)) &&
+    (!batchId || run.batchId === batchId)
+  ).reverse();
+
+  res.json({ total: runs.length, offset, limit, runs: runs.slice(offset, offset + limit) });
+});
+
+app.get("/history/:id", (req, res) => {
+  const run = readQaRun(req.params.id);
+  if (!run) return res.status(404).json({ error: "Run not found", details: `No stored QA run with id ${req.params.id}` });
+  res.json(run);
+});
+
+// Permalink: the UI itself, which loads /history/:id and renders the stored report
+app.get("/report/:id", (req, res) => {
+  res.sendFile(path.join(__dirname, '../frontend/index.html'));
+});
+
+// ---------------------------------------------------------
+// RUN COMPARISON (findings resolved / introduced between two stored runs)
+// ---------------------------------------------------------
+const COMPARE_CATEGORIES = ['text', 'links', 'images', 'grammar'];
+const HTML_DIFF_CONTEXT = 3;
+// LCS table cells (rows × cols) — past this the changed region is shown as one block
+const HTML_DIFF_MAX_CELLS = 4000000;
+const HTML_DIFF_MAX_LINES = 1500;
+
+const LINK_PAIRING_TITLES = {
+  MISSING: 'Doc link missing from the email',
+  WRONG_DESTINATION: 'Link goes to a different destination than the doc',
+  TEXT_CHANGED: 'Link text differs from the doc',
+};
+
+// One entry per finding, keyed so the same problem in two runs lines up
+function collectQaFindings(result) {
+  const findings = [];
+  const add = (category, key, title, detail, severity) => findings.push({ category, key, title, detail, severity });
+
+  const text = result.textComparison.details;
+  text.notFound.forEach(block => add('text', `block:${normalize(block.originalText)}`, 'Copy not found in the email', block.originalText, 'high'));
+  text.partialMatch.forEach(block => add('text', `block:${normalize(block.originalText)}`, `Copy only partly matches (${block.matchPercentage}%)`, block.originalText, 'medium'));
+  (result.subjectPreheaderCheck ? result.subjectPreheaderCheck.results : [])
+    .filter(meta => meta.severity && meta.severity !== 'none')
+    .forEach(meta => add('text', `meta:${meta.field}`, meta.message, meta.actual || '', meta.severity));
+
+  result.linkComparison.details.filter(link => link.pairing !== 'OK').forEach(link => {
+    add('links', `doc:${link.text}|${link.docHref}`, LINK_PAIRING_TITLES[link.pairing] || link.message, `${link.text} → ${link.docHref}`, link.severity);
+  });
+  (result.linkHealth ? result.linkHealth.results : []).forEach(link => {
+    link.issues.forEach(issue => add('links', `health:${link.href}:${issue.type}`, issue.message, link.href, issue.severity));
+  });
+
+  result.imageAltCheck.results.filter(img => img.status !== 'OK').forEach(img => {
+    add('images', `alt:${img.src}`, img.message, img.src, img.severity);
+  });
+  (result.imageAssetCheck ? result.imageAssetCheck.results : []).forEach(img => {
+    img.issues.forEach(issue => add('images', `asset:${img.src}:${issue.type}`, issue.message, img.src, issue.severity));
+  });
+
+  if (result.grammarCheck) {
+    ['document', 'email'].forEach(side => {
+      (result.grammarCheck[side].issues || []).forEach(issue => {
+        add('grammar', `${side}:${issue.ruleId}:${issue.errorText.toLowerCase()}`, issue.message, `${side === 'document' ? 'Doc' : 'Email'}: ${issue.context || issue.errorText}`, issue.severity);
+      });
+    });
+  }
+
+  // The same finding twice (a phrase misspelt in two places) must pair up one by one
+  const seen = new Map();
+  findings.forEach(f => {
+    const n = (seen.get(f.key) || 0) + 1;
+    seen.set(f.key, n);
+    if (n > 1) f.key += `#${n}`;
+  });
+  return findings;
+}
+
+function diffFindings(baseFindings, headFindings) {
+  const categories = Object.fromEntries(COMPARE_CATEGORIES.map(c => [c, { resolved: [], introduced: [], changed: [], unchanged: 0 }]));
+  const baseByKey = new Map(baseFindings.map(f => [`${f.category}|${f.key}`, f]));
+  const headByKey = new Map(headFindings.map(f => [`${f.category}|${f.key}`, f]));
+
+  baseByKey.forEach((f, key) => {
+    if (!headByKey.has(key)) categories[f.category].resolved.push(f);
+  });
+  headByKey.forEach((f, key) => {
+    const before = baseByKey.get(key);
+    if (!before) categories[f.category].introduced.push(f);
+    else if (before.title !== f.title || before.severity !== f.severity) categories[f.category].changed.push({ ...f, before: { title: before.title, severity: before.severity } });
+    else categories[f.category].unchanged++;
+  });
+  return categories;
+}
+
+// One tag per line, so minified templates still diff line by line
+const htmlLines = (html = '') =>
+  html.replace(/>\s*</g, '>\n<').split('\n').map(l => l.trim()).filter(Boolean);
+
+function diffEmailHtml(baseHtml, headHtml) {
+  const a = htmlLines(baseHtml);
+  const b = htmlLines(headHtml);
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middle = middleA.length * middleB.length > HTML_DIFF_MAX_CELLS
+    ? [...middleA.map(line => ({ type: 'delete', a: line })), ...middleB.map(line => ({ type: 'insert', b: line }))]
+    : diffSequences(middleA, middleB);
+
+  // Line numbers from both sides, then hunks with a few lines of context
+  const ops = [
+    ...a.slice(0, start).map(line => ({ type: 'equal', a: line })),
+    ...middle,
+    ...a.slice(endA).map(line => ({ type: 'equal', a: line })),
+  ];
+  let lineA = 0;
+  let lineB = 0;
+  const lines = ops.map(op => {
+    const line = { type: op.type, text: op.type === 'insert' ? op.b : op.a };
+    if (op.type !== 'insert') line.base = ++lineA;
+    if (op.type !== 'delete') line.head = ++lineB;
+    return line;
+  });
+
+  const hunks = [];
+  let shown = 0;
+  let truncated = false;
+  lines.forEach((line, i) => {
+    if (line.type === 'equal') return;
+    const from = Math.max(0, i - HTML_DIFF_CONTEXT);
+    const to = Math.min(lines.length, i + HTML_DIFF_CONTEXT + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && from <= last.to) last.to = to;
+    else hunks.push({ from, to });
+  });
+  const output = hunks.map(({ from, to }) => {
+    if (shown >= HTML_DIFF_MAX_LINES) {
+      truncated = true;
+      return null;
+    }
+    const hunkLines = lines.slice(from, Math.min(to, from + HTML_DIFF_MAX_LINES - shown));
+    if (hunkLines.length < to - from) truncated = true;
+    shown += hunkLines.length;
+    return { baseStart: hunkLines.find(l => l.base)?.base || null, headStart: hunkLines.find(l => l.head)?.head || null, lines: hunkLines };
+  }).filter(Boolean);
+
+  return {
+    identical: baseHtml === headHtml,
+    baseLines: a.length,
+    headLines: b.length,
+    added: lines.filter(l => l.type === 'insert').length,
+    removed: lines.filter(l => l.type === 'delete').length,
+    hunks: output,
+    truncated,
+  };
+}
+
+// Latest earlier run of the same email (URL) or, failing that, the same doc
+function findPreviousRun(head) {
+  const earlier = qaHistoryRuns().filter(run => run.id !== head.id && run.createdAt < head.createdAt);
+  const emailUrl = head.inputs.resolvedUrl || head.inputs.emailUrl;
+  const sameEmail = emailUrl && earlier.filter(run => (run.resolvedUrl || run.emailUrl) === emailUrl);
+  const candidates = sameEmail && sameEmail.length > 0
+    ? sameEmail
+    : earlier.filter(run => run.document.sha256 === head.inputs.document.sha256 || run.document.name === head.inputs.document.name);
+  return candidates.length > 0 ? readQaRun(candidates[candidates.length - 1].id) : null;
+}
+
+function compareQaRuns(base, head) {
+  const runInfo = run => ({
+    id: run.id,
+    createdAt: run.createdAt,
+    overallStatus: run.result.overallStatus,
+    document: run.inputs.document,
+    emailUrl: run.inputs.emailUrl,
+    emailSource: run.inputs.emailSource,
+    permalink: run.result.permalink,
+  });
+  const categories = diffFindings(collectQaFindings(base.result), collectQaFindings(head.result));
+  const baseChecks = summarizeQaResult(base.result).failedChecks;
+  const headChecks = summarizeQaResult(head.result).failedChecks;
+  const count = field => COMPARE_CATEGORIES.reduce((sum, c) => sum + (field === 'unchanged' ? categories[c].unchanged : categories[c][field].length), 0);
+  const baseEmail = base.inputs.resolvedUrl || base.inputs.emailUrl;
+
+  return {
+    base: runInfo(base),
+    head: runInfo(head),
+    sameEmail: !!baseEmail && baseEmail === (head.inputs.resolvedUrl || head.inputs.emailUrl),
+    sameDocument: base.inputs.document.sha256 === head.inputs.document.sha256,
+    summary: {
+      resolved: count('resolved'),
+      introduced: count('introduced'),
+      changed: count('changed'),
+      unchanged: count('unchanged'),
+      statusChange: base.result.overallStatus === head.result.overallStatus ? null : `${base.result.overallStatus} → ${head.result.overallStatus}`,
+    },
+    categories,
+    checks: {
+      fixed: baseChecks.filter(c => !headChecks.includes(c)),
+      broken: headChecks.filter(c => !baseChecks.includes(c)),
+    },
+    htmlDiff: diffEmailHtml(base.result.emailHtml || '', head.result.emailHtml || ''),
+  };
+}
+
+// head = the newer run; base defaults to the previous run of the same email / doc
+app.get("/compare", (req, res) => {
+  const { base: baseId, head: headId } = req.query;
+  const head = headId && readQaRun(headId);
+  if (!head) return res.status(404).json({ error: "Run not found", details: `No stored QA run with id ${headId || '(none given)'}` });
+
+  const base = baseId ? readQaRun(baseId) : findPreviousRun(head);
+  if (!base) {
+    return res.status(404).json({
+      error: "Run not found",
+      details: baseId ? `No stored QA run with id ${baseId}` : "No earlier run of this email or document to compare with",
+    });
+  }
+  if (base.id === head.id) return res.status(400).json({ error: "Invalid input", details: "Pick two different runs to compare" });
+
+  res.json(compareQaRuns(base, head));
+});
+
+// ---------------------------------------------------------
+// QA PIPELINE (shared by POST /qa and the async job endpoints)
+// ---------------------------------------------------------
+// Stages reported to job listeners, in the order they run
+const QA_STAGES = [
+  { id: 'doc', label: 'Document parsed' },
+  { id: 'email', label: 'Email fetched' },
+  { id: 'content', label: 'Copy, structure and facts compared' },
+  { id: 'links', label: 'Links compared' },
+  { id: 'plainText', label: 'Text version checked' },
+  { id: 'linkHealth', label: 'Links checked' },
+  { id: 'images', label: 'Images checked' },
+  { id: 'html', label: 'Accessibility, deliverability and rendering checked' },
+  { id: 'grammar', label: 'Grammar done' },
+];
+
+const qaUpload = upload.fields([
+  { name: "file", maxCount: 1 },
+  { name: "emailFile", maxCount: 1 },
+]);
+
+function readQaInput(req) {
+  const { emailUrl, emailHtml, subjectLine, utmRuleSet, language, disabledDeliverabilityRules, plainText, plainTextUrl } = req.body;
+  return {
+    file: req.files && req.files.file ? req.files.file[0] : null,
+    emailFile: req.files && req.files.emailFile ? req.files.emailFile[0] : null,
+    emailUrl,
+    emailHtml,
+    subjectLine,
+    utmRuleSet,
+    language,
+    disabledDeliverabilityRules,
+    plainText,
+    plainTextUrl,
+  };
+}
+
+function hasQaInput({ file, emailUrl, emailFile, emailHtml }) {
+  return !!file && !!(emailUrl || emailFile || (emailHtml && emailHtml.trim()));
+}
+
+const MISSING_QA_INPUT = "Upload the source document and give an email URL, an .html/.eml file or pasted HTML";
+
+function cleanupUploads({ file, emailFile }) {
+  [file, emailFile].forEach(uploaded => {
+    if (!uploaded || !uploaded.path) return;
+    try {
+      if (fs.existsSync(uploaded.path)) {
+        fs.unlinkSync(uploaded.path);
+        console.log(`Cleaned up uploaded file: ${uploaded.originalname}`);
+      }
+    } catch (cleanupErr) {
+      console.warn(`File cleanup failed: ${cleanupErr.message}`);
+    }
+  });
+}
+
+/**
+ * Run every check for one document + email pair.
+ * onProgress({ stage, status: 'running' | 'done', detail, data }) fires as each
+ * stage starts and finishes; data holds everything collected so far, in the
+ * shape formatResultJSON expects. Uploaded files are removed when it settles.
+ */
+async function runQa(input, onProgress = () => {}) {
+  const { file, emailFile, emailUrl, emailHtml: pastedHtml, subjectLine, utmRuleSet, language, disabledDeliverabilityRules, plainText, plainTextUrl } = input;
+  const collected = {};
+  const begin = stage => onProgress({ stage, status: 'running' });
+  const finish = (stage, detail, data) => {
+    Object.assign(collected, data);
+    onProgress({ stage, status: 'done', detail, data: collected });
+  };
+
+  try {
+    console.log(`Processing QA for ${emailFile ? `file: ${emailFile.originalname}` : pastedHtml ? 'pasted HTML' : `URL: ${emailUrl}`}`);
+    console.log(`File: ${file.originalname}`);
+
+    begin('doc');
+    const docHash = hashFile(file.path);
+    const { docText, docLinks, structure: docStructure, headings: docHeadings, excluded: docExcluded, format: docFormat, formatLabel: docFormatLabel } = await extractDoc(file.path, file.originalname);
+    console.log(`Extracted ${docLinks.length} links and ${docHeadings.length} headings from document`);
+    finish('doc', `${docFormatLabel}, ${docLinks.length} links`, {
+      document: {
+        name: file.originalname,
+        format: docFormat,
+        formatLabel: docFormatLabel,
+        headings: docHeadings,
+        excluded: docExcluded,
+      },
+    });
+
+    begin('email');
+    const emailContent = await loadEmailSource({ emailUrl, emailHtml: pastedHtml, emailFile });
+    const { text: emailText, html: emailHtml, links: emailLinks, images: emailImages, emailParagraphs, emailBlocks, emailMeta, resolvedUrl } = emailContent;
+    console.log(`Extracted ${emailLinks.length} links, ${emailImages.length} images, and ${emailParagraphs.length} paragraphs from email`);
+    if (resolvedUrl) console.log(`Resolved URL: ${resolvedUrl}`);
+    finish('email', `${emailLinks.length} links, ${emailImages.length} images`, {
+      emailHtml,
+      emailResolvedUrl: resolvedUrl,
+      emailSource: {
+        ...emailContent.source,
+        from: emailContent.from || null,
+        to: emailContent.to || null,
+        date: emailContent.date || null,
+        headers: emailContent.headers || null,
+        plainText: emailContent.plainText || null,
+      },
+    });
+
+    begin('content');
+    // Use new detailed comparison with paragraph-level matching
+    const textComparison = compareTextDetailed(docText, emailText, emailParagraphs);
+
+    // Language of each side (auto-detected unless the request names one)
+    const languageCheck = checkLanguages(docText, emailText, language);
+    console.log(`Language check: doc ${languageCheck.document.code || 'unknown'}, email ${languageCheck.email.code || 'unknown'}${languageCheck.requested ? `, requested ${languageCheck.requested}` : ''}`);
+
+    // Section order, headings, lists and duplicated blocks
+    const structureCheck = checkStructure(docStructure, emailBlocks, docText, emailImages);
+    console.log(`Structure check: ${structureCheck.summary.mapped}/${structureCheck.summary.docBlocks} blocks mapped, ${structureCheck.summary.issueCount} issues`);
+
+    // Subject line + preheader against the doc
+    const subjectPreheaderCheck = checkSubjectPreheader(textComparison.metadata, emailMeta, subjectLine);
+    console.log(`Subject/preheader check: ${subjectPreheaderCheck.summary.status}`);
+
+    // Prices, percentages, dates, phone numbers and legal marks
+    const factCheck = checkFactConsistency(docText, emailText, textComparison, subjectPreheaderCheck);
+    console.log(`Fact check: ${factCheck.summary.totalValues} values, ${factCheck.summary.issueCount} issues`);
+
+    // Leftover Marketo tokens / merge tags and tokens that rendered empty
+    const tokenCheck = checkUnrenderedTokens(emailHtml, emailMeta, docText);
+    console.log(`Token check: ${tokenCheck.summary.unrendered} unrendered, ${tokenCheck.summary.issueCount} issues`);
+    finish('content', `${textComparison.summary.overallScore}% match`, {
+      textComparison,
+      languageCheck,
+      structureCheck,
+      subjectPreheaderCheck,
+      factCheck,
+      tokenCheck,
+    });
+
+    begin('links');
+    // Unwrap / follow click-tracking links so they compare on their real destination
+    const resolvedEmailLinks = await resolveEmailLinks(emailLinks);
+
+    const { report: linkReport, missing: missingDocLinks, extra: extraEmailLinks } = compareLinks(
+      docLinks,
+      resolvedEmailLinks
+    );
+
+    // UTM rules for the selected campaign rule set + doc-vs-email UTM diff
+    const utmCheck = checkUtmGovernance(linkReport, resolvedEmailLinks, utmRuleSet);
+    if (utmCheck) console.log(`UTM check (${utmCheck.ruleSet}): ${utmCheck.summary.status}`);
+    finish('links', `${linkReport.length} doc links, ${missingDocLinks.length} missing`, {
+      linkReport,
+      missingDocLinks,
+      extraEmailLinks,
+      utmCheck,
+    });
+
+    begin('plainText');
+    // Text version: doc comparison, HTML blocks and links it lacks, template junk
+    let plainTextCheck = null;
+    try {
+      const plainTextSource = await loadPlainTextSource({ plainText, plainTextUrl, emailContent });
+      if (plainTextSource) {
+        plainTextCheck = await checkPlainTextVersion(plainTextSource, { docText, emailParagraphs, emailLinks: resolvedEmailLinks });
+        console.log(`Plain-text check (${plainTextSource.source.type}): ${plainTextCheck.summary.status}`);
+      }
+    } catch (plainErr) {
+      console.warn(`Text version could not be loaded (non-fatal): ${plainErr.message}`);
+      plainTextCheck = {
+        source: { type: 'url', name: plainTextUrl },
+        available: false,
+        message: `Could not fetch the text version: ${plainErr.message}`,
+        summary: { issueCount: 1, status: 'WARNING' },
+      };
+    }
+    finish('plainText', plainTextCheck ? plainTextCheck.summary.status : 'No text version', { plainTextCheck });
+
+    begin('linkHealth');
+    // Request every link in the email — status, redirects, HTTPS, anchors (non-fatal)
+    let linkHealth = null;
+    try {
+      linkHealth = await checkLinkHealth(resolvedEmailLinks, resolvedUrl || emailUrl || null);
+      console.log(`Link health: ${linkHealth.summary.totalLinks} links, ${linkHealth.summary.broken} broken`);
+    } catch (linkErr) {
+      console.warn(`Link health check failed (non-fatal): ${linkErr.message}`);
+    }
+    finish('linkHealth', linkHealth ? `${linkHealth.summary.totalLinks} links, ${linkHealth.summary.broken} broken` : 'Check failed', { linkHealth });
+
+    begin('images');
+    // Check image alt tags
+    const imageAltCheck = checkImageAltTags(emailImages);
+    console.log(`Image alt check: ${imageAltCheck.summary.totalImages} images, ${imageAltCheck.summary.issueCount} issues`);
+
+    // Fetch every image — status, HTTPS, weight, dimensions, blank GIF frames (non-fatal)
+    let imageAssetCheck = null;
+    try {
+      imageAssetCheck = await checkImageAssets(emailImages, resolvedUrl || emailUrl || null);
+      console.log(`Image assets: ${imageAssetCheck.summary.totalImages} images, ${imageAssetCheck.summary.totalWeight}, ${imageAssetCheck.summary.broken} broken`);
+    } catch (assetErr) {
+      console.warn(`Image asset check failed (non-fatal): ${assetErr.message}`);
+    }
+    finish('images', `${imageAltCheck.summary.totalImages} images${imageAssetCheck ? `, ${imageAssetCheck.summary.totalWeight}` : ''}`, {
+      imageAltCheck,
+      imageAssetCheck,
+    });
+
+    begin('html');
+    // WCAG audit: language, tables, headings, contrast, link text, text in images
+    const accessibilityCheck = checkAccessibility(emailHtml, { imageAltCheck, emailLanguage: languageCheck.email });
+    console.log(`Accessibility audit: ${accessibilityCheck.summary.issueCount} issues (${accessibilityCheck.summary.high} high)`);
+
+    // Unsubscribe, postal address, privacy link and spam signals
+    const deliverabilityCheck = checkDeliverability({
+      emailHtml,
+      emailText,
+      emailLinks,
+      emailImages,
+      subject: subjectLine || emailMeta.subject || '',
+      headers: emailContent.headers || null,
+    }, (disabledDeliverabilityRules || '').split(',').map(r => r.trim()).filter(Boolean));
+    console.log(`Deliverability: ${deliverabilityCheck.summary.issueCount} issues, spam score ${deliverabilityCheck.spamScore}`);
+
+    // CSS / HTML support in Outlook desktop, Gmail, Apple Mail and Yahoo
+    const compatibilityCheck = checkClientCompatibility(emailHtml);
+    console.log(`Client compatibility: ${compatibilityCheck.summary.total} findings (${compatibilityCheck.summary.high} high)`);
+
+    // Mobile layout from the HTML we already have — wrapped so it NEVER crashes the whole QA
+    let mobileLayoutCheck = null;
+    try {
+      mobileLayoutCheck = analyzeMobileLayout(emailHtml);
+      console.log(`Mobile layout: score ${mobileLayoutCheck.score}, ${mobileLayoutCheck.summary.issueCount} findings`);
+    } catch (layoutErr) {
+      console.warn(`Mobile layout analysis failed (non-fatal): ${layoutErr.message}`);
+    }
+
+    // Colour inversion in dark-mode clients, from inline colours and fetched images (non-fatal)
+    let darkModeCheck = null;
+    try {
+      darkModeCheck = checkDarkMode(emailHtml, imageAssetCheck);
+      console.log(`Dark mode: ${darkModeCheck.summary.issueCount} issues (${darkModeCheck.summary.darkImages} dark images)`);
+    } catch (darkErr) {
+      console.warn(`Dark mode check failed (non-fatal): ${darkErr.message}`);
+    }
+    finish('html', `${accessibilityCheck.summary.issueCount + deliverabilityCheck.summary.issueCount} issues`, {
+      accessibilityCheck,
+      deliverabilityCheck,
+      compatibilityCheck,
+      mobileLayoutCheck,
+      darkModeCheck,
+    });
+
+    begin('grammar');
+    // Grammar check — run for both doc and email text (non-fatal)
+    // Checked per doc block / email paragraph so issues point back to them
+    let grammarCheck = null;
+    try {
+      const docGrammarBlocks = docStructure.map(b => ({ text: b.text, kind: b.type }));
+      const emailGrammarBlocks = emailBlocks.length > 0
+        ? emailBlocks.map(b => ({ text: b.text, kind: b.headingLike ? 'heading' : b.listLike ? 'list-item' : 'paragraph' }))
+        : emailParagraphs.map(text => ({ text, kind: 'paragraph' }));
+      const [docGrammar, emailGrammar] = await Promise.all([
+        checkGrammar(docGrammarBlocks, 'Document', languageCheck.document.grammarLanguage),
+        checkGrammar(emailGrammarBlocks, 'Email', languageCheck.email.grammarLanguage),
+      ]);
+      grammarCheck = {
+        document: docGrammar,
+        email: emailGrammar,
+        totalIssues: docGrammar.summary.total + emailGrammar.summary.total,
+        provider: grammarConfig.provider,
+        server: grammarConfig.serverUrl,
+      };
+      console.log(`Grammar check complete: ${grammarCheck.totalIssues} total issues`);
+    } catch (grammarErr) {
+      console.warn(`Grammar check failed (non-fatal): ${grammarErr.message}`);
+      grammarCheck = null;
+    }
+    finish('grammar', grammarCheck ? `${grammarCheck.totalIssues} issues` : 'Check failed', { grammarCheck });
+
+    const result = formatResultJSON(collected);
+    console.log(`QA completed. Overall status: ${result.overallStatus}`);
+    try {
+      recordQaRun(input, result, { name: file.originalname, sha256: docHash, size: file.size || fs.statSync(file.path).size });
+    } catch (historyErr) {
+      console.warn(`Could not save QA run to history (non-fatal): ${historyErr.message}`);
+    }
+    return result;
+  } finally {
+    // Always clean up uploaded files, even on error
+    cleanupUploads(input);
+  }
+}
+
+// ---------------------------------------------------------
+// MAIN ENDPOINT
+// ---------------------------------------------------------
+app.post("/qa", qaUpload, async (req, res) => {
+  const input = readQaInput(req);
+  if (!hasQaInput(input)) {
+    cleanupUploads(input);
+    return res.status(400).json({ error: "Missing input", details: MISSING_QA_INPUT });
+  }
 
-    // Extract a readable filename from src
-    let srcLabel = src;
-    try {
-      const urlObj = new URL(src);
-      srcLabel = urlObj.pathname.split('/').pop() || src;
-    } catch {
-      srcLabel = src.split('/').pop() || src;
+  try {
+    resolveUtmRuleSetName(input.utmRuleSet);
+  } catch (err) {
+    cleanupUploads(input);
+    return res.status(400).json({ error: "Invalid input", details: err.message });
+  }
+  const queueFull = queueFullError();
+  if (queueFull) {
+    cleanupUploads(input);
+    return res.status(429).json(queueFull);
+  }
+
+  try {
+    res.json(await runQueued(() => runQa(input)));
+  } catch (err) {
+    if (err instanceof InputError) {
+      console.warn(`QA input rejected: ${err.message}`);
+      return res.status(400).json({ error: "Invalid input", details: err.message });
     }
-    // Truncate long src labels
-    if (srcLabel.length > 60) srcLabel = srcLabel.substring(0, 57) + '...';
+    console.error("QA Processing Error:", err.message);
+    console.error("Stack trace:", err.stack);
+    res.status(500).json({ error: "QA processing failed", details: err.message });
+  }
+});
 
-    results.push({
-      index: index + 1,
-      src: src,
-      srcLabel,
-      alt: img.alt,
-      altDisplay: alt || (img.alt === '' ? '(empty)' : '(missing)'),
-      status,
-      severity,
-      message,
-      isDecorative,
+// ---------------------------------------------------------
+// ASYNC QA JOBS (POST → id, GET → status/result, SSE → stage progress)
+// ---------------------------------------------------------
+// Jobs live in memory only; finished ones are dropped after the TTL
+const QA_JOB_TTL_MS = parseInt(process.env.QA_JOB_TTL_MS || '', 10) || 30 * 60 * 1000;
+const QA_JOB_HEARTBEAT_MS = 15000;
+const QA_JOB_CONCURRENCY = parseInt(process.env.QA_JOB_CONCURRENCY || '', 10) || 2;
+const QA_JOB_MAX_QUEUED = parseInt(process.env.QA_JOB_MAX_QUEUED || '', 10) || 50;
+const qaJobs = new Map();
+
+// Same worker-slot idea as mapWithConcurrency, across requests: at most
+// QA_JOB_CONCURRENCY runs at once, the rest wait in arrival order
+const qaRunQueue = [];
+let activeQaRuns = 0;
+
+function drainQaRunQueue() {
+  while (activeQaRuns < QA_JOB_CONCURRENCY && qaRunQueue.length > 0) {
+    const start = qaRunQueue.shift();
+    activeQaRuns++;
+    start().finally(() => {
+      activeQaRuns--;
+      drainQaRunQueue();
     });
+  }
+}
+
+function runQueued(task) {
+  return new Promise((resolve, reject) => {
+    qaRunQueue.push(() => task().then(resolve, reject));
+    drainQaRunQueue();
   });
+}
 
-  const totalImages = images.length;
-  const issueCount = missingCount + emptyCount + genericCount;
+// Batch emails not handed to runQueued yet — they wait too, files and all
+let pendingBatchRuns = 0;
 
+// The 429 body when `count` more runs would push the wait past QA_JOB_MAX_QUEUED.
+// An empty queue takes any batch, or one over the limit could never start
+function queueFullError(count = 1) {
+  const waiting = qaRunQueue.length + pendingBatchRuns;
+  if (waiting === 0 || waiting + count <= QA_JOB_MAX_QUEUED) return null;
+  return { error: "Too many QA jobs", details: `${waiting} runs are already waiting — try again shortly` };
+}
+
+function qaJobView(job) {
   return {
-    results,
-    summary: {
-      totalImages,
-      missingAlt: missingCount,
-      emptyAlt: emptyCount,
-      genericAlt: genericCount,
-      validAlt: validCount,
-      issueCount,
-      status: issueCount === 0 ? 'PASS' : (missingCount > 0 ? 'FAIL' : 'WARNING'),
-    },
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+    stages: job.stages,
+    // Final result once done; until then, whatever the finished stages produced
+    result: job.result,
+    partialResult: job.result ? null : job.partialResult,
+    error: job.error,
   };
 }
 
-// ---------------------------------------------------------
-// RESPONSIVE CHECK (using free screenshot API)
-// ---------------------------------------------------------
-async function checkResponsive(url) {
-  // We'll use a simple heuristic based on viewport meta tag
-  // and media queries presence
-  try {
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-      },
-      timeout: 20000,
-    });
+function sendJobEvent(res, event, payload) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+}
 
-    const html = response.data;
-    const $ = cheerio.load(html);
+function publishJobEvent(job, event, payload) {
+  job.listeners.forEach(res => sendJobEvent(res, event, payload));
+}
 
-    // Check for viewport meta tag
-    const viewportMeta = $('meta[name="viewport"]').attr('content') || '';
-    const hasViewport = viewportMeta.includes('width=device-width') || viewportMeta.includes('initial-scale');
+function closeJobListeners(job) {
+  job.listeners.forEach(res => res.end());
+  job.listeners.clear();
+}
 
-    // Check for responsive patterns in style
-    const hasMediaQueries = html.includes('@media') ||
-      html.includes('max-width') ||
-      html.includes('min-width');
+function startQaJob(input) {
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    stages: QA_STAGES.map(s => ({ ...s, status: 'pending', detail: null })),
+    result: null,
+    partialResult: null,
+    error: null,
+    listeners: new Set(),
+  };
+  qaJobs.set(job.id, job);
 
-    // Check for responsive table patterns (common in emails)
-    const hasResponsiveTables = html.includes('100%') ||
-      html.includes('max-width:');
+  const onProgress = ({ stage, status, detail, data }) => {
+    const entry = job.stages.find(s => s.id === stage);
+    entry.status = status;
+    if (detail) entry.detail = detail;
+    // Nothing to render until the copy comparison exists; the pass/fail
+    // verdict waits for every check, so a running report never shows PASS
+    if (data && data.textComparison) job.partialResult = { ...formatResultJSON(data), overallStatus: null, failedChecks: null, provisional: true };
+    publishJobEvent(job, 'stage', { stage: entry, stages: job.stages, partialResult: status === 'done' ? job.partialResult : null });
+  };
 
-    let responsive = "Unable to determine";
-    if (hasViewport && (hasMediaQueries || hasResponsiveTables)) {
-      responsive = "YES – Likely responsive (viewport & media queries detected)";
-    } else if (hasViewport) {
-      responsive = "MAYBE – Has viewport tag but limited responsive CSS";
-    } else {
-      responsive = "NO – No responsive indicators found";
-    }
+  // Always resolves — batch runs wait on it without handling job errors
+  job.settled = runQueued(() => {
+    job.status = 'running';
+    return runQa(input, onProgress);
+  })
+    .then(result => {
+      job.status = 'done';
+      job.result = result;
+      job.partialResult = null;
+      job.finishedAt = new Date().toISOString();
+      publishJobEvent(job, 'complete', { result });
+    })
+    .catch(err => {
+      const invalid = err instanceof InputError;
+      if (invalid) console.warn(`QA job ${job.id} input rejected: ${err.message}`);
+      else console.error(`QA job ${job.id} failed:`, err.stack);
+      job.status = 'failed';
+      job.error = { error: invalid ? "Invalid input" : "QA processing failed", details: err.message };
+      job.finishedAt = new Date().toISOString();
+      job.stages.filter(s => s.status === 'running').forEach(s => { s.status = 'failed'; });
+      publishJobEvent(job, 'failed', { ...job.error, stages: job.stages });
+    })
+    .finally(() => closeJobListeners(job));
 
-    return {
-      responsive,
-      details: {
-        hasViewportTag: hasViewport,
-        hasMediaQueries,
-        hasResponsiveTables,
-        viewportContent: viewportMeta || 'Not found'
-      }
-    };
-  } catch (error) {
-    console.error("Error checking responsiveness:", error.message);
-    return {
-      responsive: "Unable to check",
-      details: { error: error.message }
-    };
-  }
+  return job;
 }
 
-// ---------------------------------------------------------
-// GRAMMAR CHECK (using free LanguageTool public API)
-// No API key needed! Supports English grammar, spelling,
-// punctuation, and style checks.
-// ---------------------------------------------------------
-async function checkGrammar(text, label = 'Text') {
+app.post("/qa/jobs", qaUpload, (req, res) => {
+  const input = readQaInput(req);
+  if (!hasQaInput(input)) {
+    cleanupUploads(input);
+    return res.status(400).json({ error: "Missing input", details: MISSING_QA_INPUT });
+  }
   try {
-    if (!text || text.trim().length < 20) {
-      return { issues: [], summary: { total: 0, status: 'PASS' }, label };
-    }
+    resolveUtmRuleSetName(input.utmRuleSet);
+  } catch (err) {
+    cleanupUploads(input);
+    return res.status(400).json({ error: "Invalid input", details: err.message });
+  }
+  const queueFull = queueFullError();
+  if (queueFull) {
+    cleanupUploads(input);
+    return res.status(429).json(queueFull);
+  }
 
-    // LanguageTool free API has a ~20KB text limit; truncate safely
-    const cleanText = text
-      .replace(/<[^>]+>/g, ' ')   // strip HTML tags
-      .replace(/\s+/g, ' ')       // collapse whitespace
-      .trim()
-      .substring(0, 10000);       // stay well within limits
+  const job = startQaJob(input);
+  console.log(`QA job ${job.id} started`);
+  res.status(202).json({
+    id: job.id,
+    status: job.status,
+    statusUrl: `/qa/jobs/${job.id}`,
+    eventsUrl: `/qa/jobs/${job.id}/events`,
+  });
+});
 
-    console.log(`Grammar check (${label}): sending ${cleanText.length} chars to LanguageTool...`);
+app.get("/qa/jobs/:id", (req, res) => {
+  const job = qaJobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found", details: "Unknown job id, or the job has expired" });
+  res.json(qaJobView(job));
+});
 
-    const params = new URLSearchParams();
-    params.append('text', cleanText);
-    params.append('language', 'en-US');
-    params.append('enabledOnly', 'false');
+// Server-Sent Events: a snapshot first (so late subscribers catch up), then one
+// event per stage change, then complete/failed — the stream ends with the job
+app.get("/qa/jobs/:id/events", (req, res) => {
+  const job = qaJobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found", details: "Unknown job id, or the job has expired" });
 
-    const response = await axios.post(
-      'https://api.languagetool.org/v2/check',
-      params.toString(),
-      {
-        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        timeout: 20000,
-      }
-    );
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  sendJobEvent(res, 'snapshot', qaJobView(job));
 
-    const matches = response.data.matches || [];
+  if (job.status === 'done') {
+    sendJobEvent(res, 'complete', { result: job.result });
+    return res.end();
+  }
+  if (job.status === 'failed') {
+    sendJobEvent(res, 'failed', { ...job.error, stages: job.stages });
+    return res.end();
+  }
 
-    // Categorize and format issues
-    const issues = matches.map(m => {
-      const category = m.rule?.category?.id || 'UNKNOWN';
-      const context = m.context || {};
-      const contextText = context.text || '';
-      const offset = context.offset || 0;
-      const length = context.length || 0;
-      const errorText = contextText.substring(offset, offset + length);
+  job.listeners.add(res);
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), QA_JOB_HEARTBEAT_MS);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    job.listeners.delete(res);
+  });
+});
 
-      // Determine severity
-      let severity = 'info';
-      let isProperNoun = false;
+// ---------------------------------------------------------
+// CAMPAIGN BATCH (zip of docs + manifest or auto-pairing → one QA job per email)
+// ---------------------------------------------------------
+// Archive layout: files under a docs/ or emails/ folder are taken as such;
+// elsewhere .eml/.html are emails and every other supported file is a doc.
+// A manifest.csv / manifest.json (in the zip or uploaded alongside) maps each
+// doc to a preview URL or an email file; without one, docs and emails are
+// paired by filename, then by subject line.
+const QA_BATCH_CONCURRENCY = parseInt(process.env.QA_BATCH_CONCURRENCY || '', 10) || 2;
+const QA_BATCH_MAX_EMAILS = 25;
+const QA_BATCH_MAX_ENTRIES = 200;
+const QA_BATCH_MAX_ENTRY_BYTES = 50 * 1024 * 1024;
+const QA_BATCH_MAX_TOTAL_BYTES = 200 * 1024 * 1024;
+const BATCH_DOC_EXTENSIONS = ['.docx', '.odt', '.pdf', '.md', '.markdown', '.txt', '.html', '.htm', '.zip'];
+const BATCH_EMAIL_EXTENSIONS = ['.html', '.htm', ...EML_EXTENSIONS];
+const BATCH_DOC_FOLDER_REGEX = /^(docs?|documents?|copy)$/i;
+const BATCH_EMAIL_FOLDER_REGEX = /^(emails?|html|previews?)$/i;
+// Words people tack onto one side of a pair ("welcome-copy.docx" / "welcome-email.html")
+const BATCH_NAME_NOISE_REGEX = /[-_ .]*\b(copy|doc|docs|brief|email|html|final|draft|v\d+)$/i;
 
-      if (category === 'TYPOS' || category === 'GRAMMAR') {
-        severity = 'high';
+const qaBatches = new Map();
 
-        // Downgrade proper nouns / brand names:
-        // If the word starts with a capital letter and is flagged as TYPOS,
-        // it's likely a company name, person name, or brand (e.g. "Grazitti").
-        if (category === 'TYPOS' && errorText && /^[A-Z]/.test(errorText)) {
-          severity = 'low';
-          isProperNoun = true;
-        }
-      }
-      else if (category === 'PUNCTUATION' || category === 'CASING') severity = 'medium';
-      else if (category === 'STYLE' || category === 'REDUNDANCY') severity = 'low';
-      else severity = 'medium';
+// Header row + rows, with "quoted, fields" and doubled "" quotes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(v => v.trim())) rows.push(row);
+      row = [];
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.some(v => v.trim())) rows.push(row);
+  return rows;
+}
 
-      return {
-        message: isProperNoun
-          ? `${m.message || 'Issue detected'} (likely a proper noun / brand name)`
-          : (m.message || 'Issue detected'),
-        shortMessage: m.shortMessage || '',
-        category: m.rule?.category?.name || category,
-        categoryId: category,
-        severity,
-        isProperNoun,
-        context: contextText,
-        errorText,
-        offset: m.offset,
-        length: m.length,
-        replacements: (m.replacements || []).slice(0, 3).map(r => r.value),
-        ruleId: m.rule?.id || '',
-        ruleDescription: m.rule?.description || '',
-      };
-    });
+// Manifest columns, with the spellings people actually use
+const MANIFEST_COLUMNS = {
+  doc: ['doc', 'document', 'docfile', 'file'],
+  emailUrl: ['emailurl', 'url', 'previewurl', 'preview'],
+  emailFile: ['emailfile', 'email', 'html'],
+  subjectLine: ['subjectline', 'subject'],
+  plainTextUrl: ['plaintexturl', 'texturl'],
+  name: ['name', 'label', 'title'],
+};
 
-    // Summary counts
-    const highCount = issues.filter(i => i.severity === 'high').length;
-    const mediumCount = issues.filter(i => i.severity === 'medium').length;
-    const lowCount = issues.filter(i => i.severity === 'low').length;
+function normalizeManifestRow(raw) {
+  const byKey = Object.fromEntries(Object.entries(raw).map(([k, v]) => [k.toLowerCase().replace(/[^a-z]/g, ''), typeof v === 'string' ? v.trim() : v]));
+  const row = {};
+  Object.entries(MANIFEST_COLUMNS).forEach(([field, aliases]) => {
+    const key = aliases.find(a => byKey[a]);
+    row[field] = key ? String(byKey[key]) : '';
+  });
+  // A URL in the "email" column is a preview URL, not a file
+  if (row.emailFile && /^https?:\/\//i.test(row.emailFile) && !row.emailUrl) {
+    row.emailUrl = row.emailFile;
+    row.emailFile = '';
+  }
+  return row;
+}
 
-    const status = highCount > 0 ? 'FAIL' : mediumCount > 0 ? 'WARNING' : 'PASS';
+function parseBatchManifest(text, name) {
+  let rows;
+  if (/\.json$/i.test(name) || /^\s*[[{]/.test(text)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      throw new InputError(`Manifest "${name}" is not valid JSON (${err.message})`);
+    }
+    rows = Array.isArray(parsed) ? parsed : parsed.emails;
+    if (!Array.isArray(rows)) throw new InputError(`Manifest "${name}" must be an array of emails or { "emails": [...] }`);
+  } else {
+    const [header, ...lines] = parseCsv(text);
+    if (!header) throw new InputError(`Manifest "${name}" is empty`);
+    rows = lines.map(line => Object.fromEntries(header.map((h, i) => [h, line[i] || ''])));
+  }
 
-    console.log(`Grammar check (${label}): ${issues.length} issues found (${highCount} high, ${mediumCount} medium, ${lowCount} low)`);
+  const entries = rows.map(normalizeManifestRow);
+  entries.forEach((row, i) => {
+    if (!row.doc) throw new InputError(`Manifest "${name}" row ${i + 1} has no doc column`);
+    if (!row.emailUrl && !row.emailFile) throw new InputError(`Manifest "${name}" row ${i + 1} (${row.doc}) needs an email URL or email file`);
+  });
+  return entries;
+}
 
-    return {
-      issues,
-      summary: {
-        total: issues.length,
-        high: highCount,
-        medium: mediumCount,
-        low: lowCount,
-        status,
-      },
-      label,
-    };
-  } catch (error) {
-    console.warn(`Grammar check failed for ${label} (non-fatal): ${error.message}`);
-    return {
-      issues: [],
-      summary: { total: 0, status: 'SKIPPED', error: error.message },
-      label,
-    };
+// Write a zip entry where multer would have put an upload, so runQa can read and clean it up
+function writeBatchUpload(file) {
+  const uploadPath = path.join('uploads', crypto.randomBytes(16).toString('hex'));
+  fs.writeFileSync(uploadPath, file.buffer);
+  return { path: uploadPath, originalname: file.name };
+}
+
+async function readBatchArchive(buffer) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (err) {
+    throw new InputError(`The campaign archive is not a readable zip file (${err.message})`);
+  }
+  const files = Object.values(zip.files).filter(f => !f.dir && !f.name.startsWith('__MACOSX') && !path.basename(f.name).startsWith('.'));
+  if (files.length > QA_BATCH_MAX_ENTRIES) {
+    throw new InputError(`The campaign archive contains ${files.length} files — the limit is ${QA_BATCH_MAX_ENTRIES}`);
   }
+  const limits = { maxEntryBytes: QA_BATCH_MAX_ENTRY_BYTES, maxTotalBytes: QA_BATCH_MAX_TOTAL_BYTES, label: 'the campaign archive' };
+  checkZipSizes(buffer, limits);
+
+  const docs = [];
+  const emails = [];
+  const ignored = [];
+  let manifest = null;
+  let remaining = limits.maxTotalBytes;
+  for (const entry of files) {
+    const ext = path.extname(entry.name).toLowerCase();
+    const folders = entry.name.split('/').slice(0, -1);
+    const file = { name: entry.name, buffer: await readZipEntry(entry, Math.min(limits.maxEntryBytes, remaining), limits.label) };
+    remaining -= file.buffer.length;
+
+    if (/^manifest\.(csv|json)$/i.test(path.basename(entry.name))) manifest = { name: entry.name, text: decodeTextBuffer(file.buffer) };
+    else if (folders.some(f => BATCH_DOC_FOLDER_REGEX.test(f)) && BATCH_DOC_EXTENSIONS.includes(ext)) docs.push(file);
+    else if (folders.some(f => BATCH_EMAIL_FOLDER_REGEX.test(f)) && BATCH_EMAIL_EXTENSIONS.includes(ext)) emails.push(file);
+    else if (BATCH_EMAIL_EXTENSIONS.includes(ext)) emails.push(file);
+    else if (BATCH_DOC_EXTENSIONS.includes(ext)) docs.push(file);
+    else ignored.push(entry.name);
+  }
+  return { docs, emails, manifest, ignored };
 }
 
-// ---------------------------------------------------------
-// FORMAT OUTPUT AS JSON
-// ---------------------------------------------------------
-function formatResultJSON(data) {
-  const hasTextIssues = data.textComparison.summary.notFound.length > 0;
-  const hasMissingLinks = data.missingDocLinks.length > 0;
-  const hasAltIssues = data.imageAltCheck && data.imageAltCheck.summary.missingAlt > 0;
+function batchNameKey(name) {
+  let stem = path.basename(name, path.extname(name)).toLowerCase();
+  while (BATCH_NAME_NOISE_REGEX.test(stem)) stem = stem.replace(BATCH_NAME_NOISE_REGEX, '');
+  return stem.replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '');
+}
 
-  return {
-    overallStatus: (hasTextIssues || hasMissingLinks || hasAltIssues) ? "FAIL" : "PASS",
-    textComparison: {
-      summary: data.textComparison.summary,
-      details: {
-        matched: data.textComparison.matched,
-        partialMatch: data.textComparison.partialMatch,
-        notFound: data.textComparison.notFound,
-        metadata: data.textComparison.metadata
-      }
-    },
-    linkComparison: {
-      summary: {
-        totalLinks: data.linkReport.length,
-        foundInEmail: data.linkReport.filter(l => l.foundInEmail === "YES").length,
-        missing: data.missingDocLinks.length
-      },
-      details: data.linkReport,
-      missingLinks: data.missingDocLinks
-    },
-    imageAltCheck: data.imageAltCheck || { results: [], summary: { totalImages: 0, issueCount: 0, status: 'PASS' } },
-    grammarCheck: data.grammarCheck || null,
-    emailHtml: data.emailHtml || null,
-    emailResolvedUrl: data.emailResolvedUrl || null,
-    responsive: data.responsive,
-    responsiveDetails: data.responsiveDetails || null
-  };
+// "01-welcome", "email_1", "E01 Welcome" → "1"
+const batchNumberKey = name => {
+  const match = batchNameKey(name).match(/(?:^|-)e?0*(\d+)(?:-|$)/);
+  return match ? match[1] : null;
+};
+
+function findArchiveFile(files, name) {
+  const wanted = name.toLowerCase().replace(/\\/g, '/').replace(/^\.?\//, '');
+  return files.find(f => f.name.toLowerCase() === wanted) ||
+    files.find(f => path.basename(f.name).toLowerCase() === path.basename(wanted));
 }
 
-// ---------------------------------------------------------
-// MAIN ENDPOINT
-// ---------------------------------------------------------
-app.post("/qa", upload.single("file"), async (req, res) => {
-  const file = req.file;
-  try {
-    const { emailUrl } = req.body;
+// Pair leftover docs and emails one-to-one on a key; unique keys only
+function pairByKey(docs, emails, keyOf, pairedBy, pairs) {
+  const count = (files, key) => files.filter(f => keyOf(f) === key).length;
+  docs.slice().forEach(doc => {
+    const key = keyOf(doc);
+    if (!key || count(docs, key) > 1 || count(emails, key) !== 1) return;
+    const email = emails.find(f => keyOf(f) === key);
+    pairs.push({ doc, email, pairedBy });
+    docs.splice(docs.indexOf(doc), 1);
+    emails.splice(emails.indexOf(email), 1);
+  });
+}
 
-    if (!emailUrl || !file) {
-      return res.status(400).json({ error: "Missing input" });
+async function readBatchSubjects(docs, emails) {
+  const read = async (file, reader) => {
+    const upload = writeBatchUpload(file);
+    try {
+      file.subject = normalize(await reader(upload) || '') || null;
+    } catch (err) {
+      console.warn(`Batch: could not read the subject of ${file.name}: ${err.message}`);
+      file.subject = null;
+    } finally {
+      cleanupUploads({ file: upload });
     }
+  };
+  for (const doc of docs) {
+    await read(doc, async upload => {
+      const { docText } = await extractDoc(upload.path, upload.originalname);
+      const subject = splitDocBlocks(docText).map(parseDocMetaBlock).find(meta => meta && meta.field === 'subject');
+      return subject && subject.value;
+    });
+  }
+  for (const email of emails) {
+    await read(email, async upload => (await loadEmailSource({ emailFile: upload })).emailMeta.subject);
+  }
+}
 
-    console.log(`Processing QA for URL: ${emailUrl}`);
-    console.log(`File: ${file.originalname}`);
+async function planBatch({ docs, emails, manifest }) {
+  if (manifest) {
+    const rows = parseBatchManifest(manifest.text, manifest.name);
+    const missing = [];
+    const pairs = rows.map(row => {
+      const doc = findArchiveFile(docs, row.doc) || findArchiveFile(emails, row.doc);
+      const email = row.emailFile ? findArchiveFile(emails, row.emailFile) : null;
+      if (!doc) missing.push(row.doc);
+      if (row.emailFile && !email) missing.push(row.emailFile);
+      return { doc, email, emailUrl: email ? null : row.emailUrl, subjectLine: row.subjectLine, plainTextUrl: row.plainTextUrl, name: row.name, pairedBy: 'manifest' };
+    });
+    if (missing.length > 0) {
+      throw new InputError(`Manifest "${manifest.name}" lists files that are not in the archive: ${missing.join(', ')}`);
+    }
+    const used = new Set(pairs.flatMap(p => [p.doc, p.email]));
+    return { pairing: 'manifest', pairs, unpaired: { docs: docs.filter(f => !used.has(f)).map(f => f.name), emails: emails.filter(f => !used.has(f)).map(f => f.name) } };
+  }
 
-    const { docText, docLinks } = await extractDoc(file.path);
-    console.log(`Extracted ${docLinks.length} links from document`);
+  const docsLeft = docs.slice();
+  const emailsLeft = emails.slice();
+  const pairs = [];
+  pairByKey(docsLeft, emailsLeft, f => batchNameKey(f.name), 'filename', pairs);
+  pairByKey(docsLeft, emailsLeft, f => batchNumberKey(f.name), 'filename', pairs);
+  if (docsLeft.length > 0 && emailsLeft.length > 0) {
+    await readBatchSubjects(docsLeft, emailsLeft);
+    pairByKey(docsLeft, emailsLeft, f => f.subject, 'subject', pairs);
+  }
+  pairs.sort((a, b) => a.doc.name.localeCompare(b.doc.name, undefined, { numeric: true }));
+  return { pairing: 'auto', pairs, unpaired: { docs: docsLeft.map(f => f.name), emails: emailsLeft.map(f => f.name) } };
+}
 
-    const { text: emailText, html: emailHtml, links: emailLinks, images: emailImages, emailParagraphs, resolvedUrl } = await getEmailContent(emailUrl);
-    console.log(`Extracted ${emailLinks.length} links, ${emailImages.length} images, and ${emailParagraphs.length} paragraphs from email`);
-    console.log(`Resolved URL: ${resolvedUrl}`);
+// Which checks failed / warned, for the campaign dashboard row
+// Failures come from formatResultJSON, so they always agree with overallStatus
+function summarizeQaResult(result) {
+  const warningChecks = Object.entries(result)
+    .filter(([key, value]) => value && value.summary && value.summary.status === 'WARNING' && !result.failedChecks.includes(key))
+    .map(([key]) => key);
+  if (result.grammarCheck && result.grammarCheck.totalIssues > 0) warningChecks.push('grammarCheck');
+  return { failedChecks: result.failedChecks, warningChecks };
+}
 
-    // Use new detailed comparison with paragraph-level matching
-    const textComparison = compareTextDetailed(docText, emailText, emailParagraphs);
+function qaBatchEntryView(entry) {
+  const job = entry.job;
+  return {
+    index: entry.index,
+    name: entry.name,
+    doc: entry.doc.name,
+    email: entry.email ? entry.email.name : entry.emailUrl,
+    pairedBy: entry.pairedBy,
+    status: job ? job.status : entry.setupError ? 'failed' : 'queued',
+    jobId: job ? job.id : null,
+    stagesDone: job ? job.stages.filter(s => s.status === 'done').length : 0,
+    stagesTotal: QA_STAGES.length,
+    overallStatus: job && job.result ? job.result.overallStatus : null,
+    matchScore: job && job.result ? job.result.textComparison.summary.overallScore : null,
+    ...(job && job.result ? summarizeQaResult(job.result) : { failedChecks: [], warningChecks: [] }),
+    error: job && job.error ? job.error.details : entry.setupError || null,
+  };
+}
 
-    const { report: linkReport, missing: missingDocLinks } = compareLinks(
-      docLinks,
-      emailLinks
-    );
+function qaBatchView(batch) {
+  const emails = batch.entries.map(qaBatchEntryView);
+  const count = test => emails.filter(test).length;
+  return {
+    id: batch.id,
+    status: batch.status,
+    createdAt: batch.createdAt,
+    finishedAt: batch.finishedAt,
+    pairing: batch.pairing,
+    summary: {
+      total: emails.length,
+      passed: count(e => e.overallStatus === 'PASS'),
+      failed: count(e => e.overallStatus === 'FAIL'),
+      errored: count(e => e.status === 'failed'),
+      running: count(e => e.status === 'running'),
+      queued: count(e => e.status === 'queued'),
+    },
+    emails,
+    unpaired: batch.unpaired,
+    ignored: batch.ignored,
+  };
+}
 
-    // Check image alt tags
-    const imageAltCheck = checkImageAltTags(emailImages);
-    console.log(`Image alt check: ${imageAltCheck.summary.totalImages} images, ${imageAltCheck.summary.issueCount} issues`);
+function startQaBatch({ pairs, pairing, unpaired, ignored }, options) {
+  const batch = {
+    id: crypto.randomUUID(),
+    status: 'running',
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    pairing,
+    unpaired,
+    ignored,
+    entries: pairs.map((pair, index) => ({
+      ...pair,
+      index,
+      name: pair.name || path.basename(pair.doc.name, path.extname(pair.doc.name)),
+      job: null,
+    })),
+  };
+  qaBatches.set(batch.id, batch);
+  pendingBatchRuns += batch.entries.length;
 
-    // Check responsive design — wrapped so it NEVER crashes the whole QA
-    let responsive = "Unable to check";
-    let responsiveDetails = null;
+  mapWithConcurrency(batch.entries, QA_BATCH_CONCURRENCY, async entry => {
+    pendingBatchRuns--;
+    console.log(`Batch ${batch.id}: QA ${entry.index + 1}/${batch.entries.length} (${entry.name})`);
+    const input = { ...options, batchId: batch.id, emailUrl: entry.emailUrl, subjectLine: entry.subjectLine, plainTextUrl: entry.plainTextUrl };
     try {
-      const responsiveResult = await checkResponsive(resolvedUrl || emailUrl);
-      responsive = responsiveResult.responsive;
-      responsiveDetails = responsiveResult.details;
-    } catch (respErr) {
-      console.warn(`Responsive check failed (non-fatal): ${respErr.message}`);
-      responsiveDetails = { error: respErr.message, note: "Responsive check failed but comparison results are still valid" };
+      input.file = writeBatchUpload(entry.doc);
+      input.emailFile = entry.email ? writeBatchUpload(entry.email) : null;
+    } catch (err) {
+      cleanupUploads(input);
+      entry.setupError = `Could not stage the files: ${err.message}`;
+      return;
     }
+    entry.job = startQaJob(input);
+    await entry.job.settled;
+    // The dashboard keeps its own handle on each job; only that needs the buffers
+    entry.doc = { name: entry.doc.name };
+    if (entry.email) entry.email = { name: entry.email.name };
+  }).then(() => {
+    batch.status = 'done';
+    batch.finishedAt = new Date().toISOString();
+    const { summary } = qaBatchView(batch);
+    console.log(`Batch ${batch.id} completed: ${summary.passed} passed, ${summary.failed} failed, ${summary.errored} errored`);
+  });
 
-    // Grammar check — run for both doc and email text (non-fatal)
-    let grammarCheck = null;
-    try {
-      const [docGrammar, emailGrammar] = await Promise.all([
-        checkGrammar(docText, 'Document'),
-        checkGrammar(emailText, 'Email'),
-      ]);
-      grammarCheck = {
-        document: docGrammar,
-        email: emailGrammar,
-        totalIssues: docGrammar.summary.total + emailGrammar.summary.total,
-      };
-      console.log(`Grammar check complete: ${grammarCheck.totalIssues} total issues`);
-    } catch (grammarErr) {
-      console.warn(`Grammar check failed (non-fatal): ${grammarErr.message}`);
-      grammarCheck = null;
+  return batch;
+}
+
+const qaBatchUpload = upload.fields([
+  { name: "archive", maxCount: 1 },
+  { name: "manifest", maxCount: 1 },
+]);
+
+app.post("/qa/batch", qaBatchUpload, async (req, res) => {
+  const archive = req.files && req.files.archive ? req.files.archive[0] : null;
+  const manifestFile = req.files && req.files.manifest ? req.files.manifest[0] : null;
+  try {
+    if (!archive) {
+      return res.status(400).json({ error: "Missing input", details: "Upload a zip of the campaign's docs (and email files, or a manifest of preview URLs)" });
     }
 
-    // Return JSON response
-    const result = formatResultJSON({
-      textComparison,
-      linkReport,
-      missingDocLinks,
-      imageAltCheck,
-      grammarCheck,
-      emailHtml,
-      emailResolvedUrl: resolvedUrl,
-      responsive,
-      responsiveDetails
-    });
+    const contents = await readBatchArchive(fs.readFileSync(archive.path));
+    if (manifestFile) {
+      contents.manifest = { name: manifestFile.originalname, text: decodeTextBuffer(fs.readFileSync(manifestFile.path)) };
+    }
+    console.log(`Batch archive: ${contents.docs.length} docs, ${contents.emails.length} emails${contents.manifest ? `, manifest ${contents.manifest.name}` : ''}`);
 
-    console.log(`QA completed. Overall status: ${result.overallStatus}`);
-    res.json(result);
+    const plan = await planBatch(contents);
+    if (plan.pairs.length === 0) {
+      throw new InputError(contents.manifest
+        ? `Manifest "${contents.manifest.name}" lists no emails`
+        : `Could not pair any doc with an email — name them alike (e.g. 01-welcome.docx + 01-welcome.html) or add a manifest`);
+    }
+    if (plan.pairs.length > QA_BATCH_MAX_EMAILS) {
+      throw new InputError(`The batch has ${plan.pairs.length} emails — the limit is ${QA_BATCH_MAX_EMAILS}`);
+    }
+
+    const { utmRuleSet, language, disabledDeliverabilityRules } = req.body;
+    resolveUtmRuleSetName(utmRuleSet);
+    const queueFull = queueFullError(plan.pairs.length);
+    if (queueFull) return res.status(429).json(queueFull);
+    const batch = startQaBatch({ ...plan, ignored: contents.ignored }, { utmRuleSet, language, disabledDeliverabilityRules });
+    console.log(`Batch ${batch.id} started: ${batch.entries.length} emails (${plan.pairing} pairing)`);
+    res.status(202).json({
+      id: batch.id,
+      status: batch.status,
+      total: batch.entries.length,
+      statusUrl: `/qa/batch/${batch.id}`,
+    });
   } catch (err) {
-    console.error("QA Processing Error:", err.message);
-    console.error("Stack trace:", err.stack);
-    res.status(500).json({ error: "QA processing failed", details: err.message });
-  } finally {
-    // Always clean up uploaded file, even on error
-    if (file && file.path) {
-      try {
-        if (fs.existsSync(file.path)) {
-          fs.unlinkSync(file.path);
-          console.log('Cleaned up uploaded file.');
-        }
-      } catch (cleanupErr) {
-        console.warn(`File cleanup failed: ${cleanupErr.message}`);
-      }
+    if (err instanceof InputError) {
+      console.warn(`Batch input rejected: ${err.message}`);
+      return res.status(400).json({ error: "Invalid input", details: err.message });
     }
+    console.error("Batch setup error:", err.message);
+    res.status(500).json({ error: "Batch setup failed", details: err.message });
+  } finally {
+    cleanupUploads({ file: archive, emailFile: manifestFile });
   }
 });
 
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`🚀 QA Server running on port ${PORT}`));
+app.get("/qa/batch/:id", (req, res) => {
+  const batch = qaBatches.get(req.params.id);
+  if (!batch) return res.status(404).json({ error: "Batch not found", details: "Unknown batch id, or the batch has expired" });
+  res.json(qaBatchView(batch));
+});
+
+// Drill-down: the full per-email report, same shape as GET /qa/jobs/:id
+app.get("/qa/batch/:id/emails/:index", (req, res) => {
+  const batch = qaBatches.get(req.params.id);
+  const entry = batch && batch.entries[parseInt(req.params.index, 10)];
+  if (!entry) return res.status(404).json({ error: "Email not found", details: "Unknown batch id or email index" });
+  if (!entry.job) return res.status(409).json({ error: "Not started", details: `${entry.name} is still queued` });
+  res.json(qaJobView(entry.job));
+});
+
+// Finished jobs and batches are dropped after the TTL
+setInterval(() => {
+  const cutoff = Date.now() - QA_JOB_TTL_MS;
+  [qaJobs, qaBatches].forEach(store => store.forEach((item, id) => {
+    if (item.finishedAt && Date.parse(item.finishedAt) < cutoff) store.delete(id);
+  }));
+}, 60000).unref();
+
+// index.js starts the server; this module only builds the app
+export {
+  app,
+  normalize,
+  diffSequences,
+  splitDocBlocks,
+  extractFacts,
+  findTokens,
+  parseCssColor,
+  contrastRatio,
+  readImageInfo,
+  readGifInfo,
+  parseCsv,
+  diffEmailHtml,
+  checkSingleLink,
+  formatResultJSON,
+  summarizeQaResult,
+  readZipDirectory,
+  checkZipSizes,
+  readZipEntry,
+  resolveEmailLinks,
+  checkLinkHealth,
+  fetchImageAsset,
+};
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { parseCsv, readZipDirectory, checkZipSizes, readZipEntry } from '../server.js';
+
+const zipOf = (files) => {
+  const zip = new JSZip();
+  Object.entries(files).forEach(([name, content]) => zip.file(name, content));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+test('parseCsv handles quoted fields, doubled quotes and CRLF', () => {
+  assert.deepEqual(parseCsv('doc,subject\r\nwelcome.docx,"Hi, ""friend"""\r\n\r\noffer.md,Sale\n'), [
+    ['doc', 'subject'],
+    ['welcome.docx', 'Hi, "friend"'],
+    ['offer.md', 'Sale'],
+  ]);
+});
+
+test('parseCsv keeps newlines inside quotes and a last row without one', () => {
+  assert.deepEqual(parseCsv('a,b\n"line 1\nline 2",x'), [['a', 'b'], ['line 1\nline 2', 'x']]);
+});
+
+test('readZipDirectory lists entries with their declared sizes', async () => {
+  const buffer = await zipOf({ 'a.md': 'x'.repeat(1000), 'manifest.csv': 'doc,emailUrl\n' });
+  assert.deepEqual(readZipDirectory(buffer, 'the archive'), [
+    { name: 'a.md', size: 1000 },
+    { name: 'manifest.csv', size: 13 },
+  ]);
+  assert.throws(() => readZipDirectory(Buffer.from('not a zip at all, just text'), 'the archive'), /unreadable zip directory/);
+});
+
+test('checkZipSizes rejects declared sizes before inflating', async () => {
+  const buffer = await zipOf({ 'a.html': Buffer.alloc(4096), 'b.html': Buffer.alloc(4096) });
+  const limits = { maxEntryBytes: 4096, maxTotalBytes: 8192, label: 'the archive' };
+  assert.doesNotThrow(() => checkZipSizes(buffer, limits));
+  assert.throws(() => checkZipSizes(buffer, { ...limits, maxEntryBytes: 4095 }), /"a.html" in the archive unpacks to/);
+  assert.throws(() => checkZipSizes(buffer, { ...limits, maxTotalBytes: 8191 }), /the archive unpacks to more than/);
+});
+
+test('readZipEntry stops inflating past the cap even when the declared size is small', async () => {
+  const zip = await JSZip.loadAsync(await zipOf({ 'bomb.html': Buffer.alloc(1024 * 1024) }));
+  const entry = zip.file('bomb.html');
+  await assert.rejects(readZipEntry(entry, 64 * 1024, 'the archive'), /"bomb.html" in the archive unpacks to more than/);
+  assert.equal((await readZipEntry(entry, 1024 * 1024, 'the archive')).length, 1024 * 1024);
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffEmailHtml } from '../server.js';
+
+test('diffEmailHtml reports identical HTML with no hunks', () => {
+  const diff = diffEmailHtml('<p>Hi</p>', '<p>Hi</p>');
+  assert.equal(diff.identical, true);
+  assert.equal(diff.added, 0);
+  assert.equal(diff.removed, 0);
+  assert.deepEqual(diff.hunks, []);
+});
+
+test('diffEmailHtml numbers changed lines of the formatted HTML on both sides', () => {
+  const base = '<table>\n<tr><td>One</td></tr>\n<tr><td>Two</td></tr>\n</table>';
+  const head = '<table>\n<tr><td>One</td></tr>\n<tr><td>Deux</td></tr>\n</table>';
+  const diff = diffEmailHtml(base, head);
+  assert.equal(diff.identical, false);
+  assert.equal(diff.added, 1);
+  assert.equal(diff.removed, 1);
+  const changed = diff.hunks.flatMap(h => h.lines).filter(l => l.type !== 'equal');
+  assert.deepEqual(changed.map(l => [l.type, l.text, l.base || null, l.head || null]), [
+    ['delete', '<td>Two</td>', 6, null],
+    ['insert', '<td>Deux</td>', null, 6],
+  ]);
+});
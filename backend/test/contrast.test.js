@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCssColor, contrastRatio } from '../server.js';
+
+test('parseCssColor reads hex, rgb(a) and named colours', () => {
+  assert.deepEqual(parseCssColor('#fff'), { r: 255, g: 255, b: 255, a: 1 });
+  assert.deepEqual(parseCssColor('rgba(0, 128, 255, 50%)'), { r: 0, g: 128, b: 255, a: 0.5 });
+  assert.deepEqual(parseCssColor('transparent'), { r: 0, g: 0, b: 0, a: 0 });
+  assert.equal(parseCssColor('var(--brand)'), null);
+});
+
+test('contrastRatio matches the WCAG formula', () => {
+  assert.equal(contrastRatio(parseCssColor('#000'), parseCssColor('#fff')), 21);
+  assert.equal(contrastRatio(parseCssColor('#777'), parseCssColor('#777')), 1);
+  assert.ok(Math.abs(contrastRatio(parseCssColor('#767676'), parseCssColor('#fff')) - 4.54) < 0.01);
+});
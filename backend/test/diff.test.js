@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffSequences } from '../server.js';
+
+test('diffSequences returns an LCS edit script', () => {
+  const ops = diffSequences(['a', 'b', 'c', 'd'], ['a', 'c', 'd', 'e']);
+  assert.deepEqual(ops.map(op => op.type), ['equal', 'delete', 'equal', 'equal', 'insert']);
+  assert.deepEqual(diffSequences([], ['x']), [{ type: 'insert', b: 'x' }]);
+});
+
+test('diffSequences takes a custom equality', () => {
+  const ops = diffSequences(['A'], ['a'], (x, y) => x.toLowerCase() === y.toLowerCase());
+  assert.deepEqual(ops, [{ type: 'equal', a: 'A', b: 'a' }]);
+});
@@ -0,0 +1,10 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitDocBlocks } from '../server.js';
+
+test('splitDocBlocks joins a bare subject label with the value that follows', () => {
+  assert.deepEqual(
+    splitDocBlocks('Subject line:\n\nSpring sale starts now\n\nHello there, friends.'),
+    ['Subject line: Spring sale starts now', 'Hello there, friends.'],
+  );
+});
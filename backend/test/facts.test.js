@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractFacts } from '../server.js';
+
+test('extractFacts reads prices, percentages, dates and times canonically', () => {
+  const facts = extractFacts('Save 20% — now $1,299.00 until Oct 12, 2026 at 3pm ET');
+  const byType = Object.fromEntries(facts.map(f => [f.type, f.value]));
+  assert.equal(byType.currency, 'USD 1299.00');
+  assert.equal(byType.percentage, '20%');
+  assert.equal(byType.date, '2026-10-12');
+  assert.equal(byType.time, '15:00 ET');
+});
+
+test('extractFacts leaves the year of a year-less date unknown', () => {
+  const [fact] = extractFacts('Join us on October 12');
+  assert.equal(fact.value, '????-10-12');
+});
+
+test('extractFacts does not count a price again as a number', () => {
+  assert.deepEqual(extractFacts('Only $49').map(f => f.type), ['currency']);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readImageInfo, readGifInfo, fetchImageAsset } from '../server.js';
+
+// 1x1 GIF, one frame, transparent palette index 0
+const GIF_FRAME = [0x2C, 0, 0, 0, 0, 1, 0, 1, 0, 0, 0x02, 0x02, 0x44, 0x01, 0x00];
+const gif = (frames) => Buffer.from([
+  ...Buffer.from('GIF89a'), 1, 0, 1, 0, 0x80, 0, 0,
+  0, 0, 0, 0xFF, 0xFF, 0xFF,
+  0x21, 0xF9, 0x04, 0x01, 0, 0, 0, 0,
+  ...Array.from({ length: frames }, () => GIF_FRAME).flat(),
+  0x3B,
+]);
+
+test('readGifInfo reads size and counts frames', () => {
+  const still = readGifInfo(gif(1));
+  assert.equal(still.width, 1);
+  assert.equal(still.height, 1);
+  assert.equal(still.frames, 1);
+  assert.equal(readImageInfo(gif(3)).animated, true);
+});
+
+test('readImageInfo sniffs SVG and falls back to the content type', () => {
+  assert.equal(readImageInfo(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>')).format, 'svg');
+  assert.equal(readImageInfo(Buffer.from('????'), 'image/avif').format, 'avif');
+});
+
+test('fetchImageAsset accepts data: URI parameters and a literal % in SVG', async () => {
+  const asset = await fetchImageAsset('data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" width="100%"></svg>');
+  assert.equal(asset.contentType, 'image/svg+xml');
+  assert.equal(asset.info.format, 'svg');
+  assert.deepEqual(asset.issues.map(i => i.type), ['DATA_URI']);
+});
+
+test('fetchImageAsset decodes base64 data: URIs with a charset', async () => {
+  const asset = await fetchImageAsset(`data:image/gif;charset=binary;base64,${gif(1).toString('base64')}`);
+  assert.equal(asset.info.format, 'gif');
+  assert.equal(asset.bytes, gif(1).length);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { checkSingleLink, resolveEmailLinks, checkLinkHealth } from '../server.js';
+
+test('malformed %-encoding in a mailto: link is reported on that link', async () => {
+  const result = await checkSingleLink('mailto:a%zz@x.com');
+  assert.equal(result.protocol, 'mailto');
+  assert.deepEqual(result.issues.map(i => i.type), ['MAILTO_INVALID']);
+});
+
+test('malformed %-encoding in a tel: link is reported on that link', async () => {
+  const result = await checkSingleLink('tel:+1%zz');
+  assert.deepEqual(result.issues.map(i => i.type), ['TEL_INVALID']);
+});
+
+test('a valid mailto: link passes', async () => {
+  const result = await checkSingleLink('mailto:hello@example.com?subject=Hi');
+  assert.deepEqual(result.issues, []);
+});
+
+test('merge tokens in hrefs are skipped, not requested', async () => {
+  const result = await checkSingleLink('{{lead.Unsubscribe Link}}');
+  assert.equal(result.protocol, 'token');
+  assert.ok(result.skipped);
+});
+
+test('tracked links are checked at their destination, without requesting the wrapper again', async (t) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(`${req.method} ${req.url}`);
+    if (req.url.startsWith('/dc/')) {
+      res.writeHead(302, { Location: '/landing?mkt_tok=abc' });
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<p>Landing</p>');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  const links = await resolveEmailLinks([{ href: `${origin}/dc/abc123`, text: 'Shop now' }]);
+  const { results } = await checkLinkHealth(links, null);
+
+  // Resolving follows the wrapper once; the health check only requests the stripped destination
+  assert.deepEqual(requests, ['GET /dc/abc123', 'GET /landing?mkt_tok=abc', 'HEAD /landing']);
+  assert.equal(results[0].href, `${origin}/dc/abc123`);
+  assert.equal(results[0].checkedUrl, `${origin}/landing`);
+  assert.equal(results[0].status, 200);
+});
@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalize } from '../server.js';
+
+test('normalize keeps parentheticals, so differing asides still differ', () => {
+  assert.notEqual(normalize('Webinar (Tuesday)'), normalize('Webinar (Wednesday)'));
+});
+
+test('normalize folds case, quotes and punctuation', () => {
+  assert.equal(normalize('Don’t  miss\nOUR <b>Sale</b>!'), "dont miss our sale");
+  assert.equal(normalize('Café déjà vu'), 'café déjà vu');
+});
+
+test('normalize segments spaceless scripts into words', () => {
+  assert.ok(normalize('今日は良い天気です').includes(' '));
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { readImageInfo } from '../server.js';
+
+// Chunk CRCs are not checked by the reader, so zeros will do
+const pngChunk = (type, data) => {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length, 0);
+  head.write(type, 4, 'ascii');
+  return Buffer.concat([head, data, Buffer.alloc(4)]);
+};
+const png = (width, height, rgba) => {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 6;
+  const rows = [];
+  for (let y = 0; y < height; y++) rows.push(Buffer.from([0, ...rgba.slice(y * width * 4, (y + 1) * width * 4)]));
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    pngChunk('IHDR', ihdr),
+    pngChunk('IDAT', zlib.deflateSync(Buffer.concat(rows))),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+};
+
+test('readImageInfo reads PNG size and alpha tone', () => {
+  const info = readImageInfo(png(2, 1, [0, 0, 0, 255, 0, 0, 0, 0]));
+  assert.equal(info.format, 'png');
+  assert.equal(info.width, 2);
+  assert.equal(info.height, 1);
+  assert.equal(info.tone.transparentRatio, 0.5);
+});
+
+test('readImageInfo keeps the PNG size when the pixel data inflates past the image', () => {
+  const bomb = png(1, 1, [0, 0, 0, 0]);
+  const idat = pngChunk('IDAT', zlib.deflateSync(Buffer.alloc(1024 * 1024)));
+  const oversized = Buffer.concat([bomb.subarray(0, 33), idat, pngChunk('IEND', Buffer.alloc(0))]);
+  const info = readImageInfo(oversized);
+  assert.equal(info.width, 1);
+  assert.equal(info.tone, null);
+});
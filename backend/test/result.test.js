@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatResultJSON, summarizeQaResult } from '../server.js';
+
+const qaData = (checks) => ({ textComparison: { summary: { notFound: 0 }, details: {} }, ...checks });
+
+test('formatResultJSON lists every failed check behind overallStatus', () => {
+  const result = formatResultJSON(qaData({
+    imageAltCheck: { summary: { missingAlt: 2, status: 'WARNING' }, results: [] },
+    darkModeCheck: { summary: { status: 'FAIL' } },
+  }));
+  assert.equal(result.overallStatus, 'FAIL');
+  assert.deepEqual(result.failedChecks, ['imageAltCheck', 'darkModeCheck']);
+});
+
+test('formatResultJSON passes when no gated check fails', () => {
+  const result = formatResultJSON(qaData({ mobileLayoutCheck: { summary: { status: 'WARNING' } } }));
+  assert.equal(result.overallStatus, 'PASS');
+  assert.deepEqual(result.failedChecks, []);
+});
+
+test('summarizeQaResult reuses failedChecks and lists warnings apart from them', () => {
+  const result = formatResultJSON(qaData({
+    imageAltCheck: { summary: { missingAlt: 1, status: 'WARNING' }, results: [] },
+    mobileLayoutCheck: { summary: { status: 'WARNING' } },
+  }));
+  assert.deepEqual(summarizeQaResult(result), { failedChecks: ['imageAltCheck'], warningChecks: ['mobileLayoutCheck'] });
+});
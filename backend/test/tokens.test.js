@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findTokens } from '../server.js';
+
+test('findTokens finds each token once, across syntaxes', () => {
+  const tokens = findTokens('Hi {{lead.First Name:default=there}}, *|FNAME|* and %%Email%%');
+  assert.deepEqual(tokens.map(t => t.syntax), ['marketo', 'mailchimp', 'sfmc']);
+  assert.equal(tokens[0].name, 'lead.First Name');
+  assert.equal(tokens[0].fallback, 'there');
+});
+
+test('findTokens returns nothing for rendered text', () => {
+  assert.deepEqual(findTokens('Hi Sarah, your order has shipped.'), []);
+});